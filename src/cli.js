@@ -0,0 +1,234 @@
+const path = require('path');
+
+// Output formats the headless pipeline can write, keyed by file extension
+const FORMATS = ['txt', 'html', 'ans', 'svg', 'png', 'gif', 'mp4', 'cast', 'sh'];
+
+// Flag table: every option exposed on the Convert tab (plus export settings) maps to a flag.
+// `target` says whether the value feeds the ASCIIConverter options or the export step.
+const OPTIONS = [
+    { flag: 'width', alias: 'w', target: 'converter', key: 'width', type: 'int', min: 1, description: 'Output width in characters (default 100)' },
+    { flag: 'height', target: 'converter', key: 'height', type: 'int', min: 1, description: 'Output height in rows for --size-mode height or fit (default 40)' },
+    { flag: 'size-mode', target: 'converter', key: 'sizeMode', type: 'enum', values: ['width', 'height', 'fit'], description: 'Sizing: width (fixed columns), height (fixed rows) or fit (within --width x --height)' },
+    { flag: 'pixel-width', target: 'converter', key: 'pixelWidth', type: 'int', min: 16, description: 'PNG/GIF/MP4 width in px; the font size is chosen to fit (overrides --scale)' },
+    { flag: 'pixel-height', target: 'converter', key: 'pixelHeight', type: 'int', min: 16, description: 'PNG/GIF/MP4 height in px; with --pixel-width the image has exactly that size' },
+    { flag: 'resample', target: 'converter', key: 'resample', type: 'enum', values: ['canvas', 'box', 'lanczos', 'median'], description: 'Downsampling: canvas (fast bilinear), box (area average), lanczos or median (per cell)' },
+    { flag: 'render-mode', target: 'converter', key: 'renderMode', type: 'enum', values: ['ascii', 'braille', 'halfblock', 'quadrant'], description: 'Render mode: ascii (charset ramp), braille (2x4 dots), halfblock (1x2) or quadrant (2x2 block pixels)' },
+    { flag: 'braille-threshold', target: 'converter', key: 'brailleThreshold', type: 'int', min: 1, description: 'Luminance (1-255) at which a Braille dot is raised (default 128)' },
+    { flag: 'charset', alias: 'c', target: 'converter', key: 'charset', type: 'enum', values: ['standard', 'detailed', 'blocks', 'simple', 'binary', 'braille'], description: 'Character set: standard, detailed, blocks, simple, binary, braille' },
+    { flag: 'custom-charset', target: 'converter', key: 'customCharset', type: 'string', description: 'Custom characters ordered dark to light (overrides --charset)' },
+    { flag: 'glyph-match', target: 'converter', key: 'glyphMatch', type: 'enum', values: ['off', 'coverage', 'shape'], description: 'Glyph matching: off (fixed ramp), coverage or shape (measured in --font)' },
+    { flag: 'font', target: 'converter', key: 'fontFamily', type: 'string', description: 'CSS font family used to measure glyphs (default Consolas)' },
+    { flag: 'dither', target: 'converter', key: 'dither', type: 'enum', values: ['none', 'auto', 'bayer', 'floyd-steinberg', 'atkinson'], description: 'Dithering: none, auto (Bayer for video), bayer, floyd-steinberg, atkinson' },
+    { flag: 'dither-palette', target: 'converter', key: 'ditherPalette', type: 'bool', description: 'Also dither colors when a fixed --palette is used' },
+    { flag: 'mode', alias: 'm', target: 'converter', key: 'colorMode', type: 'enum', values: ['color', 'grayscale'], description: 'Output mode: color or grayscale' },
+    { flag: 'palette', target: 'converter', key: 'colorPalette', type: 'enum', values: ['full', 'ansi256', 'ansi16', 'cga', 'gameboy'], description: 'Color palette: full, ansi256, ansi16, cga, gameboy' },
+    { flag: 'font-size', target: 'converter', key: 'fontSize', type: 'int', min: 1, description: 'Font size in px used for rendering (default 10)' },
+    { flag: 'line-height', target: 'converter', key: 'lineHeight', type: 'float', min: 0.1, description: 'Line height multiplier (default 1.0)' },
+    { flag: 'char-aspect', target: 'converter', key: 'charAspect', type: 'float', min: 0.05, description: 'Character cell width / height (default: measured from --font and --line-height)' },
+    { flag: 'contrast', target: 'converter', key: 'contrast', type: 'int', min: 50, max: 200, description: 'Contrast percent, 50-200 (default 100)' },
+    { flag: 'brightness', target: 'converter', key: 'brightness', type: 'int', description: 'Brightness percent (default 100)' },
+    { flag: 'gamma', target: 'converter', key: 'gamma', type: 'float', min: 0.1, description: 'Gamma, above 1 brightens midtones (default 1.0)' },
+    { flag: 'black-point', target: 'converter', key: 'levelsBlack', type: 'int', min: 0, description: 'Input level mapped to black, 0-254 (default 0)' },
+    { flag: 'white-point', target: 'converter', key: 'levelsWhite', type: 'int', min: 1, description: 'Input level mapped to white, 1-255 (default 255)' },
+    { flag: 'tone-curve', target: 'converter', key: 'toneCurve', type: 'curve', description: 'Tone curve as input:output points 0-255 (e.g. 0:0,96:64,255:255)' },
+    { flag: 'equalize', target: 'converter', key: 'equalize', type: 'enum', values: ['none', 'global', 'clahe'], description: 'Histogram equalization: none, global or clahe (local, contrast-limited)' },
+    { flag: 'auto-levels', target: 'converter', key: 'autoLevels', type: 'bool', description: 'Set black/white points from each frame\'s histogram (smoothed for video)' },
+    { flag: 'invert', target: 'converter', key: 'invert', type: 'bool', description: 'Invert the character ramp' },
+    { flag: 'edges', target: 'converter', key: 'edges', type: 'bool', description: 'Use directional glyphs (| / \\ - _) along edges' },
+    { flag: 'edge-threshold', target: 'converter', key: 'edgeThreshold', type: 'int', min: 0, description: 'Edge strength needed for a directional glyph, 0-255 (default 64)' },
+    { flag: 'mask', target: 'converter', key: 'mask', type: 'enum', values: ['none', 'chroma', 'luma'], description: 'Blank out the background: none, chroma (--mask-color key) or luma (darker than --mask-threshold)' },
+    { flag: 'mask-color', target: 'converter', key: 'maskColor', type: 'color', description: 'Chroma key color as #RRGGBB (default #00FF00)' },
+    { flag: 'mask-tolerance', target: 'converter', key: 'maskTolerance', type: 'int', min: 1, description: 'Chroma key tolerance, 1-100 (default 30)' },
+    { flag: 'mask-threshold', target: 'converter', key: 'maskThreshold', type: 'int', min: 1, description: 'Luminance below which pixels are masked, 1-255 (default 32)' },
+    { flag: 'mask-invert', target: 'converter', key: 'maskInvert', type: 'bool', description: 'Mask the other side: everything but the key color, or bright pixels' },
+    { flag: 'background', alias: 'b', target: 'converter', key: 'backgroundColor', type: 'color', description: 'Background color as #RRGGBB or #RRGGBBAA (default transparent)' },
+    { flag: 'crop', target: 'converter', key: 'crop', type: 'crop', description: 'Convert only part of the source: x,y,width,height as fractions 0-1 (e.g. 0.25,0,0.5,1)' },
+    { flag: 'rotate', target: 'converter', key: 'rotate', type: 'angle', description: 'Rotate the source clockwise by 0, 90, 180 or 270 degrees' },
+    { flag: 'flip-h', target: 'converter', key: 'flipH', type: 'bool', description: 'Mirror the output horizontally' },
+    { flag: 'flip-v', target: 'converter', key: 'flipV', type: 'bool', description: 'Mirror the output vertically' },
+    { flag: 'fps', target: 'export', key: 'frameRate', type: 'float', min: 0, description: 'Frame rate for video/GIF input (default: source rate)' },
+    { flag: 'start', target: 'export', key: 'trimStart', type: 'float', min: 0, description: 'Convert video/GIF input from this many seconds in (default 0)' },
+    { flag: 'end', target: 'export', key: 'trimEnd', type: 'float', min: 0, description: 'Stop converting video/GIF input at this many seconds (default: end of the clip)' },
+    { flag: 'format', alias: 'f', target: 'export', key: 'format', type: 'enum', values: FORMATS, description: 'Output format: txt, html, ans, svg, png, gif, mp4, cast, sh (default: from --output extension)' },
+    { flag: 'scale', target: 'export', key: 'pngScale', type: 'int', min: 1, description: 'Raster scale factor for PNG/GIF/MP4 (default 2)' },
+    { flag: 'quality', target: 'export', key: 'gifQuality', type: 'int', min: 1, description: 'GIF quality, 1 (best) to 30 (fastest) (default 10)' },
+    { flag: 'svg-outline', target: 'export', key: 'svgOutline', type: 'bool', description: 'Trace glyphs to paths in SVG output so no font is needed' },
+    { flag: 'no-styles', target: 'export', key: 'includeStyles', type: 'bool', negate: true, description: 'Omit the HTML document wrapper and styles' },
+    { flag: 'no-audio', target: 'export', key: 'includeAudio', type: 'bool', negate: true, description: 'Leave the source audio out of MP4 output' }
+];
+
+/**
+ * Return true when argv asks for the headless CLI rather than the GUI
+ */
+function isCliInvocation(args) {
+    return Array.isArray(args) && args[0] === 'convert';
+}
+
+/**
+ * Build the usage text printed for --help and argument errors
+ */
+function usage() {
+    const rows = [
+        ['-o, --output <path>', 'Output file (required)'],
+        ['    --preset <name|file>', 'Start from a built-in or saved preset, or a preset .json file; other flags override it']
+    ];
+    for (const opt of OPTIONS) {
+        let name = opt.alias ? `-${opt.alias}, --${opt.flag}` : `    --${opt.flag}`;
+        if (opt.type !== 'bool') name += ' <value>';
+        rows.push([name, opt.description]);
+    }
+    rows.push(['-h, --help', 'Show this help']);
+
+    // Align descriptions one column past the longest flag
+    const column = Math.max(...rows.map(([name]) => name.length)) + 4;
+    const lines = [
+        'Usage: glyphify convert <input> -o <output> [options]',
+        '',
+        'Converts an image, GIF or video to ASCII art without opening the window.',
+        '',
+        'Options:',
+        ...rows.map(([name, description]) => `  ${name}`.padEnd(column) + description)
+    ];
+    lines.push('');
+    lines.push('Example:');
+    lines.push('  glyphify convert in.mp4 --width 120 --charset detailed --format gif -o out.gif');
+    lines.push('  glyphify convert in.png --preset "Game Boy" --width 80 -o out.png');
+    lines.push('  glyphify convert in.mp4 --size-mode fit --width 120 --height 40 --pixel-width 1920 --pixel-height 1080 -o out.mp4');
+    return lines.join('\n');
+}
+
+function parseValue(opt, raw) {
+    const fail = (msg) => { throw new Error(`Invalid value for --${opt.flag}: ${msg}`); };
+    switch (opt.type) {
+        case 'int': {
+            if (!/^-?\d+$/.test(raw)) fail(`expected an integer, got "${raw}"`);
+            const n = parseInt(raw, 10);
+            if (opt.min !== undefined && n < opt.min) fail(`must be at least ${opt.min}`);
+            if (opt.max !== undefined && n > opt.max) fail(`must be at most ${opt.max}`);
+            return n;
+        }
+        case 'float': {
+            const n = Number(raw);
+            if (raw === '' || !Number.isFinite(n)) fail(`expected a number, got "${raw}"`);
+            if (opt.min !== undefined && n < opt.min) fail(`must be at least ${opt.min}`);
+            if (opt.max !== undefined && n > opt.max) fail(`must be at most ${opt.max}`);
+            return n;
+        }
+        case 'enum':
+            if (!opt.values.includes(raw)) fail(`expected one of ${opt.values.join(', ')}`);
+            return raw;
+        case 'color':
+            if (/^#[0-9A-Fa-f]{6}$/.test(raw)) return raw + 'FF';
+            if (!/^#[0-9A-Fa-f]{8}$/.test(raw)) fail('expected #RRGGBB or #RRGGBBAA');
+            return raw;
+        case 'angle':
+            if (!['0', '90', '180', '270'].includes(raw)) fail('expected 0, 90, 180 or 270');
+            return parseInt(raw, 10);
+        case 'crop': {
+            const parts = raw.split(',').map(part => part.trim());
+            const [x, y, width, height] = parts.map(Number);
+            if (parts.length !== 4 || parts.some(part => part === '') || ![x, y, width, height].every(Number.isFinite)) {
+                fail(`expected x,y,width,height, got "${raw}"`);
+            }
+            if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > 1.0001 || y + height > 1.0001) {
+                fail('the rectangle must lie within 0-1 on both axes');
+            }
+            return { x, y, width: Math.min(width, 1 - x), height: Math.min(height, 1 - y) };
+        }
+        case 'curve': {
+            const points = raw.split(',').map(part => part.trim().split(':').map(Number));
+            if (points.length < 2 || points.length > 16
+                || !points.every(point => point.length === 2 && point.every(v => Number.isFinite(v) && v >= 0 && v <= 255))) {
+                fail(`expected 2-16 input:output points within 0-255, got "${raw}"`);
+            }
+            return points;
+        }
+        default:
+            if (raw === '') fail('value must not be empty');
+            return raw;
+    }
+}
+
+/**
+ * Parse CLI arguments (without the executable/app path) into a conversion job.
+ * Throws an Error with a user-facing message on invalid input.
+ */
+function parseArgs(args, cwd = process.cwd()) {
+    if (!isCliInvocation(args)) throw new Error('Unknown command');
+
+    const job = { command: 'convert', input: null, output: null, preset: null, presetFile: null, help: false, converterOptions: {}, exportOptions: {} };
+    const byFlag = new Map();
+    for (const opt of OPTIONS) {
+        byFlag.set(`--${opt.flag}`, opt);
+        if (opt.alias) byFlag.set(`-${opt.alias}`, opt);
+    }
+
+    const rest = args.slice(1);
+    for (let i = 0; i < rest.length; i++) {
+        let arg = rest[i];
+        let inlineValue = null;
+        if (arg.startsWith('--') && arg.includes('=')) {
+            inlineValue = arg.slice(arg.indexOf('=') + 1);
+            arg = arg.slice(0, arg.indexOf('='));
+        }
+
+        const takeValue = (name) => {
+            if (inlineValue !== null) return inlineValue;
+            if (i + 1 >= rest.length) throw new Error(`Missing value for ${name}`);
+            return rest[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            job.help = true;
+            continue;
+        }
+        if (arg === '-o' || arg === '--output') {
+            job.output = path.resolve(cwd, takeValue(arg));
+            continue;
+        }
+        if (arg === '--preset') {
+            const value = takeValue(arg);
+            if (value.toLowerCase().endsWith('.json')) job.presetFile = path.resolve(cwd, value);
+            else job.preset = value;
+            continue;
+        }
+        // Ignore Electron's own development switch so `npm start -- convert ... --dev` still works
+        if (arg === '--dev') continue;
+
+        const opt = byFlag.get(arg);
+        if (opt) {
+            let value;
+            if (opt.type === 'bool') {
+                if (inlineValue !== null) throw new Error(`--${opt.flag} does not take a value`);
+                value = !opt.negate;
+            } else {
+                value = parseValue(opt, takeValue(arg));
+            }
+            const bucket = opt.target === 'converter' ? job.converterOptions : job.exportOptions;
+            bucket[opt.key] = value;
+            continue;
+        }
+
+        if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        if (job.input) throw new Error(`Unexpected argument: ${arg}`);
+        job.input = path.resolve(cwd, arg);
+    }
+
+    if (job.help) return job;
+    if (!job.input) throw new Error('No input file given');
+    if (!job.output) throw new Error('No output file given (use -o <path>)');
+
+    if (!job.exportOptions.format) {
+        const ext = path.extname(job.output).toLowerCase().slice(1);
+        if (!FORMATS.includes(ext)) throw new Error(`Cannot infer output format from "${path.basename(job.output)}"; pass --format`);
+        job.exportOptions.format = ext;
+    }
+    const { trimStart = 0, trimEnd } = job.exportOptions;
+    if (trimEnd !== undefined && trimEnd <= trimStart) throw new Error('--end must be later than --start');
+    // A custom charset only applies when the converter is told to use it
+    if (job.converterOptions.customCharset) job.converterOptions.charset = 'custom';
+
+    return job;
+}
+
+module.exports = { FORMATS, OPTIONS, isCliInvocation, parseArgs, usage };
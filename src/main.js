@@ -1,12 +1,70 @@
-const { app, BrowserWindow, ipcMain, dialog, nativeTheme, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, nativeTheme, shell, protocol, systemPreferences, desktopCapturer } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
 const { Muxer, ArrayBufferTarget } = require('mp4-muxer');
 const { GIFEncoder } = require('gif.js');
+const cli = require('./cli');
 
 let mainWindow;
 
+// FFmpeg.wasm for the renderer workers is served from the app's own node_modules as
+// glyphify://ffmpeg/<package>/<file> (no CDN, and it reads from inside asar)
+const FFMPEG_PACKAGES = { ffmpeg: '@ffmpeg/ffmpeg', util: '@ffmpeg/util', core: '@ffmpeg/core' };
+const ASSET_MIME_TYPES = { '.js': 'text/javascript', '.wasm': 'application/wasm' };
+// Alias for @ffmpeg/ffmpeg's class worker, a webpack chunk (e.g. 814.ffmpeg.js) whose name can change between releases
+const FFMPEG_CLASS_WORKER = 'class-worker.js';
+
+async function resolveFFmpegAsset(dir, fileName) {
+    if (fileName !== FFMPEG_CLASS_WORKER) return path.join(dir, fileName);
+    const chunk = (await fs.promises.readdir(dir)).find(name => /^\d+\.ffmpeg\.js$/.test(name));
+    return path.join(dir, chunk || fileName);
+}
+
+protocol.registerSchemesAsPrivileged([
+    { scheme: 'glyphify', privileges: { standard: true, secure: true, supportFetchAPI: true, corsEnabled: true } }
+]);
+
+function registerAssetProtocol() {
+    protocol.handle('glyphify', async (request) => {
+        const url = new URL(request.url);
+        const [packageKey, ...rest] = decodeURIComponent(url.pathname).split('/').filter(Boolean);
+        const packageName = url.host === 'ffmpeg' ? FFMPEG_PACKAGES[packageKey] : null;
+        const fileName = rest.join('/');
+        if (!packageName || !fileName || rest.includes('..')) {
+            return new Response('Not found', { status: 404 });
+        }
+
+        let filePath = path.join(app.getAppPath(), 'node_modules', packageName, 'dist', 'umd', fileName);
+        try {
+            if (packageKey === 'ffmpeg') filePath = await resolveFFmpegAsset(path.dirname(filePath), fileName);
+            const data = await fs.promises.readFile(filePath);
+            return new Response(data, {
+                headers: {
+                    'Content-Type': ASSET_MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            });
+        } catch (error) {
+            console.error(`[Main] FFmpeg asset not found: ${filePath}`);
+            return new Response(`${packageName}/${fileName} is not installed`, { status: 404 });
+        }
+    });
+}
+
+// Headless command-line mode: `glyphify convert <input> -o <output> [options]`
+// Packaged builds receive user args after the executable; `electron .` adds the app path first.
+const cliArgs = process.argv.slice(app.isPackaged ? 1 : 2);
+let cliJob = null;
+let cliError = null;
+if (cli.isCliInvocation(cliArgs)) {
+    try {
+        cliJob = cli.parseArgs(cliArgs);
+    } catch (e) {
+        cliError = e;
+    }
+}
+
 function createWindow() {
     console.log('[Main] Creating main window');
 
@@ -114,7 +172,91 @@ function createWindow() {
     });
 }
 
+// Run a single conversion in a hidden window and exit with its status
+function runHeadlessJob(job) {
+    if (!fs.existsSync(job.input)) {
+        console.error(`[CLI] Input file not found: ${job.input}`);
+        app.exit(1);
+        return;
+    }
+    if (job.presetFile && !fs.existsSync(job.presetFile)) {
+        console.error(`[CLI] Preset file not found: ${job.presetFile}`);
+        app.exit(1);
+        return;
+    }
+    console.log(`[CLI] Converting ${job.input} -> ${job.output} (${job.exportOptions.format})`);
+
+    const win = new BrowserWindow({
+        show: false,
+        webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: true,
+            // Hidden windows are throttled by default, which stalls the frame loops
+            backgroundThrottling: false,
+            preload: path.join(__dirname, 'preload.js')
+        }
+    });
+
+    let finished = false;
+    const finish = (code, message) => {
+        if (finished) return;
+        finished = true;
+        if (code === 0) console.log(`[CLI] ${message}`);
+        else console.error(`[CLI] ${message}`);
+        app.exit(code);
+    };
+
+    ipcMain.handle('cli:getJob', async () => {
+        // Presets are resolved in the renderer, which knows the built-ins; hand it the saved ones
+        let savedPresets = [];
+        try {
+            if (fs.existsSync(settingsPath)) {
+                const saved = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+                savedPresets = (saved && saved.settings && saved.settings.presets) || [];
+            }
+        } catch (error) {
+            console.error('[CLI] Could not read saved presets:', error.message);
+        }
+        const presetText = job.presetFile ? fs.readFileSync(job.presetFile, 'utf-8') : null;
+        return { ...job, media: readMediaFile(job.input), savedPresets, presetText };
+    });
+    ipcMain.on('cli:progress', (event, message) => {
+        console.log(`[CLI] ${message}`);
+    });
+    ipcMain.handle('cli:complete', async (event, result) => {
+        if (result && result.success) finish(0, `Wrote ${job.output}`);
+        else finish(1, `Conversion failed: ${(result && result.error) || 'unknown error'}`);
+    });
+
+    win.webContents.on('render-process-gone', (event, details) => {
+        finish(1, `Renderer exited unexpectedly (${details && details.reason})`);
+    });
+    win.webContents.on('did-fail-load', (event, code, description) => {
+        finish(1, `Failed to load headless renderer: ${description}`);
+    });
+
+    win.loadFile(path.join(__dirname, 'renderer/headless.html'));
+}
+
 app.whenReady().then(async () => {
+    registerAssetProtocol();
+
+    if (cliError) {
+        console.error(`[CLI] ${cliError.message}\n`);
+        console.error(cli.usage());
+        app.exit(2);
+        return;
+    }
+    if (cliJob) {
+        if (cliJob.help) {
+            console.log(cli.usage());
+            app.exit(0);
+            return;
+        }
+        runHeadlessJob(cliJob);
+        return;
+    }
+
     await createWindow();
 
     // Start update checks on startup and every 24 hours
@@ -151,7 +293,7 @@ app.on('window-all-closed', () => {
 });
 
 app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
+    if (!cliJob && BrowserWindow.getAllWindows().length === 0) {
         createWindow();
     }
 });
@@ -173,6 +315,35 @@ ipcMain.handle('window:close', () => {
     mainWindow?.close();
 });
 
+// macOS asks once per app for camera access; other platforms grant it through getUserMedia
+ipcMain.handle('media:requestCameraAccess', async () => {
+    if (process.platform !== 'darwin') return true;
+    try {
+        return await systemPreferences.askForMediaAccess('camera');
+    } catch (error) {
+        console.error('[Main] Camera access request failed:', error);
+        return false;
+    }
+});
+
+// Screens and windows the renderer can capture as a live source (getUserMedia with chromeMediaSourceId)
+ipcMain.handle('capture:getSources', async () => {
+    try {
+        const sources = await desktopCapturer.getSources({
+            types: ['screen', 'window'],
+            thumbnailSize: { width: 0, height: 0 }
+        });
+        return sources.map(source => ({
+            id: source.id,
+            name: source.name,
+            type: source.id.startsWith('screen:') ? 'screen' : 'window'
+        }));
+    } catch (error) {
+        console.error('[Main] Failed to list capture sources:', error);
+        return [];
+    }
+});
+
 ipcMain.handle('dialog:openFile', async (event, options) => {
     console.log('[Main] Opening file dialog');
     const result = await dialog.showOpenDialog(mainWindow, {
@@ -187,36 +358,113 @@ ipcMain.handle('dialog:openFile', async (event, options) => {
     if (!result.canceled && result.filePaths.length > 0) {
         const filePath = result.filePaths[0];
         console.log(`[Main] File selected: ${filePath}`);
-        const buffer = fs.readFileSync(filePath);
-        const base64 = buffer.toString('base64');
-        const ext = path.extname(filePath).toLowerCase().slice(1);
-        
-        let mimeType = 'image/png';
-        if (['jpg', 'jpeg'].includes(ext)) mimeType = 'image/jpeg';
-        else if (ext === 'gif') mimeType = 'image/gif';
-        else if (ext === 'webp') mimeType = 'image/webp';
-        else if (ext === 'bmp') mimeType = 'image/bmp';
-        else if (ext === 'mp4') mimeType = 'video/mp4';
-        else if (ext === 'webm') mimeType = 'video/webm';
-        else if (ext === 'avi') mimeType = 'video/avi';
-        else if (ext === 'mov') mimeType = 'video/quicktime';
-        
-        const isGif = ext === 'gif';
-        const isVideo = mimeType.startsWith('video') || isGif;
-
-        return {
-            path: filePath,
-            name: path.basename(filePath),
-            data: `data:${mimeType};base64,${base64}`,
-            type: isVideo ? 'video' : 'image',
-            mime: mimeType,
-            extension: ext,
-            isGif: isGif
-        };
+        return readMediaFile(filePath);
     }
     return null;
 });
 
+// Read an image/video file into the shape the renderer expects (data URL plus type info)
+function readMediaFile(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const base64 = buffer.toString('base64');
+    const ext = path.extname(filePath).toLowerCase().slice(1);
+    
+    let mimeType = 'image/png';
+    if (['jpg', 'jpeg'].includes(ext)) mimeType = 'image/jpeg';
+    else if (ext === 'gif') mimeType = 'image/gif';
+    else if (ext === 'webp') mimeType = 'image/webp';
+    else if (ext === 'bmp') mimeType = 'image/bmp';
+    else if (ext === 'mp4') mimeType = 'video/mp4';
+    else if (ext === 'webm') mimeType = 'video/webm';
+    else if (ext === 'avi') mimeType = 'video/avi';
+    else if (ext === 'mov') mimeType = 'video/quicktime';
+    
+    const isGif = ext === 'gif';
+    const isVideo = mimeType.startsWith('video') || isGif;
+
+    return {
+        path: filePath,
+        name: path.basename(filePath),
+        data: `data:${mimeType};base64,${base64}`,
+        type: isVideo ? 'video' : 'image',
+        mime: mimeType,
+        extension: ext,
+        isGif: isGif
+    };
+}
+
+// Extensions the converter accepts; used to pick media out of folders added to the batch queue
+const MEDIA_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'mp4', 'webm', 'avi', 'mov'];
+
+// Recursively collect media files under a folder, sorted by path
+function collectMediaFiles(dirPath) {
+    const files = [];
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+        const fullPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...collectMediaFiles(fullPath));
+        } else if (MEDIA_EXTENSIONS.includes(path.extname(entry.name).toLowerCase().slice(1))) {
+            files.push(fullPath);
+        }
+    }
+    return files.sort();
+}
+
+// Multi-select for the batch queue and preset import; returns file paths only (files are read later)
+ipcMain.handle('dialog:openFiles', async (event, options) => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: options?.directory ? ['openDirectory', 'multiSelections'] : ['openFile', 'multiSelections'],
+        filters: options?.directory ? undefined : options?.filters || [
+            { name: 'Media', extensions: MEDIA_EXTENSIONS },
+            { name: 'All Files', extensions: ['*'] }
+        ]
+    });
+    
+    if (result.canceled) return [];
+    
+    const files = [];
+    for (const selected of result.filePaths) {
+        try {
+            if (fs.statSync(selected).isDirectory()) {
+                files.push(...collectMediaFiles(selected));
+            } else {
+                files.push(selected);
+            }
+        } catch (error) {
+            console.error(`[Main] Could not read ${selected}:`, error);
+        }
+    }
+    console.log(`[Main] ${files.length} file(s) selected for batch`);
+    return files;
+});
+
+ipcMain.handle('dialog:openDirectory', async (event, options) => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: options?.title,
+        defaultPath: options?.defaultPath,
+        properties: ['openDirectory', 'createDirectory']
+    });
+    
+    return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+});
+
+ipcMain.handle('file:readMedia', async (event, filePath) => {
+    return readMediaFile(filePath);
+});
+
+ipcMain.handle('path:join', async (event, parts) => {
+    return path.join(...parts);
+});
+
+// Entry names in a folder, or none when it cannot be read (e.g. a batch output folder not created yet)
+ipcMain.handle('path:list', async (event, dirPath) => {
+    try {
+        return await fs.promises.readdir(dirPath);
+    } catch (error) {
+        return [];
+    }
+});
+
 ipcMain.handle('dialog:saveFile', async (event, options) => {
     const result = await dialog.showSaveDialog(mainWindow, {
         defaultPath: options?.defaultPath || 'ascii-art',
@@ -278,8 +526,61 @@ ipcMain.handle('settings:save', async (event, settings) => {
     }
 });
 
+// Source audio for video exports, keyed by muxer id (added when the muxer is finalized)
+const muxerAudio = new Map();
+
+/**
+ * Copy the audio of the source file into an encoded video using the bundled ffmpeg.
+ * The audio is cut to the exported range so it stays in step with the frames.
+ * @param video Encoded video (Buffer)
+ * @param audio { filePath or dataUrl, extension, start (seconds into the source), duration (seconds) }
+ * @param format 'mp4' or 'webm'
+ * @returns { data (Buffer), audioError } - the video unchanged (with audioError set) if muxing fails
+ */
+async function muxSourceAudio(video, audio, format = 'mp4') {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glyphify-audio-'));
+    try {
+        let source = audio.filePath;
+        if (!source || !fs.existsSync(source)) {
+            const m = typeof audio.dataUrl === 'string' && audio.dataUrl.match(/^data:(.*?);base64,(.*)$/);
+            if (!m) throw new Error('no_audio_source');
+            source = path.join(tmpDir, `source${audio.extension ? `.${audio.extension}` : ''}`);
+            fs.writeFileSync(source, Buffer.from(m[2], 'base64'));
+        }
+        const videoPath = path.join(tmpDir, `video.${format}`);
+        const outPath = path.join(tmpDir, `out.${format}`);
+        fs.writeFileSync(videoPath, video);
+
+        const args = ['-y', '-v', 'error', '-i', videoPath];
+        if (audio.start > 0) args.push('-ss', String(audio.start));
+        if (audio.duration > 0) args.push('-t', String(audio.duration));
+        // The trailing '?' leaves the output silent instead of failing when the source has no audio
+        args.push('-i', source, '-map', '0:v:0', '-map', '1:a:0?', '-c:v', 'copy');
+        if (format === 'webm') {
+            args.push('-c:a', 'libopus', '-b:a', '128k', outPath);
+        } else {
+            args.push('-c:a', 'aac', '-b:a', '192k', '-movflags', '+faststart', outPath);
+        }
+        console.log('[Main] Muxing source audio ->', args.join(' '));
+
+        await new Promise((resolve, reject) => {
+            const ff = spawn(unpackedBinaryPath(require('ffmpeg-static')), args, { stdio: ['ignore', 'ignore', 'pipe'] });
+            let stderr = '';
+            ff.stderr.on('data', chunk => { stderr += chunk.toString(); });
+            ff.on('close', code => { if (code === 0) resolve(); else reject(new Error('ffmpeg failed: ' + stderr.trim())); });
+            ff.on('error', reject);
+        });
+        return { data: fs.readFileSync(outPath), audioError: null };
+    } catch (err) {
+        console.warn('[Main] Could not add source audio, keeping the silent video:', err && err.message);
+        return { data: video, audioError: (err && err.message) || String(err) };
+    } finally {
+        try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (e) { /* ignore */ }
+    }
+}
+
 // Video encoding handlers
-ipcMain.handle('video:createMuxer', async (event, { width, height, frameRate }) => {
+ipcMain.handle('video:createMuxer', async (event, { width, height, frameRate, audio }) => {
     // Store muxer in a Map with unique ID
     const muxerId = Date.now().toString();
     const videoOptions = {
@@ -297,6 +598,7 @@ ipcMain.handle('video:createMuxer', async (event, { width, height, frameRate })
     });
     global.muxers = global.muxers || new Map();
     global.muxers.set(muxerId, muxer);
+    if (audio) muxerAudio.set(muxerId, audio);
     console.log(`[Main] Created muxer ${muxerId} for ${width}x${height} ${videoOptions.frameRate ? `@ ${videoOptions.frameRate}fps` : ''}`);
     return { muxerId };
 });
@@ -376,12 +678,18 @@ ipcMain.handle('video:finalize', async (event, { muxerId }) => {
     const muxer = global.muxers?.get(muxerId);
     if (!muxer) throw new Error('Muxer not found');
     
+    const audio = muxerAudio.get(muxerId);
+    muxerAudio.delete(muxerId);
     try {
         muxer.finalize();
         const buffer = muxer.target.buffer;
         // Cleanup
         global.muxers.delete(muxerId);
         console.log(`[Main] Finalized muxer ${muxerId}, size: ${buffer.byteLength} bytes`);
+        if (audio) {
+            const { data, audioError } = await muxSourceAudio(Buffer.from(buffer), audio, 'mp4');
+            return { data: data.toString('base64'), audioError };
+        }
         // Return as base64 for IPC transfer
         return { data: Buffer.from(buffer).toString('base64') };
     } catch (err) {
@@ -392,12 +700,20 @@ ipcMain.handle('video:finalize', async (event, { muxerId }) => {
     }
 });
 
+// Drop a muxer whose encode attempt failed or was aborted, without finalizing or adding audio
+ipcMain.handle('video:dispose', async (event, { muxerId }) => {
+    muxerAudio.delete(muxerId);
+    const disposed = !!global.muxers?.delete(muxerId);
+    if (disposed) console.log(`[Main] Disposed muxer ${muxerId}`);
+    return { disposed };
+});
+
 
 
 // WebM node encoder removed — WebM export is unsupported and this handler has been removed to avoid accidental use.
 
 // Encode a sequence of PNG frames into MP4/WebM on the Node side using system ffmpeg
-ipcMain.handle('video:encodeFrames', async (event, { frames, width, height, fps, format = 'mp4', quality = 23 }) => {
+ipcMain.handle('video:encodeFrames', async (event, { frames, width, height, fps, format = 'mp4', quality = 23, audio = null }) => {
     if (!frames || !Array.isArray(frames) || frames.length === 0) throw new Error('No frames provided');
 
     // Ensure ffmpeg is available by spawning -- will throw if not found
@@ -445,8 +761,10 @@ ipcMain.handle('video:encodeFrames', async (event, { frames, width, height, fps,
             ff.on('error', err => reject(err));
         });
 
-        const data = fs.readFileSync(outPath);
-        return { data: data.toString('base64'), fileName: path.basename(outPath) };
+        let data = fs.readFileSync(outPath);
+        let audioError = null;
+        if (audio) ({ data, audioError } = await muxSourceAudio(data, audio, format === 'mp4' ? 'mp4' : 'webm'));
+        return { data: data.toString('base64'), fileName: path.basename(outPath), audioError };
     } catch (err) {
         console.error('[Main] video:encodeFrames failed:', err && (err.message || err));
         throw err;
@@ -456,7 +774,7 @@ ipcMain.handle('video:encodeFrames', async (event, { frames, width, height, fps,
 });
 
 // Stream frames to ffmpeg via stdin and capture output (avoids writing many PNGs to disk)
-ipcMain.handle('video:encodeFramesStream', async (event, { frames, width, height, fps, format = 'mp4', quality = 23 }) => {
+ipcMain.handle('video:encodeFramesStream', async (event, { frames, width, height, fps, format = 'mp4', quality = 23, audio = null }) => {
     if (!frames || !Array.isArray(frames) || frames.length === 0) throw new Error('No frames provided');
 
     // Ensure ffmpeg is available
@@ -497,12 +815,14 @@ ipcMain.handle('video:encodeFramesStream', async (event, { frames, width, height
         ff.stderr.on('data', chunk => { stderr += chunk.toString(); });
         ff.stdout.on('data', chunk => { chunks.push(Buffer.from(chunk)); });
 
-        ff.on('close', (code) => {
+        ff.on('close', async (code) => {
             if (settled) return;
             settled = true;
             if (code === 0) {
-                const out = Buffer.concat(chunks);
-                resolve({ data: out.toString('base64'), size: out.length });
+                let out = Buffer.concat(chunks);
+                let audioError = null;
+                if (audio) ({ data: out, audioError } = await muxSourceAudio(out, audio, format === 'mp4' ? 'mp4' : 'webm'));
+                resolve({ data: out.toString('base64'), size: out.length, audioError });
             } else {
                 reject(new Error('ffmpeg failed: ' + stderr));
             }
@@ -580,9 +900,18 @@ ipcMain.handle('video:encodeFramesStream', async (event, { frames, width, height
 let hasGifEncoder = true;
 const os = require('os');
 
+// Whether RGBA pixels contain the key color (0xRRGGBB) the renderer paints see-through pixels with
+function hasKeyPixels(pixels, key) {
+    const r = (key >> 16) & 0xFF, g = (key >> 8) & 0xFF, b = key & 0xFF;
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i] === r && pixels[i + 1] === g && pixels[i + 2] === b) return true;
+    }
+    return false;
+}
+
 ipcMain.handle('gif:available', async () => { return hasGifEncoder; });
 
-ipcMain.handle('gif:create', async (event, { width, height, repeat = 0, quality = 10, delay = 100 }) => {
+ipcMain.handle('gif:create', async (event, { width, height, repeat = 0, quality = 10, delay = 100, transparent = null }) => {
     const gifId = Date.now().toString();
     const tmpPath = path.join(os.tmpdir(), `ascii-gif-${gifId}.gif`);
 
@@ -605,7 +934,8 @@ ipcMain.handle('gif:create', async (event, { width, height, repeat = 0, quality
         encoder,
         path: tmpPath,
         width,
-        height
+        height,
+        transparent: typeof transparent === 'number' ? transparent : null
     });
 
     console.log(`[Main] Created GIF encoder ${gifId} -> ${tmpPath}`);
@@ -651,6 +981,10 @@ ipcMain.handle('gif:addFrames', async (event, { gifId, frames }) => {
 
         const frameDelay = typeof f.delay === 'number' ? f.delay : delay;
         encoder.setDelay(Math.round(frameDelay));
+        // A frame without key pixels would otherwise lose whichever image color is closest to the key
+        if (info.transparent !== null) {
+            encoder.setTransparent(hasKeyPixels(pixels, info.transparent) ? info.transparent : null);
+        }
         encoder.addFrame(pixels);
         // Yield to event loop
         await new Promise(resolve => setImmediate(resolve));
@@ -736,9 +1070,11 @@ ipcMain.handle('app:getVersion', async () => {
 ipcMain.handle('probe:video', async (event, payload) => {
     let tmpFile = null;
     try {
-        // Normalize payload to Buffer
+        // Normalize payload to Buffer (files on disk are probed in place)
         let buffer = null;
-        if (typeof payload === 'string') {
+        if (payload && payload.filePath && fs.existsSync(payload.filePath)) {
+            // Nothing to write out
+        } else if (typeof payload === 'string') {
             // data URL
             const m = payload.match(/^data:(.*?);base64,(.*)$/);
             if (!m) throw new Error('invalid_data_url');
@@ -754,22 +1090,28 @@ ipcMain.handle('probe:video', async (event, payload) => {
             throw new Error('unsupported_payload');
         }
 
-        const ext = (payload && payload.extension) ? `.${payload.extension}` : '';
-        tmpFile = path.join(os.tmpdir(), `glyphify-probe-${Date.now()}-${Math.random().toString(36).slice(2)}${ext}`);
-        fs.writeFileSync(tmpFile, buffer);
+        let source = payload && payload.filePath;
+        if (buffer) {
+            const ext = (payload && payload.extension) ? `.${payload.extension}` : '';
+            tmpFile = path.join(os.tmpdir(), `glyphify-probe-${Date.now()}-${Math.random().toString(36).slice(2)}${ext}`);
+            fs.writeFileSync(tmpFile, buffer);
+            source = tmpFile;
+        }
 
-        const ffprobePath = require('ffprobe-static').path;
+        const ffprobePath = unpackedBinaryPath(require('ffprobe-static').path);
         const util = require('util');
         const execFile = util.promisify(require('child_process').execFile);
-        const args = ['-v', 'quiet', '-print_format', 'json', '-show_streams', '-show_frames', tmpFile];
+        const args = ['-v', 'quiet', '-print_format', 'json', '-show_streams', source];
 
-        console.log('[Main] Running ffprobe on', tmpFile);
+        console.log('[Main] Running ffprobe on', source);
         const { stdout } = await execFile(ffprobePath, args, { maxBuffer: 200 * 1024 * 1024 });
         const parsed = JSON.parse(stdout);
+        const streams = parsed.streams || [];
+        const hasAudio = streams.some(stream => stream.codec_type === 'audio');
 
         let fps = null;
         let frames = null;
-        const s = parsed.streams && parsed.streams[0];
+        const s = streams.find(stream => stream.codec_type === 'video') || streams[0];
         if (s) {
             const rate = s.avg_frame_rate || s.r_frame_rate;
             if (rate && rate !== '0/0') {
@@ -780,12 +1122,16 @@ ipcMain.handle('probe:video', async (event, payload) => {
             }
             if (s.nb_frames) frames = parseInt(s.nb_frames, 10);
         }
-        if ((!frames || frames === 0) && Array.isArray(parsed.frames)) {
-            frames = parsed.frames.length;
+        // Counting frames means decoding every one, so only do it when the container does not say
+        if (!frames && s && payload.countFrames !== false) {
+            const { stdout: framesOut } = await execFile(ffprobePath, ['-v', 'quiet', '-print_format', 'json', '-select_streams', `${s.index}`, '-show_frames', source], { maxBuffer: 200 * 1024 * 1024 });
+            const framesParsed = JSON.parse(framesOut);
+            if (Array.isArray(framesParsed.frames)) frames = framesParsed.frames.length;
+            parsed.frames = framesParsed.frames;
         }
 
-        console.log('[Main] ffprobe result:', { fps, frames });
-        return { success: true, fps: fps ? Math.round(fps * 100) / 100 : null, frames: frames || null, raw: parsed };
+        console.log('[Main] ffprobe result:', { fps, frames, hasAudio });
+        return { success: true, fps: fps ? Math.round(fps * 100) / 100 : null, frames: frames || null, hasAudio, raw: parsed };
     } catch (err) {
         console.error('[Main] probe:video failed:', err);
         return { success: false, error: err && err.message ? err.message : String(err) };
@@ -794,14 +1140,42 @@ ipcMain.handle('probe:video', async (event, payload) => {
     }
 });
 
+// When packaged with asar, binaries may end up inside app.asar which cannot be spawned directly.
+// Prefer an unpacked copy if available (app.asar.unpacked).
+function unpackedBinaryPath(p) {
+    if (!p) return p;
+    try {
+        if (p.includes('app.asar')) {
+            const candidate = p.replace(/app\.asar([\\/])/, 'app.asar.unpacked$1');
+            if (fs.existsSync(candidate)) {
+                console.log('[Main] Using unpacked binary for path', candidate);
+                return candidate;
+            }
+        }
+    } catch (e) { /* ignore */ }
+    return p;
+}
+
+// ffmpeg input options that decode only [start, end) seconds of the source; either bound may be
+// left out. As input options they seek before decoding, so a short range of a long clip is quick.
+function trimInputArgs(start, end) {
+    const args = [];
+    if (start > 0) args.push('-ss', String(start));
+    if (end > 0 && !(end <= start)) args.push('-to', String(end));
+    return args;
+}
+
 // Extract frames using native ffmpeg (fallback when worker stalls)
 ipcMain.handle('extract:frames', async (event, payload) => {
     let tmpFile = null;
     let tmpDir = null;
     try {
-        // Normalize payload to Buffer
+        // Normalize payload to Buffer (files on disk are read in place)
         let buffer = null;
-        if (typeof payload === 'string') {
+        let source = null;
+        if (payload && payload.filePath && fs.existsSync(payload.filePath)) {
+            source = payload.filePath;
+        } else if (typeof payload === 'string') {
             const m = payload.match(/^data:(.*?);base64,(.*)$/);
             if (!m) throw new Error('invalid_data_url');
             buffer = Buffer.from(m[2], 'base64');
@@ -815,46 +1189,38 @@ ipcMain.handle('extract:frames', async (event, payload) => {
             throw new Error('unsupported_payload');
         }
 
-        const ext = (payload && payload.extension) ? `.${payload.extension}` : '';
-        tmpFile = path.join(os.tmpdir(), `glyphify-extract-${Date.now()}${ext}`);
-        fs.writeFileSync(tmpFile, buffer);
+        if (buffer) {
+            const ext = (payload && payload.extension) ? `.${payload.extension}` : '';
+            tmpFile = path.join(os.tmpdir(), `glyphify-extract-${Date.now()}${ext}`);
+            fs.writeFileSync(tmpFile, buffer);
+            source = tmpFile;
+        }
 
         // Prepare temp directory for frames
         tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glyphify-extract-'));
 
-        const ffmpegPathOrig = require('ffmpeg-static');
-        const ffprobePathOrig = require('ffprobe-static').path;
-        // When packaged with asar, binaries may end up inside app.asar which cannot be spawned directly.
-        // Prefer an unpacked copy if available (app.asar.unpacked).
-        const normalizeUnpacked = (p) => {
-            if (!p) return p;
-            try {
-                if (p.includes('app.asar')) {
-                    const candidate = p.replace(/app\.asar([\\/])/, 'app.asar.unpacked$1');
-                    if (require('fs').existsSync(candidate)) {
-                        console.log('[Main] Using unpacked binary for path', candidate);
-                        return candidate;
-                    }
-                }
-            } catch (e) { /* ignore */ }
-            return p;
-        };
-        let ffmpegPath = normalizeUnpacked(ffmpegPathOrig);
-        let ffprobePath = normalizeUnpacked(ffprobePathOrig);
+        let ffmpegPath = unpackedBinaryPath(require('ffmpeg-static'));
+        let ffprobePath = unpackedBinaryPath(require('ffprobe-static').path);
         const util = require('util');
         const execFile = util.promisify(require('child_process').execFile);
         const spawn = require('child_process').spawn;
 
+        // Optional time range (seconds) to extract
+        const rangeStart = (payload && payload.start) || 0;
+        const rangeEnd = (payload && payload.end) || null;
+        const trimmed = rangeStart > 0 || rangeEnd !== null;
+
         // Run ffprobe to estimate total frames/duration so we can report progress
         let expectedFrames = null;
         try {
-            const probeArgs = ['-v', 'quiet', '-print_format', 'json', '-show_streams', '-show_format', tmpFile];
+            const probeArgs = ['-v', 'quiet', '-print_format', 'json', '-show_streams', '-show_format', source];
             console.log('[Main] Probing for duration/frame info before extraction');
             const { stdout: probeOut } = await execFile(ffprobePath, probeArgs, { maxBuffer: 200 * 1024 * 1024 });
             const parsedProbe = JSON.parse(probeOut);
             const s = parsedProbe.streams && parsedProbe.streams[0];
             const format = parsedProbe.format || {};
-            const duration = parseFloat(format.duration) || (s && s.duration ? parseFloat(s.duration) : null);
+            let duration = parseFloat(format.duration) || (s && s.duration ? parseFloat(s.duration) : null);
+            if (duration && trimmed) duration = Math.max(0, Math.min(rangeEnd || duration, duration) - rangeStart);
             let avgRate = null;
             if (s) {
                 const rate = s.avg_frame_rate || s.r_frame_rate;
@@ -864,7 +1230,7 @@ ipcMain.handle('extract:frames', async (event, payload) => {
                         avgRate = Number(parts[0]) / Number(parts[1]);
                     }
                 }
-                if (s.nb_frames) expectedFrames = parseInt(s.nb_frames, 10);
+                if (s.nb_frames && !trimmed) expectedFrames = parseInt(s.nb_frames, 10);
             }
             if (!expectedFrames && duration) {
                 const useFps = payload && payload.frameRate ? payload.frameRate : (avgRate || 25);
@@ -875,8 +1241,8 @@ ipcMain.handle('extract:frames', async (event, payload) => {
             console.warn('[Main] Pre-extract probe failed:', probeErr && probeErr.message);
         }
 
-        // Optional frameRate limiting
-        const args = ['-i', tmpFile, '-vsync', '0'];
+        // Optional range and frameRate limiting
+        const args = [...trimInputArgs(rangeStart, rangeEnd), '-i', source, '-vsync', '0'];
         if (payload && payload.frameRate) {
             args.push('-vf', `fps=${payload.frameRate}`);
         }
@@ -923,12 +1289,14 @@ ipcMain.handle('extract:frames', async (event, payload) => {
         });
 
         // Use ffprobe to read frame timestamps
-        const probeArgs = ['-v', 'quiet', '-print_format', 'json', '-show_frames', tmpFile];
+        const probeArgs = ['-v', 'quiet', '-print_format', 'json', '-show_frames', source];
         const { stdout } = await execFile(ffprobePath, probeArgs, { maxBuffer: 200 * 1024 * 1024 });
         const parsed = JSON.parse(stdout);
-        const timestamps = Array.isArray(parsed.frames) ? parsed.frames.map(f => {
+        let timestamps = Array.isArray(parsed.frames) ? parsed.frames.map(f => {
             return (f.best_effort_timestamp_time || f.pkt_pts_time || f.pts_time || f.time) ? Number(f.best_effort_timestamp_time || f.pkt_pts_time || f.pts_time || f.time) : null;
         }) : [];
+        // Line the source timestamps up with the extracted range
+        if (trimmed) timestamps = timestamps.filter(t => t !== null && t >= rangeStart - 0.0005 && (rangeEnd === null || t < rangeEnd));
 
         // Read extracted frames
         const files = fs.readdirSync(tmpDir).filter(n => n.endsWith('.png')).sort();
@@ -964,7 +1332,7 @@ ipcMain.handle('extract:frames', async (event, payload) => {
         }
 
         // Cleanup
-        try { fs.unlinkSync(tmpFile); } catch (e) { /* ignore */ }
+        try { if (tmpFile) fs.unlinkSync(tmpFile); } catch (e) { /* ignore */ }
         try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (e) { /* ignore */ }
 
         const fps = null; // best-effort FPS can be computed from timestamps
@@ -977,6 +1345,237 @@ ipcMain.handle('extract:frames', async (event, payload) => {
     }
 });
 
+// ============================================
+// Streaming frame extraction
+// ============================================
+// Videos are decoded by ffmpeg straight into a raw RGBA pipe and handed to the renderer a few
+// frames at a time. ffmpeg's output is paused while the renderer is behind, so only a handful
+// of decoded frames exist at once however long the clip is.
+const FRAME_STREAM_BUFFER = 4;
+const frameStreams = new Map();
+let nextFrameStreamId = 1;
+
+// Size, frame rate and duration of the first video stream
+async function probeStreamSource(filePath) {
+    const execFile = require('util').promisify(require('child_process').execFile);
+    const ffprobePath = unpackedBinaryPath(require('ffprobe-static').path);
+    const args = ['-v', 'quiet', '-print_format', 'json', '-select_streams', 'v:0', '-show_streams', '-show_format', filePath];
+    const { stdout } = await execFile(ffprobePath, args, { maxBuffer: 16 * 1024 * 1024 });
+    const parsed = JSON.parse(stdout);
+    const s = parsed.streams && parsed.streams[0];
+    if (!s || !s.width || !s.height) throw new Error('no_video_stream');
+
+    let fps = null;
+    const rate = s.avg_frame_rate && s.avg_frame_rate !== '0/0' ? s.avg_frame_rate : s.r_frame_rate;
+    if (rate && rate !== '0/0') {
+        const parts = rate.split('/');
+        if (parts.length === 2 && Number(parts[1]) !== 0) fps = Number(parts[0]) / Number(parts[1]);
+    }
+    // ffmpeg applies the rotation tag while decoding, so quarter turns swap the frame size
+    const sideData = (s.side_data_list || []).find(d => typeof d.rotation === 'number');
+    const rotation = Math.abs(Number(sideData ? sideData.rotation : (s.tags && s.tags.rotate) || 0)) % 180;
+    const duration = parseFloat((parsed.format && parsed.format.duration) || s.duration) || null;
+    return {
+        width: rotation === 90 ? s.height : s.width,
+        height: rotation === 90 ? s.width : s.height,
+        fps,
+        duration
+    };
+}
+
+function closeFrameStream(streamId) {
+    const stream = frameStreams.get(streamId);
+    if (!stream) return;
+    frameStreams.delete(streamId);
+    stream.closed = true;
+    stream.queue = [];
+    if (!stream.done) {
+        try { stream.process.kill('SIGKILL'); } catch (e) { /* ignore */ }
+    }
+    if (stream.tmpFile) {
+        try { fs.unlinkSync(stream.tmpFile); } catch (e) { /* ignore */ }
+    }
+    if (stream.waiter) stream.waiter();
+}
+
+// Open a decode stream for a file path (or a data URL, which is written to a temp file first).
+// Frames come out at a constant rate: the requested one, else the source rate. start/end
+// (seconds) limit the stream to part of the source.
+ipcMain.handle('extract:openStream', async (event, { filePath, dataUrl, extension, frameRate, start = 0, end = null }) => {
+    let tmpFile = null;
+    try {
+        let source = filePath;
+        if (!source || !fs.existsSync(source)) {
+            const m = typeof dataUrl === 'string' && dataUrl.match(/^data:(.*?);base64,(.*)$/);
+            if (!m) throw new Error('invalid_data_url');
+            tmpFile = path.join(os.tmpdir(), `glyphify-stream-${Date.now()}${extension ? `.${extension}` : ''}`);
+            fs.writeFileSync(tmpFile, Buffer.from(m[2], 'base64'));
+            source = tmpFile;
+        }
+
+        const info = await probeStreamSource(source);
+        const fps = frameRate > 0 ? frameRate : (info.fps || 25);
+        const frameSize = info.width * info.height * 4;
+        const args = ['-v', 'error', ...trimInputArgs(start, end), '-i', source, '-an', '-vf', `fps=${fps}`, '-f', 'rawvideo', '-pix_fmt', 'rgba', 'pipe:1'];
+        const rangeEnd = end > 0 ? (info.duration ? Math.min(end, info.duration) : end) : info.duration;
+        const duration = rangeEnd ? Math.max(0, rangeEnd - (start || 0)) : null;
+        console.log('[Main] Streaming frames ->', args.join(' '));
+
+        const streamId = nextFrameStreamId++;
+        const ff = spawn(unpackedBinaryPath(require('ffmpeg-static')), args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const stream = {
+            process: ff,
+            tmpFile,
+            frameSize,
+            queue: [],
+            partial: null,
+            filled: 0,
+            done: false,
+            closed: false,
+            error: null,
+            stderr: '',
+            waiter: null
+        };
+        frameStreams.set(streamId, stream);
+
+        const wake = () => {
+            const waiter = stream.waiter;
+            stream.waiter = null;
+            if (waiter) waiter();
+        };
+
+        ff.stdout.on('data', (chunk) => {
+            let offset = 0;
+            while (offset < chunk.length) {
+                if (!stream.partial) {
+                    stream.partial = Buffer.allocUnsafe(frameSize);
+                    stream.filled = 0;
+                }
+                const copied = chunk.copy(stream.partial, stream.filled, offset, Math.min(chunk.length, offset + frameSize - stream.filled));
+                stream.filled += copied;
+                offset += copied;
+                if (stream.filled === frameSize) {
+                    stream.queue.push(stream.partial);
+                    stream.partial = null;
+                }
+            }
+            if (stream.queue.length >= FRAME_STREAM_BUFFER) ff.stdout.pause();
+            wake();
+        });
+        // Keep only the tail of ffmpeg's log for the error message
+        ff.stderr.on('data', (chunk) => {
+            stream.stderr = (stream.stderr + chunk.toString()).slice(-2000);
+        });
+        ff.on('error', (err) => {
+            stream.error = err.message;
+            stream.done = true;
+            wake();
+        });
+        ff.on('close', (code) => {
+            stream.done = true;
+            if (code !== 0 && !stream.closed) stream.error = stream.stderr.trim().split('\n').pop() || `ffmpeg exited with code ${code}`;
+            wake();
+        });
+
+        return {
+            success: true,
+            streamId,
+            width: info.width,
+            height: info.height,
+            frameRate: fps,
+            duration,
+            expectedFrames: duration ? Math.max(1, Math.round(duration * fps)) : null
+        };
+    } catch (err) {
+        console.error('[Main] extract:openStream failed:', err);
+        try { if (tmpFile) fs.unlinkSync(tmpFile); } catch (e) { /* ignore */ }
+        return { success: false, error: err && err.message ? err.message : String(err) };
+    }
+});
+
+// Take up to `max` decoded frames, waiting for the first one. `done` is set once the stream is drained.
+ipcMain.handle('extract:readStream', async (event, { streamId, max = FRAME_STREAM_BUFFER }) => {
+    const stream = frameStreams.get(streamId);
+    if (!stream) throw new Error('Frame stream not found');
+
+    if (stream.queue.length === 0 && !stream.done) {
+        await new Promise(resolve => { stream.waiter = resolve; });
+    }
+    if (stream.closed) return { frames: [], done: true };
+    if (stream.queue.length === 0 && stream.error) throw new Error(`Frame decoding failed: ${stream.error}`);
+
+    const frames = stream.queue.splice(0, Math.max(1, max));
+    if (!stream.done) stream.process.stdout.resume();
+    return { frames, done: stream.done && stream.queue.length === 0 };
+});
+
+ipcMain.handle('extract:closeStream', async (event, { streamId }) => {
+    closeFrameStream(streamId);
+    return { closed: true };
+});
+
+// ============================================
+// Frame store (disk spill for converted animations)
+// ============================================
+// Converted frames of a streamed clip are appended to a temp file instead of being kept in the
+// renderer, which reads single frames back for playback, scrubbing and export.
+const frameStores = new Map();
+let nextFrameStoreId = 1;
+
+function getFrameStore(storeId) {
+    const store = frameStores.get(storeId);
+    if (!store) throw new Error('Frame store not found');
+    return store;
+}
+
+function disposeFrameStore(storeId) {
+    const store = frameStores.get(storeId);
+    if (!store) return;
+    frameStores.delete(storeId);
+    try { fs.closeSync(store.fd); } catch (e) { /* ignore */ }
+    try { fs.rmSync(store.dir, { recursive: true, force: true }); } catch (e) { /* ignore */ }
+}
+
+ipcMain.handle('framestore:create', async () => {
+    const storeId = nextFrameStoreId++;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'glyphify-frames-'));
+    const fd = fs.openSync(path.join(dir, 'frames.bin'), 'w+');
+    frameStores.set(storeId, { dir, fd, entries: [], size: 0 });
+    return { storeId };
+});
+
+// Append packed frame records; the store only tracks where each one starts and how long it is
+ipcMain.handle('framestore:append', async (event, { storeId, records }) => {
+    const store = getFrameStore(storeId);
+    for (const record of records) {
+        const bytes = Buffer.from(record.buffer, record.byteOffset, record.byteLength);
+        fs.writeSync(store.fd, bytes, 0, bytes.length, store.size);
+        store.entries.push([store.size, bytes.length]);
+        store.size += bytes.length;
+    }
+    return { count: store.entries.length };
+});
+
+ipcMain.handle('framestore:read', async (event, { storeId, index }) => {
+    const store = getFrameStore(storeId);
+    const entry = store.entries[index];
+    if (!entry) return null;
+    const buffer = Buffer.allocUnsafe(entry[1]);
+    fs.readSync(store.fd, buffer, 0, entry[1], entry[0]);
+    return buffer;
+});
+
+ipcMain.handle('framestore:dispose', async (event, { storeId }) => {
+    disposeFrameStore(storeId);
+    return { disposed: true };
+});
+
+// Nothing streamed or spilled outlives the app
+app.on('will-quit', () => {
+    for (const streamId of [...frameStreams.keys()]) closeFrameStream(streamId);
+    for (const storeId of [...frameStores.keys()]) disposeFrameStore(storeId);
+});
+
 // Open external URLs using the OS default browser
 ipcMain.handle('open-external', async (event, url) => {
     try {
@@ -10,20 +10,31 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // File dialogs
     openFile: (options) => ipcRenderer.invoke('dialog:openFile', options),
     saveFile: (options) => ipcRenderer.invoke('dialog:saveFile', options),
+    openFiles: (options) => ipcRenderer.invoke('dialog:openFiles', options),
+    openDirectory: (options) => ipcRenderer.invoke('dialog:openDirectory', options),
+    
+    // Live capture
+    requestCameraAccess: () => ipcRenderer.invoke('media:requestCameraAccess'),
+    getCaptureSources: () => ipcRenderer.invoke('capture:getSources'),
     
     // File operations
     writeFile: (filePath, data, encoding) => ipcRenderer.invoke('file:save', { filePath, data, encoding }),
     readFile: (filePath) => ipcRenderer.invoke('file:read', filePath),
+    readMediaFile: (filePath) => ipcRenderer.invoke('file:readMedia', filePath),
+    joinPath: (...parts) => ipcRenderer.invoke('path:join', parts),
+    listDirectory: (dirPath) => ipcRenderer.invoke('path:list', dirPath),
     
     // Settings
     loadSettings: () => ipcRenderer.invoke('settings:load'),
     saveSettings: (settings) => ipcRenderer.invoke('settings:save', settings),
     
     // Video encoding (via main process mp4-muxer)
-    createVideoMuxer: (width, height, frameRate) => ipcRenderer.invoke('video:createMuxer', { width, height, frameRate }),
+    // audio: optional source file whose audio track is muxed in on finalize
+    createVideoMuxer: (width, height, frameRate, audio) => ipcRenderer.invoke('video:createMuxer', { width, height, frameRate, audio }),
     addVideoChunk: (muxerId, chunkData, timestamp, duration, isKeyFrame, meta) => 
         ipcRenderer.invoke('video:addChunk', { muxerId, chunkData, timestamp, duration, isKeyFrame, meta }),
     finalizeVideo: (muxerId) => ipcRenderer.invoke('video:finalize', { muxerId }),
+    disposeVideoMuxer: (muxerId) => ipcRenderer.invoke('video:dispose', { muxerId }),
 
     // Node-side frame encoder (PNG frames -> ffmpeg -> video)
     encodeFramesNode: (payload) => ipcRenderer.invoke('video:encodeFrames', payload),
@@ -63,8 +74,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
         ipcRenderer.on('extract:frames:progress', handler);
     },
 
+    // Streaming frame extraction (ffmpeg rawvideo pipe, read a few frames at a time)
+    openFrameStream: (payload) => ipcRenderer.invoke('extract:openStream', payload),
+    readFrameStream: (streamId, max) => ipcRenderer.invoke('extract:readStream', { streamId, max }),
+    closeFrameStream: (streamId) => ipcRenderer.invoke('extract:closeStream', { streamId }),
+
+    // Disk-backed store for converted animation frames
+    createFrameStore: () => ipcRenderer.invoke('framestore:create'),
+    appendFrameStore: (storeId, records) => ipcRenderer.invoke('framestore:append', { storeId, records }),
+    readFrameStore: (storeId, index) => ipcRenderer.invoke('framestore:read', { storeId, index }),
+    disposeFrameStore: (storeId) => ipcRenderer.invoke('framestore:dispose', { storeId }),
+
     // Open external URLs in the user's default browser
-    openExternal: (url) => ipcRenderer.invoke('open-external', url)
+    openExternal: (url) => ipcRenderer.invoke('open-external', url),
+
+    // Headless CLI job (used by the hidden conversion window only)
+    getCliJob: () => ipcRenderer.invoke('cli:getJob'),
+    reportCliProgress: (message) => ipcRenderer.send('cli:progress', message),
+    completeCliJob: (result) => ipcRenderer.invoke('cli:complete', result)
 });
 
 
@@ -15,6 +15,32 @@ class ASCIIConverter {
         dots: '⠿⠾⠼⠸⠰⠠⠀',
     };
     
+    // Braille dot bits indexed by [row][column] within a 2x4 cell (U+2800 + mask)
+    static BRAILLE_DOTS = [
+        [0x01, 0x08],
+        [0x02, 0x10],
+        [0x04, 0x20],
+        [0x40, 0x80]
+    ];
+    
+    // Block glyphs indexed by quadrant mask (TL=1, TR=2, BL=4, BR=8); set bits take the foreground color
+    static QUADRANT_CHARS = ' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█';
+    
+    // 4x4 Bayer threshold map, normalized to (0, 1)
+    static BAYER_4X4 = [
+        [0, 8, 2, 10],
+        [12, 4, 14, 6],
+        [3, 11, 1, 9],
+        [15, 7, 13, 5]
+    ].map(row => row.map(v => (v + 0.5) / 16));
+    
+    // Error-diffusion kernels as [dx, dy, weight]
+    static DITHER_KERNELS = {
+        'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+        // Atkinson only diffuses 6/8 of the error, which keeps highlights and shadows clean
+        atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+    };
+    
     // Color palettes for retro effects
     static COLOR_PALETTES = {
         full: null, // No palette, full 24-bit color
@@ -30,26 +56,89 @@ class ASCIIConverter {
         gameboy: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f']
     };
 
+    // sRGB byte value -> linear light (0-1), for averaging during resampling
+    static SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, i) => {
+        const c = i / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+
+    static linearToSrgb(value) {
+        if (value <= 0) return 0;
+        if (value >= 1) return 255;
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return Math.round(c * 255);
+    }
+
+    /**
+     * Canvas of the given size; an OffscreenCanvas in workers, which have no document
+     */
+    static createCanvas(width = 1, height = 1) {
+        if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
     constructor(options = {}) {
         this.options = {
             width: options.width || 100,
+            height: options.height || 40, // Rows for the 'height' and 'fit' size modes
+            sizeMode: options.sizeMode || 'width', // 'width' (fixed columns), 'height' (fixed rows) or 'fit' (within width x height)
+            pixelWidth: options.pixelWidth || null, // Raster export size in px; renderToCanvas picks the font size to match
+            pixelHeight: options.pixelHeight || null,
+            resample: options.resample || 'canvas', // 'canvas' (drawImage), 'box' (area average), 'lanczos' or 'median' (per cell)
             charset: options.charset || 'standard',
             customCharset: options.customCharset || null,
             colorMode: options.colorMode || 'color', // 'color' or 'grayscale'
             colorPalette: options.colorPalette || 'full', // 'full', 'ansi256', 'ansi16', 'cga', 'gameboy'
             fontSize: options.fontSize || 10,
             lineHeight: options.lineHeight || 1.0,
+            charAspect: options.charAspect || null, // Cell width / height; null derives it from the font's advance and lineHeight
             contrast: options.contrast || 100,
             brightness: options.brightness || 100,
+            gamma: options.gamma || 1.0, // Midtone gamma; above 1 brightens
+            levelsBlack: options.levelsBlack || 0, // Input black point (0-254)
+            levelsWhite: options.levelsWhite || 255, // Input white point (1-255)
+            toneCurve: options.toneCurve || null, // [[in, out], ...] control points (0-255), or null for none
+            equalize: options.equalize || 'none', // 'none', 'global' (histogram equalization) or 'clahe' (local, contrast-limited)
+            autoLevels: options.autoLevels || false, // Set black/white points from each frame's histogram (smoothed over time for video)
             invert: options.invert || false,
+            renderMode: options.renderMode || 'ascii', // 'ascii' (charset ramp), 'braille' (2x4 dots), 'halfblock' (1x2) or 'quadrant' (2x2)
+            brailleThreshold: options.brailleThreshold || 128, // Luminance cut-off for a raised Braille dot
+            dither: options.dither || 'none', // 'none', 'bayer', 'floyd-steinberg', 'atkinson' or 'auto' (Bayer for video, Floyd-Steinberg for stills)
+            ditherPalette: options.ditherPalette || false, // Also dither colors when reducing to a fixed palette
+            glyphMatch: options.glyphMatch || 'off', // 'off' (fixed ramp), 'coverage' (measured ink) or 'shape' (2x3 sub-cell match)
+            fontFamily: options.fontFamily || "Consolas, 'Courier New', monospace", // Output font used to measure glyphs
+            edges: options.edges || false, // Substitute directional glyphs (| / \ - _) along strong edges
+            edgeThreshold: options.edgeThreshold || 64, // Minimum Sobel magnitude (0-255 scale) for an edge glyph
             backgroundColor: options.backgroundColor || '#00000000',
+            crop: options.crop || null, // { x, y, width, height } as fractions of the source, applied before rotation
+            rotate: options.rotate || 0, // Clockwise quarter turns in degrees: 0, 90, 180 or 270
+            flipH: options.flipH || false, // Mirror the output horizontally
+            flipV: options.flipV || false, // Mirror the output vertically
+            mask: options.mask || 'none', // 'none', 'chroma' (key out maskColor) or 'luma' (key out pixels darker than maskThreshold)
+            maskColor: options.maskColor || '#00FF00', // Chroma key color
+            maskTolerance: options.maskTolerance || 30, // Chroma key distance, 0-100
+            maskThreshold: options.maskThreshold || 32, // Luminance cut-off, 0-255
+            maskInvert: options.maskInvert || false, // Key out the other side: everything but the key color, or bright pixels
             ...options
         };
         
         // Create offscreen canvas for image processing
-        this.canvas = document.createElement('canvas');
+        this.canvas = ASCIIConverter.createCanvas();
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
         
+        // Measured glyph coverage keyed by font and charset (see getGlyphMetrics)
+        this.glyphMetricsCache = new Map();
+        // Measured advance width per font (see getFontAdvance)
+        this.fontAdvanceCache = new Map();
+        // Smoothed auto levels carried from frame to frame (see applyHistogramTone)
+        this.autoLevelsState = null;
+        this.frameLevels = null;
+        // Background mask of the frame being converted (see computeMask)
+        this.frameMask = null;
+        
         // Generate ANSI 256 palette if needed
         if (!ASCIIConverter.COLOR_PALETTES.ansi256) {
             ASCIIConverter.COLOR_PALETTES.ansi256 = this.generateANSI256Palette();
@@ -93,10 +182,18 @@ class ASCIIConverter {
         const palette = ASCIIConverter.COLOR_PALETTES[this.options.colorPalette];
         if (!palette) return `rgb(${r},${g},${b})`; // Full color mode
         
+        return palette[this.findClosestPaletteIndex(palette, r, g, b)];
+    }
+
+    /**
+     * Find the index of the closest palette entry
+     */
+    findClosestPaletteIndex(palette, r, g, b) {
         let minDist = Infinity;
-        let closestColor = palette[0];
+        let closestIndex = 0;
         
-        for (const hexColor of palette) {
+        for (let i = 0; i < palette.length; i++) {
+            const hexColor = palette[i];
             const pr = parseInt(hexColor.slice(1, 3), 16);
             const pg = parseInt(hexColor.slice(3, 5), 16);
             const pb = parseInt(hexColor.slice(5, 7), 16);
@@ -110,21 +207,106 @@ class ASCIIConverter {
             
             if (dist < minDist) {
                 minDist = dist;
-                closestColor = hexColor;
+                closestIndex = i;
             }
         }
         
-        return closestColor;
+        return closestIndex;
     }
 
     /**
      * Get the character set to use
      */
     getCharset() {
-        if (this.options.customCharset) {
-            return this.options.customCharset;
+        const charset = this.options.customCharset
+            || ASCIIConverter.CHARSETS[this.options.charset]
+            || ASCIIConverter.CHARSETS.standard;
+        
+        // Custom charsets and glyph matching use the density order measured in the output font
+        if (this.options.customCharset || this.options.glyphMatch !== 'off') {
+            return this.getGlyphMetrics(charset).ramp;
         }
-        return ASCIIConverter.CHARSETS[this.options.charset] || ASCIIConverter.CHARSETS.standard;
+        return charset;
+    }
+
+    /**
+     * Rasterize each character of a charset in the output font and measure its ink
+     * coverage, overall and over a 2x3 sub-cell grid. Coverage is normalized so the
+     * lightest glyph is 0 and the densest 1. Results are cached per font and charset.
+     */
+    getGlyphMetrics(charset) {
+        const key = `${this.options.fontFamily}|${charset}`;
+        const cached = this.glyphMetricsCache.get(key);
+        if (cached) return cached;
+        
+        const size = 24;
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.font = `${size}px ${this.options.fontFamily}`;
+        const cellWidth = Math.max(1, Math.ceil(ctx.measureText('M').width));
+        const cellHeight = size;
+        canvas.width = cellWidth;
+        canvas.height = cellHeight;
+        
+        // Resizing resets context state
+        ctx.font = `${size}px ${this.options.fontFamily}`;
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#ffffff';
+        
+        const glyphs = [];
+        for (const char of new Set(charset)) {
+            ctx.clearRect(0, 0, cellWidth, cellHeight);
+            ctx.fillText(char, 0, 0);
+            const data = ctx.getImageData(0, 0, cellWidth, cellHeight).data;
+            
+            const shape = new Float32Array(6);
+            const counts = new Uint32Array(6);
+            let total = 0;
+            for (let y = 0; y < cellHeight; y++) {
+                const region = Math.min(2, Math.floor(y * 3 / cellHeight)) * 2;
+                for (let x = 0; x < cellWidth; x++) {
+                    const alpha = data[(y * cellWidth + x) * 4 + 3] / 255;
+                    const r = region + Math.min(1, Math.floor(x * 2 / cellWidth));
+                    shape[r] += alpha;
+                    counts[r]++;
+                    total += alpha;
+                }
+            }
+            for (let i = 0; i < 6; i++) shape[i] /= counts[i] || 1;
+            
+            glyphs.push({ char, coverage: total / (cellWidth * cellHeight), shape });
+        }
+        
+        const coverages = glyphs.map(g => g.coverage);
+        const minCoverage = Math.min(...coverages);
+        const coverageRange = (Math.max(...coverages) - minCoverage) || 1;
+        const maxRegion = Math.max(...glyphs.map(g => Math.max(...g.shape))) || 1;
+        for (const glyph of glyphs) {
+            glyph.coverage = (glyph.coverage - minCoverage) / coverageRange;
+            glyph.shape = glyph.shape.map(v => v / maxRegion);
+        }
+        
+        // Densest first, matching the dark-to-light order of the built-in ramps
+        const sorted = glyphs.slice().sort((a, b) => b.coverage - a.coverage);
+        
+        // Lookup from target ink (0-255) to the glyph with the nearest measured coverage
+        const lut = new Array(256);
+        for (let i = 0; i < 256; i++) {
+            const target = i / 255;
+            let best = sorted[0];
+            for (const glyph of sorted) {
+                if (Math.abs(glyph.coverage - target) < Math.abs(best.coverage - target)) best = glyph;
+            }
+            lut[i] = best.char;
+        }
+        
+        const metrics = { glyphs, ramp: sorted.map(g => g.char).join(''), lut };
+        // Typing a custom charset creates a new entry per keystroke, so keep the cache small
+        if (this.glyphMetricsCache.size >= 16) this.glyphMetricsCache.clear();
+        this.glyphMetricsCache.set(key, metrics);
+        return metrics;
     }
 
     /**
@@ -141,6 +323,546 @@ class ASCIIConverter {
         return Math.max(0, Math.min(255, adjusted));
     }
 
+    /**
+     * Build the per-channel tone adjuster for a frame: levels, gamma and the tone curve,
+     * then brightness and contrast, baked into a 256-entry lookup table
+     */
+    createToneAdjuster() {
+        const lut = this.buildToneLUT();
+        return (value) => lut[value];
+    }
+
+    buildToneLUT() {
+        const levels = this.frameLevels || { black: this.options.levelsBlack, white: this.options.levelsWhite };
+        const range = Math.max(1, levels.white - levels.black);
+        const gamma = this.options.gamma > 0 ? this.options.gamma : 1;
+        const curve = this.options.toneCurve ? ASCIIConverter.buildToneCurve(this.options.toneCurve) : null;
+        const brightness = this.options.brightness / 100;
+        const contrast = this.options.contrast;
+        const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+        
+        const lut = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let v = Math.max(0, Math.min(1, (i - levels.black) / range));
+            v = Math.pow(v, 1 / gamma) * 255;
+            if (curve) v = curve[Math.round(v)];
+            v = contrastFactor * (v * brightness - 128) + 128;
+            lut[i] = Math.max(0, Math.min(255, v));
+        }
+        return lut;
+    }
+
+    /**
+     * Interpolate tone curve control points into a 256-entry table with a monotone
+     * cubic spline, which passes through every point without overshooting
+     */
+    static buildToneCurve(points) {
+        const sorted = points
+            .map(([x, y]) => [Math.max(0, Math.min(255, x)), Math.max(0, Math.min(255, y))])
+            .sort((a, b) => a[0] - b[0])
+            .filter((p, i, all) => i === 0 || p[0] > all[i - 1][0]);
+        if (sorted.length < 2) return null;
+        
+        const n = sorted.length;
+        const xs = sorted.map(p => p[0]);
+        const ys = sorted.map(p => p[1]);
+        const slopes = [];
+        for (let i = 0; i < n - 1; i++) slopes.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+        
+        // Fritsch-Carlson tangents
+        const m = new Array(n);
+        m[0] = slopes[0];
+        m[n - 1] = slopes[n - 2];
+        for (let i = 1; i < n - 1; i++) {
+            m[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+        }
+        for (let i = 0; i < n - 1; i++) {
+            if (slopes[i] === 0) {
+                m[i] = m[i + 1] = 0;
+                continue;
+            }
+            const a = m[i] / slopes[i];
+            const b = m[i + 1] / slopes[i];
+            const s = a * a + b * b;
+            if (s > 9) {
+                const t = 3 / Math.sqrt(s);
+                m[i] = t * a * slopes[i];
+                m[i + 1] = t * b * slopes[i];
+            }
+        }
+        
+        const curve = new Float32Array(256);
+        let seg = 0;
+        for (let x = 0; x < 256; x++) {
+            let y;
+            if (x <= xs[0]) {
+                y = ys[0];
+            } else if (x >= xs[n - 1]) {
+                y = ys[n - 1];
+            } else {
+                while (x > xs[seg + 1]) seg++;
+                const h = xs[seg + 1] - xs[seg];
+                const t = (x - xs[seg]) / h;
+                const t2 = t * t;
+                const t3 = t2 * t;
+                y = (2 * t3 - 3 * t2 + 1) * ys[seg] + (t3 - 2 * t2 + t) * h * m[seg]
+                    + (-2 * t3 + 3 * t2) * ys[seg + 1] + (t3 - t2) * h * m[seg + 1];
+            }
+            curve[x] = Math.max(0, Math.min(255, y));
+        }
+        return curve;
+    }
+
+    /**
+     * Luminance histogram (256 bins) of RGBA pixels, ignoring transparent ones.
+     * `step` samples every nth pixel for large frames.
+     */
+    static computeHistogram(pixels, step = 1, histogram = new Uint32Array(256)) {
+        for (let i = 0; i < pixels.length; i += 4 * step) {
+            if (pixels[i + 3] < 8) continue;
+            histogram[Math.round(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2])]++;
+        }
+        return histogram;
+    }
+
+    /**
+     * Black and white points that clip `clip` (a fraction) of the pixels at each end
+     */
+    static findLevels(histogram, clip = 0.005) {
+        const total = histogram.reduce((sum, count) => sum + count, 0);
+        if (total === 0) return { black: 0, white: 255 };
+        const limit = total * clip;
+        
+        let black = 0;
+        for (let seen = 0; black < 254 && seen + histogram[black] <= limit; black++) seen += histogram[black];
+        let white = 255;
+        for (let seen = 0; white > black + 1 && seen + histogram[white] <= limit; white--) seen += histogram[white];
+        return { black, white };
+    }
+
+    /**
+     * Forget the smoothed auto levels, so the next clip starts from its own first frame
+     */
+    resetAutoLevels() {
+        this.autoLevelsState = null;
+    }
+
+    /**
+     * Histogram-driven tone steps that need the whole sampled frame: auto levels
+     * (picked up by createToneAdjuster) and global or CLAHE equalization.
+     * Returns the pixels to convert; the input is left untouched.
+     */
+    applyHistogramTone(pixels, width, height, animated) {
+        this.frameLevels = null;
+        if (this.options.autoLevels) {
+            const levels = ASCIIConverter.findLevels(ASCIIConverter.computeHistogram(pixels));
+            const previous = this.autoLevelsState;
+            // Ease video levels towards each frame's values so the output does not flicker
+            if (animated && previous) {
+                levels.black = previous.black + (levels.black - previous.black) * 0.15;
+                levels.white = previous.white + (levels.white - previous.white) * 0.15;
+            }
+            this.autoLevelsState = animated ? levels : null;
+            this.frameLevels = levels;
+        }
+        
+        const method = this.options.equalize;
+        if (method !== 'global' && method !== 'clahe') return pixels;
+        
+        const count = width * height;
+        const luma = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            const p = i * 4;
+            luma[i] = Math.round(0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2]);
+        }
+        const mapped = method === 'clahe' ? ASCIIConverter.clahe(luma, width, height) : ASCIIConverter.equalizeHistogram(luma);
+        
+        // Scale each color by its luminance change so hues are kept
+        const out = new Uint8ClampedArray(pixels);
+        for (let i = 0; i < count; i++) {
+            const p = i * 4;
+            if (luma[i] < 1) {
+                out[p] = out[p + 1] = out[p + 2] = mapped[i];
+                continue;
+            }
+            const ratio = mapped[i] / luma[i];
+            out[p] = pixels[p] * ratio;
+            out[p + 1] = pixels[p + 1] * ratio;
+            out[p + 2] = pixels[p + 2] * ratio;
+        }
+        return out;
+    }
+
+    /**
+     * Mark the sampled pixels that belong to the background: close to the chroma key
+     * color, or darker than the luminance threshold. Uses the source colors, before any
+     * tone adjustment. Returns { data, width, height } with 1 for masked pixels, or null.
+     */
+    computeMask(pixels, width, height) {
+        const { mask, maskInvert } = this.options;
+        if (mask !== 'chroma' && mask !== 'luma') return null;
+        
+        const count = width * height;
+        const data = new Uint8Array(count);
+        if (mask === 'luma') {
+            const threshold = this.options.maskThreshold;
+            for (let i = 0; i < count; i++) {
+                const p = i * 4;
+                const luma = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+                data[i] = (luma < threshold) !== maskInvert ? 1 : 0;
+            }
+            return { data, width, height };
+        }
+        
+        // Compare in YCbCr with brightness weighted down, so shadows on a green screen are keyed too
+        const hex = /^#?([0-9A-Fa-f]{6})/.exec(this.options.maskColor);
+        const key = hex ? parseInt(hex[1], 16) : 0x00FF00;
+        const toYCbCr = (r, g, b) => [
+            0.299 * r + 0.587 * g + 0.114 * b,
+            -0.168736 * r - 0.331264 * g + 0.5 * b,
+            0.5 * r - 0.418688 * g - 0.081312 * b
+        ];
+        const [keyY, keyCb, keyCr] = toYCbCr((key >> 16) & 0xFF, (key >> 8) & 0xFF, key & 0xFF);
+        const limit = Math.pow(this.options.maskTolerance / 100 * 255, 2);
+        for (let i = 0; i < count; i++) {
+            const p = i * 4;
+            const [y, cb, cr] = toYCbCr(pixels[p], pixels[p + 1], pixels[p + 2]);
+            const dy = (y - keyY) * 0.25;
+            const distance = (cb - keyCb) * (cb - keyCb) + (cr - keyCr) * (cr - keyCr) + dy * dy;
+            data[i] = (distance <= limit) !== maskInvert ? 1 : 0;
+        }
+        return { data, width, height };
+    }
+
+    /**
+     * Blank out the cells whose samples are mostly masked: a space with no cell
+     * background, so the output background (transparent by default) shows through
+     */
+    applyMask(lines, colorData) {
+        const mask = this.frameMask;
+        const rows = lines.length;
+        const cols = rows ? lines[0].length : 0;
+        if (!mask || !cols) return;
+        
+        // Samples per cell: 1x1 for the ramp, 2x4 for Braille, 2x3 for shape matching, ...
+        const cellX = Math.max(1, Math.floor(mask.width / cols));
+        const cellY = Math.max(1, Math.floor(mask.height / rows));
+        const half = cellX * cellY / 2;
+        for (let row = 0; row < rows; row++) {
+            let line = '';
+            for (let col = 0; col < lines[row].length; col++) {
+                let masked = 0;
+                for (let dy = 0; dy < cellY; dy++) {
+                    const offset = (row * cellY + dy) * mask.width + col * cellX;
+                    for (let dx = 0; dx < cellX; dx++) masked += mask.data[offset + dx];
+                }
+                if (masked > half) {
+                    line += ' ';
+                    colorData[row][col] = { r: 0, g: 0, b: 0 };
+                } else {
+                    line += lines[row][col];
+                }
+            }
+            lines[row] = line;
+        }
+    }
+
+    /**
+     * Map luminance values through their cumulative histogram
+     */
+    static equalizeHistogram(luma) {
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < luma.length; i++) histogram[luma[i]]++;
+        const cdf = new Uint32Array(256);
+        let sum = 0;
+        for (let v = 0; v < 256; v++) cdf[v] = sum += histogram[v];
+        const cdfMin = cdf.find(c => c > 0) || 0;
+        const span = Math.max(1, luma.length - cdfMin);
+        
+        const out = new Uint8Array(luma.length);
+        for (let i = 0; i < luma.length; i++) out[i] = Math.round((cdf[luma[i]] - cdfMin) / span * 255);
+        return out;
+    }
+
+    /**
+     * Contrast-limited adaptive histogram equalization: equalize each tile of an up to
+     * 8x8 grid with its histogram clipped at `clipLimit` times the mean bin, then blend
+     * neighbouring tiles' mappings bilinearly so tile borders do not show
+     */
+    static clahe(luma, width, height, clipLimit = 2.5) {
+        const tilesX = Math.max(1, Math.min(8, Math.floor(width / 8)));
+        const tilesY = Math.max(1, Math.min(8, Math.floor(height / 8)));
+        const tileW = width / tilesX;
+        const tileH = height / tilesY;
+        
+        const maps = [];
+        for (let ty = 0; ty < tilesY; ty++) {
+            for (let tx = 0; tx < tilesX; tx++) {
+                const x0 = Math.floor(tx * tileW), x1 = Math.floor((tx + 1) * tileW);
+                const y0 = Math.floor(ty * tileH), y1 = Math.floor((ty + 1) * tileH);
+                const histogram = new Float32Array(256);
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) histogram[luma[y * width + x]]++;
+                }
+                const pixelCount = Math.max(1, (x1 - x0) * (y1 - y0));
+                
+                // Clip and spread the excess evenly over all bins
+                const limit = Math.max(1, clipLimit * pixelCount / 256);
+                let excess = 0;
+                for (let v = 0; v < 256; v++) {
+                    if (histogram[v] > limit) {
+                        excess += histogram[v] - limit;
+                        histogram[v] = limit;
+                    }
+                }
+                const map = new Float32Array(256);
+                let sum = 0;
+                for (let v = 0; v < 256; v++) {
+                    sum += histogram[v] + excess / 256;
+                    map[v] = Math.min(255, sum / pixelCount * 255);
+                }
+                maps.push(map);
+            }
+        }
+        
+        const out = new Uint8Array(luma.length);
+        for (let y = 0; y < height; y++) {
+            // Position between tile centers
+            const fy = Math.max(0, Math.min(tilesY - 1, (y + 0.5) / tileH - 0.5));
+            const ty0 = Math.floor(fy);
+            const ty1 = Math.min(tilesY - 1, ty0 + 1);
+            const wy = fy - ty0;
+            for (let x = 0; x < width; x++) {
+                const fx = Math.max(0, Math.min(tilesX - 1, (x + 0.5) / tileW - 0.5));
+                const tx0 = Math.floor(fx);
+                const tx1 = Math.min(tilesX - 1, tx0 + 1);
+                const wx = fx - tx0;
+                const v = luma[y * width + x];
+                const top = maps[ty0 * tilesX + tx0][v] * (1 - wx) + maps[ty0 * tilesX + tx1][v] * wx;
+                const bottom = maps[ty1 * tilesX + tx0][v] * (1 - wx) + maps[ty1 * tilesX + tx1][v] * wx;
+                out[y * width + x] = Math.round(top * (1 - wy) + bottom * wy);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Advance width of one character in the output font, as a fraction of the font size
+     */
+    getFontAdvance() {
+        const key = this.options.fontFamily;
+        const cached = this.fontAdvanceCache.get(key);
+        if (cached) return cached;
+        
+        const size = 100;
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.font = `${size}px ${this.options.fontFamily}`;
+        const measured = ctx.measureText('M').width / size;
+        const advance = measured > 0 ? measured : 0.6; // Typical monospace ratio if measuring fails
+        this.fontAdvanceCache.set(key, advance);
+        return advance;
+    }
+
+    /**
+     * Width / height of one character cell. Sampling and every renderer use this,
+     * so proportions survive from the source image to the exported output.
+     */
+    getCellAspect() {
+        if (this.options.charAspect > 0) return this.options.charAspect;
+        return this.getFontAdvance() / this.options.lineHeight;
+    }
+
+    /**
+     * Character cell size in px at a font size. `advance` is the font's natural glyph
+     * width; it differs from charWidth only when charAspect is set manually.
+     */
+    getCellLayout(fontSize) {
+        const lineHeight = fontSize * this.options.lineHeight;
+        return {
+            fontSize,
+            lineHeight,
+            charWidth: lineHeight * this.getCellAspect(),
+            advance: fontSize * this.getFontAdvance()
+        };
+    }
+
+    /**
+     * Letter spacing in px that fits text glyphs to the cell width in HTML and SVG
+     * output (0 unless charAspect is set manually)
+     */
+    getLetterSpacing(fontSize) {
+        const { charWidth, advance } = this.getCellLayout(fontSize);
+        return Number((charWidth - advance).toFixed(3));
+    }
+
+    /**
+     * Output size in characters for a source with the given height / width ratio,
+     * following options.sizeMode
+     */
+    getGridSize(aspectRatio) {
+        // Characters are taller than wide, so fewer rows than columns cover the same distance
+        const rowsPerColumn = aspectRatio * this.getCellAspect();
+        const rowsFor = (columns) => Math.max(1, Math.floor(columns * rowsPerColumn));
+        const columnsFor = (rows) => Math.max(1, Math.round(rows / rowsPerColumn));
+        const { sizeMode, width, height } = this.options;
+        
+        if (sizeMode === 'height') return { columns: columnsFor(height), rows: height };
+        if (sizeMode === 'fit') {
+            const rows = rowsFor(width);
+            return rows > height ? { columns: Math.min(width, columnsFor(height)), rows: height } : { columns: width, rows };
+        }
+        return { columns: width, rows: rowsFor(width) };
+    }
+
+    /**
+     * Source pixels sampled per character cell for the current render mode
+     */
+    getCellSamples() {
+        switch (this.options.renderMode) {
+            case 'braille': return { x: 2, y: 4 };
+            case 'halfblock': return { x: 1, y: 2 };
+            case 'quadrant': return { x: 2, y: 2 };
+            default: return this.options.glyphMatch === 'shape' ? { x: 2, y: 3 } : { x: 1, y: 1 };
+        }
+    }
+
+    /**
+     * Resolve the dither method for a conversion. Animated sources get ordered dithering
+     * under 'auto' because error diffusion patterns shimmer from frame to frame.
+     */
+    getDitherMethod(animated = false) {
+        const method = this.options.dither;
+        if (method === 'auto') return animated ? 'bayer' : 'floyd-steinberg';
+        if (method === 'bayer' || ASCIIConverter.DITHER_KERNELS[method]) return method;
+        return 'none';
+    }
+
+    /**
+     * Quantize a grid of continuous levels in [0, maxLevel] to integers with the given
+     * dither method. Returns a new Uint8Array of level indices.
+     */
+    ditherLevels(values, width, height, maxLevel, method) {
+        const out = new Uint8Array(width * height);
+        const clampLevel = (v) => (v < 0 ? 0 : (v > maxLevel ? maxLevel : v));
+        
+        if (method === 'bayer') {
+            const bayer = ASCIIConverter.BAYER_4X4;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = y * width + x;
+                    out[i] = clampLevel(Math.floor(values[i] + bayer[y & 3][x & 3]));
+                }
+            }
+            return out;
+        }
+        
+        const kernel = ASCIIConverter.DITHER_KERNELS[method];
+        const buffer = Float32Array.from(values);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const level = clampLevel(Math.round(buffer[i]));
+                const error = buffer[i] - level;
+                out[i] = level;
+                
+                for (const [dx, dy, weight] of kernel) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx >= 0 && nx < width && ny < height) {
+                        buffer[ny * width + nx] += error * weight;
+                    }
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Snap colorData (foregrounds and cell backgrounds) to the active fixed palette with
+     * dithering, so findClosestColor later maps every cell to exactly the chosen entry
+     */
+    ditherPaletteColors(colorData, method) {
+        const palette = ASCIIConverter.COLOR_PALETTES[this.options.colorPalette];
+        if (!palette) return;
+        
+        const rgbPalette = palette.map(hex => [
+            parseInt(hex.slice(1, 3), 16),
+            parseInt(hex.slice(3, 5), 16),
+            parseInt(hex.slice(5, 7), 16)
+        ]);
+        const nearest = (r, g, b) => {
+            let best = rgbPalette[0];
+            let bestDist = Infinity;
+            for (const p of rgbPalette) {
+                const dist = (r - p[0]) ** 2 + (g - p[1]) ** 2 + (b - p[2]) ** 2;
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = p;
+                }
+            }
+            return best;
+        };
+        
+        const height = colorData.length;
+        const width = height ? colorData[0].length : 0;
+        const layers = height && colorData[0][0] && colorData[0][0].bg ? [null, 'bg'] : [null];
+        
+        for (const layer of layers) {
+            const get = (x, y) => (layer ? colorData[y][x][layer] : colorData[y][x]);
+            
+            if (method === 'bayer') {
+                // Ordered dithering offsets each channel by up to a quarter of the range
+                const bayer = ASCIIConverter.BAYER_4X4;
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const c = get(x, y);
+                        const offset = (bayer[y & 3][x & 3] - 0.5) * 64;
+                        const p = nearest(c.r + offset, c.g + offset, c.b + offset);
+                        c.r = p[0];
+                        c.g = p[1];
+                        c.b = p[2];
+                    }
+                }
+                continue;
+            }
+            
+            const kernel = ASCIIConverter.DITHER_KERNELS[method];
+            const buffer = new Float32Array(width * height * 3);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const c = get(x, y);
+                    const i = (y * width + x) * 3;
+                    buffer[i] = c.r;
+                    buffer[i + 1] = c.g;
+                    buffer[i + 2] = c.b;
+                }
+            }
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = (y * width + x) * 3;
+                    const p = nearest(buffer[i], buffer[i + 1], buffer[i + 2]);
+                    const c = get(x, y);
+                    for (let ch = 0; ch < 3; ch++) {
+                        const error = buffer[i + ch] - p[ch];
+                        for (const [dx, dy, weight] of kernel) {
+                            const nx = x + dx;
+                            const ny = y + dy;
+                            if (nx >= 0 && nx < width && ny < height) {
+                                buffer[(ny * width + nx) * 3 + ch] += error * weight;
+                            }
+                        }
+                    }
+                    c.r = p[0];
+                    c.g = p[1];
+                    c.b = p[2];
+                }
+            }
+        }
+    }
+
     /**
      * Convert RGB to grayscale using luminance formula
      */
@@ -153,6 +875,11 @@ class ASCIIConverter {
      * Map a brightness value to a character
      */
     brightnessToChar(brightness) {
+        if (this.options.glyphMatch === 'coverage') {
+            const ink = Math.round(this.options.invert ? 255 - brightness : brightness);
+            return this.getGlyphMetrics(this.getCharset()).lut[ink];
+        }
+        
         const charset = this.getCharset();
         const normalizedBrightness = brightness / 255;
         
@@ -166,25 +893,280 @@ class ASCIIConverter {
         return charset[Math.max(0, Math.min(charset.length - 1, index))];
     }
 
+    /**
+     * Pick an orientation-matched glyph for the cell at (x, y) from a Sobel gradient
+     * over the adjusted luminance grid. Returns null when the edge is below the threshold.
+     */
+    edgeCharAt(luma, width, height, x, y) {
+        const at = (px, py) => {
+            const cx = px < 0 ? 0 : (px >= width ? width - 1 : px);
+            const cy = py < 0 ? 0 : (py >= height ? height - 1 : py);
+            return luma[cy * width + cx];
+        };
+
+        const tl = at(x - 1, y - 1), t = at(x, y - 1), tr = at(x + 1, y - 1);
+        const l = at(x - 1, y), r = at(x + 1, y);
+        const bl = at(x - 1, y + 1), b = at(x, y + 1), br = at(x + 1, y + 1);
+
+        const gx = (tr + 2 * r + br) - (tl + 2 * l + bl);
+        const gy = (bl + 2 * b + br) - (tl + 2 * t + tr);
+
+        // Sobel magnitude peaks around 4 * 255; scale it back to the 0-255 range of the threshold
+        const magnitude = Math.sqrt(gx * gx + gy * gy) / 4;
+        if (magnitude < this.options.edgeThreshold) return null;
+
+        // The edge runs perpendicular to the gradient; fold the gradient angle into 0-180 degrees
+        let angle = Math.atan2(gy, gx) * 180 / Math.PI;
+        if (angle < 0) angle += 180;
+
+        if (angle < 22.5 || angle >= 157.5) return '|';
+        if (angle < 67.5) return '/';
+        // Horizontal edge: use '_' when the dark side is above so outlines sit on the baseline
+        if (angle < 112.5) return gy > 0 ? '_' : '-';
+        return '\\';
+    }
+
+    /**
+     * Source rectangle in pixels after applying options.crop (fractions of the source)
+     */
+    getCropRect(sourceWidth, sourceHeight) {
+        const crop = this.options.crop;
+        if (!crop) return { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+        const x = Math.min(sourceWidth - 1, Math.round(crop.x * sourceWidth));
+        const y = Math.min(sourceHeight - 1, Math.round(crop.y * sourceHeight));
+        return {
+            x,
+            y,
+            width: Math.max(1, Math.min(sourceWidth - x, Math.round(crop.width * sourceWidth))),
+            height: Math.max(1, Math.min(sourceHeight - y, Math.round(crop.height * sourceHeight)))
+        };
+    }
+
+    /**
+     * Transform stage shared by every convert path: crop the source, rotate it by
+     * quarter turns, flip it, and scale it into the sampling canvas at the output size.
+     * Scaling uses drawImage, or options.resample on the full-resolution pixels; pass
+     * the source's ImageData when it is already at hand to skip reading it back.
+     * Returns the canvas size in samples.
+     */
+    drawSource(source, sourceWidth, sourceHeight, sourceImageData = null) {
+        const src = this.getCropRect(sourceWidth, sourceHeight);
+        const rotate = ((Math.round((this.options.rotate || 0) / 90) % 4) + 4) % 4 * 90;
+        const quarterTurn = rotate === 90 || rotate === 270;
+        const transformed = rotate !== 0 || this.options.flipH || this.options.flipV;
+
+        const aspectRatio = quarterTurn ? src.width / src.height : src.height / src.width;
+        const { columns, rows } = this.getGridSize(aspectRatio);
+        
+        // Sub-pixel modes sample several source pixels per character cell
+        const cell = this.getCellSamples();
+        const width = columns * cell.x;
+        const height = rows * cell.y;
+        
+        const method = this.options.resample;
+        if (method !== 'box' && method !== 'lanczos' && method !== 'median') {
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this.drawTransformed(this.ctx, source, src, rotate, width, height);
+            return { width, height };
+        }
+        
+        // Resample from the full-resolution pixels, transformed first when needed
+        let full;
+        const wholeSource = src.x === 0 && src.y === 0 && src.width === sourceWidth && src.height === sourceHeight;
+        if (sourceImageData && wholeSource && !transformed) {
+            full = sourceImageData;
+        } else {
+            const fullWidth = quarterTurn ? src.height : src.width;
+            const fullHeight = quarterTurn ? src.width : src.height;
+            if (!this.workCanvas) {
+                this.workCanvas = ASCIIConverter.createCanvas();
+                this.workCtx = this.workCanvas.getContext('2d', { willReadFrequently: true });
+            }
+            this.workCanvas.width = fullWidth;
+            this.workCanvas.height = fullHeight;
+            this.drawTransformed(this.workCtx, source, src, rotate, fullWidth, fullHeight);
+            full = this.workCtx.getImageData(0, 0, fullWidth, fullHeight);
+        }
+        
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.putImageData(this.resampleImageData(full, width, height, method), 0, 0);
+        return { width, height };
+    }
+
+    /**
+     * Draw the crop rectangle `src` of a source into ctx at width x height, rotated
+     * clockwise by `rotate` degrees and flipped per the options
+     */
+    drawTransformed(ctx, source, src, rotate, width, height) {
+        if (rotate === 0 && !this.options.flipH && !this.options.flipV) {
+            ctx.drawImage(source, src.x, src.y, src.width, src.height, 0, 0, width, height);
+            return;
+        }
+        // Flips are applied last so they mirror the output as seen, whatever the rotation
+        const quarterTurn = rotate === 90 || rotate === 270;
+        const drawWidth = quarterTurn ? height : width;
+        const drawHeight = quarterTurn ? width : height;
+        ctx.save();
+        ctx.translate(width / 2, height / 2);
+        ctx.scale(this.options.flipH ? -1 : 1, this.options.flipV ? -1 : 1);
+        ctx.rotate(rotate * Math.PI / 180);
+        ctx.drawImage(source, src.x, src.y, src.width, src.height, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+        ctx.restore();
+    }
+
+    /**
+     * Filter taps for one axis of a separable resample: for each destination pixel, the
+     * first source pixel and normalized weights. 'box' weights each source pixel by its
+     * overlap with the destination pixel; 'lanczos' uses a Lanczos-3 kernel widened by
+     * the scale factor when shrinking.
+     */
+    static resampleTaps(srcSize, dstSize, method) {
+        const scale = srcSize / dstSize;
+        const lanczos = (x) => {
+            if (x === 0) return 1;
+            if (Math.abs(x) >= 3) return 0;
+            const px = Math.PI * x;
+            return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
+        };
+        
+        const taps = [];
+        for (let d = 0; d < dstSize; d++) {
+            const weights = [];
+            let start;
+            if (method === 'lanczos') {
+                const stretch = Math.max(1, scale);
+                const center = (d + 0.5) * scale;
+                start = Math.max(0, Math.floor(center - 3 * stretch));
+                const end = Math.min(srcSize, Math.ceil(center + 3 * stretch));
+                for (let s = start; s < end; s++) weights.push(lanczos((s + 0.5 - center) / stretch));
+            } else {
+                const left = d * scale;
+                const right = (d + 1) * scale;
+                start = Math.min(srcSize - 1, Math.floor(left));
+                const end = Math.max(start + 1, Math.min(srcSize, Math.ceil(right)));
+                for (let s = start; s < end; s++) weights.push(Math.max(0, Math.min(s + 1, right) - Math.max(s, left)));
+            }
+            const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+            taps.push({ start, weights: Float32Array.from(weights, w => w / total) });
+        }
+        return taps;
+    }
+
+    /**
+     * Scale ImageData to dstWidth x dstHeight with 'box' (area average), 'lanczos' or
+     * 'median'. Averaging happens in linear light with alpha-weighted colors, so fine
+     * dark-on-light detail such as text keeps its true brightness.
+     */
+    resampleImageData(imageData, dstWidth, dstHeight, method = 'box') {
+        if (method === 'median') return this.medianResample(imageData, dstWidth, dstHeight);
+        
+        const { width: srcWidth, height: srcHeight, data } = imageData;
+        const toLinear = ASCIIConverter.SRGB_TO_LINEAR;
+        const xTaps = ASCIIConverter.resampleTaps(srcWidth, dstWidth, method);
+        const yTaps = ASCIIConverter.resampleTaps(srcHeight, dstHeight, method);
+        
+        // Horizontal pass: premultiplied linear RGB plus alpha, one row per source row
+        const temp = new Float32Array(dstWidth * srcHeight * 4);
+        for (let y = 0; y < srcHeight; y++) {
+            const row = y * srcWidth;
+            for (let x = 0; x < dstWidth; x++) {
+                const { start, weights } = xTaps[x];
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const i = (row + start + k) * 4;
+                    const w = weights[k] * data[i + 3] / 255;
+                    r += toLinear[data[i]] * w;
+                    g += toLinear[data[i + 1]] * w;
+                    b += toLinear[data[i + 2]] * w;
+                    a += w;
+                }
+                const o = (y * dstWidth + x) * 4;
+                temp[o] = r;
+                temp[o + 1] = g;
+                temp[o + 2] = b;
+                temp[o + 3] = a;
+            }
+        }
+        
+        // Vertical pass, then back to straight-alpha sRGB bytes
+        const out = new ImageData(dstWidth, dstHeight);
+        const pixels = out.data;
+        for (let y = 0; y < dstHeight; y++) {
+            const { start, weights } = yTaps[y];
+            for (let x = 0; x < dstWidth; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const i = ((start + k) * dstWidth + x) * 4;
+                    const w = weights[k];
+                    r += temp[i] * w;
+                    g += temp[i + 1] * w;
+                    b += temp[i + 2] * w;
+                    a += temp[i + 3] * w;
+                }
+                const o = (y * dstWidth + x) * 4;
+                if (a > 1e-6) {
+                    pixels[o] = ASCIIConverter.linearToSrgb(r / a);
+                    pixels[o + 1] = ASCIIConverter.linearToSrgb(g / a);
+                    pixels[o + 2] = ASCIIConverter.linearToSrgb(b / a);
+                }
+                pixels[o + 3] = Math.max(0, Math.min(255, Math.round(a * 255)));
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Per-cell median: each destination pixel takes the source pixel of median luminance
+     * within its cell. The result is always a real color from the cell, so thin lines
+     * stay crisp rather than blurring into their surroundings.
+     */
+    medianResample(imageData, dstWidth, dstHeight) {
+        const { width: srcWidth, height: srcHeight, data } = imageData;
+        const out = new ImageData(dstWidth, dstHeight);
+        const pixels = out.data;
+        const bounds = (d, srcSize, dstSize) => {
+            const start = Math.min(srcSize - 1, Math.floor(d * srcSize / dstSize));
+            return [start, Math.max(start + 1, Math.min(srcSize, Math.floor((d + 1) * srcSize / dstSize)))];
+        };
+        const xBounds = Array.from({ length: dstWidth }, (_, x) => bounds(x, srcWidth, dstWidth));
+        // Sort keys pack luminance above the pixel index
+        let keys = new Float64Array(0);
+        
+        for (let y = 0; y < dstHeight; y++) {
+            const [y0, y1] = bounds(y, srcHeight, dstHeight);
+            for (let x = 0; x < dstWidth; x++) {
+                const [x0, x1] = xBounds[x];
+                const count = (x1 - x0) * (y1 - y0);
+                if (keys.length < count) keys = new Float64Array(count);
+                let n = 0;
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const i = sy * srcWidth + sx;
+                        const p = i * 4;
+                        const lum = Math.round(0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]);
+                        keys[n++] = lum * 2 ** 32 + i;
+                    }
+                }
+                const median = keys.subarray(0, n).sort()[n >> 1] % 2 ** 32;
+                const p = median * 4;
+                const o = (y * dstWidth + x) * 4;
+                pixels[o] = data[p];
+                pixels[o + 1] = data[p + 1];
+                pixels[o + 2] = data[p + 2];
+                pixels[o + 3] = data[p + 3];
+            }
+        }
+        return out;
+    }
+
     /**
      * Convert an image element to ASCII art
      */
     convertImage(imageElement) {
         return new Promise((resolve) => {
-            // Calculate dimensions maintaining aspect ratio
-            // Characters are typically taller than wide, so we adjust
-            const aspectRatio = imageElement.naturalHeight / imageElement.naturalWidth;
-            const charAspectRatio = 0.5; // Characters are roughly twice as tall as wide
-            
-            const width = this.options.width;
-            const height = Math.floor(width * aspectRatio * charAspectRatio);
-            
-            // Set canvas size
-            this.canvas.width = width;
-            this.canvas.height = height;
-            
-            // Draw image scaled down
-            this.ctx.drawImage(imageElement, 0, 0, width, height);
+            const { width, height } = this.drawSource(imageElement, imageElement.naturalWidth, imageElement.naturalHeight);
             
             // Get pixel data
             const imageData = this.ctx.getImageData(0, 0, width, height);
@@ -201,19 +1183,10 @@ class ASCIIConverter {
      * Convert a video frame to ASCII art
      */
     convertVideoFrame(videoElement) {
-        const aspectRatio = videoElement.videoHeight / videoElement.videoWidth;
-        const charAspectRatio = 0.5;
-        
-        const width = this.options.width;
-        const height = Math.floor(width * aspectRatio * charAspectRatio);
-        
-        this.canvas.width = width;
-        this.canvas.height = height;
-        
-        this.ctx.drawImage(videoElement, 0, 0, width, height);
+        const { width, height } = this.drawSource(videoElement, videoElement.videoWidth, videoElement.videoHeight);
         
         const imageData = this.ctx.getImageData(0, 0, width, height);
-        return this.processPixels(imageData.data, width, height);
+        return this.processPixels(imageData.data, width, height, true);
     }
 
     /**
@@ -222,24 +1195,11 @@ class ASCIIConverter {
     convertImageData(imageData, originalWidth, originalHeight) {
         console.log(`[ASCIIConverter] convertImageData: ${originalWidth}x${originalHeight} -> ASCII width ${this.options.width}`);
         
-        const aspectRatio = originalHeight / originalWidth;
-        const charAspectRatio = 0.5;
-        
-        const width = this.options.width;
-        const height = Math.floor(width * aspectRatio * charAspectRatio);
-        
-        console.log(`[ASCIIConverter] Creating temp canvas: ${originalWidth}x${originalHeight}, target: ${width}x${height}`);
+        console.log(`[ASCIIConverter] Creating temp canvas: ${originalWidth}x${originalHeight}`);
         console.log(`[ASCIIConverter] Main canvas type: ${this.canvas.constructor.name}`);
         
         // Create temporary canvas matching this converter's canvas type
-        const tempCanvas = this.canvas instanceof OffscreenCanvas
-            ? new OffscreenCanvas(originalWidth, originalHeight)
-            : document.createElement('canvas');
-        
-        if (!(tempCanvas instanceof OffscreenCanvas)) {
-            tempCanvas.width = originalWidth;
-            tempCanvas.height = originalHeight;
-        }
+        const tempCanvas = ASCIIConverter.createCanvas(originalWidth, originalHeight);
         
         console.log(`[ASCIIConverter] Temp canvas type: ${tempCanvas.constructor.name}`);
         console.log(`[ASCIIConverter] ImageData dimensions: ${imageData.width}x${imageData.height}`);
@@ -248,30 +1208,62 @@ class ASCIIConverter {
         tempCtx.putImageData(imageData, 0, 0);
         console.log('[ASCIIConverter] ImageData placed on temp canvas');
         
-        // Set canvas size and draw scaled
-        this.canvas.width = width;
-        this.canvas.height = height;
+        // Crop/rotate/flip and draw scaled
         console.log('[ASCIIConverter] Drawing scaled image to main canvas...');
-        this.ctx.drawImage(tempCanvas, 0, 0, width, height);
-        console.log('[ASCIIConverter] Scaled image drawn successfully');
+        const { width, height } = this.drawSource(tempCanvas, originalWidth, originalHeight, imageData);
+        console.log(`[ASCIIConverter] Scaled image drawn successfully (${width}x${height})`);
         
         // Get scaled pixel data
         const scaledImageData = this.ctx.getImageData(0, 0, width, height);
         console.log('[ASCIIConverter] Processing pixels...');
-        return this.processPixels(scaledImageData.data, width, height);
+        return this.processPixels(scaledImageData.data, width, height, true);
     }
 
     /**
-     * Process raw pixel data into ASCII with optimizations
+     * Process raw pixel data into ASCII with optimizations.
+     * `animated` marks video/GIF frames so 'auto' dithering stays temporally stable.
      */
-    processPixels(pixels, width, height) {
+    processPixels(pixels, width, height, animated = false) {
+        this.frameMask = this.computeMask(pixels, width, height);
+        pixels = this.applyHistogramTone(pixels, width, height, animated);
+        
+        if (this.options.renderMode === 'braille') {
+            return this.processBraillePixels(pixels, width, height, animated);
+        }
+        if (this.options.renderMode === 'halfblock' || this.options.renderMode === 'quadrant') {
+            return this.processBlockPixels(pixels, width, height, animated);
+        }
+        if (this.options.glyphMatch === 'shape') {
+            return this.processShapePixels(pixels, width, height, animated);
+        }
+        
         const lines = [];
         const colorData = [];
+        const adjust = this.createToneAdjuster();
+        const dither = this.getDitherMethod(animated);
+        
+        // Edge detection and error diffusion need the neighbours' luminance, so compute the whole grid up front
+        let luma = null;
+        if (this.options.edges || dither !== 'none') {
+            luma = new Float32Array(width * height);
+            for (let i = 0; i < width * height; i++) {
+                const idx = i * 4;
+                luma[i] = 0.299 * adjust(pixels[idx]) + 0.587 * adjust(pixels[idx + 1]) + 0.114 * adjust(pixels[idx + 2]);
+            }
+        }
         
-        // Pre-allocate arrays for better performance
-        const brightness = this.options.brightness / 100;
-        const contrast = this.options.contrast;
-        const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+        // Dithered ramp: quantize continuous ramp positions instead of flooring per cell
+        const charset = this.getCharset();
+        let rampIndex = null;
+        if (dither !== 'none') {
+            const maxLevel = charset.length - 1;
+            const levels = new Float32Array(width * height);
+            for (let i = 0; i < levels.length; i++) {
+                const n = luma[i] / 255;
+                levels[i] = (this.options.invert ? n : 1 - n) * maxLevel;
+            }
+            rampIndex = this.ditherLevels(levels, width, height, maxLevel, dither);
+        }
         
         for (let y = 0; y < height; y++) {
             let line = '';
@@ -281,36 +1273,279 @@ class ASCIIConverter {
                 const idx = (y * width + x) * 4;
                 
                 // Apply brightness and contrast inline
-                let r = pixels[idx] * brightness;
-                let g = pixels[idx + 1] * brightness;
-                let b = pixels[idx + 2] * brightness;
-                
-                r = contrastFactor * (r - 128) + 128;
-                g = contrastFactor * (g - 128) + 128;
-                b = contrastFactor * (b - 128) + 128;
-                
-                // Clamp values
-                r = Math.max(0, Math.min(255, r));
-                g = Math.max(0, Math.min(255, g));
-                b = Math.max(0, Math.min(255, b));
+                const r = adjust(pixels[idx]);
+                const g = adjust(pixels[idx + 1]);
+                const b = adjust(pixels[idx + 2]);
                 
                 const grayscale = 0.299 * r + 0.587 * g + 0.114 * b;
-                const char = this.brightnessToChar(grayscale);
+                const edgeChar = this.options.edges ? this.edgeCharAt(luma, width, height, x, y) : null;
+                const char = edgeChar || (rampIndex ? charset[rampIndex[y * width + x]] : this.brightnessToChar(grayscale));
                 
                 line += char;
                 
                 if (this.options.colorMode === 'color') {
                     lineColors[x] = { r: Math.round(r), g: Math.round(g), b: Math.round(b) };
                 } else {
-                    const gray = Math.round(grayscale);
-                    lineColors[x] = { r: gray, g: gray, b: gray };
+                    const gray = Math.round(grayscale);
+                    lineColors[x] = { r: gray, g: gray, b: gray };
+                }
+            }
+            
+            lines.push(line);
+            colorData.push(lineColors);
+        }
+        
+        return this.buildResult(lines, colorData, height, dither);
+    }
+
+    /**
+     * Process pixel data sampled at 2x3 per cell by matching each block against the
+     * measured sub-cell coverage of every glyph in the charset (least squared error)
+     */
+    processShapePixels(pixels, width, height, animated = false) {
+        const lines = [];
+        const colorData = [];
+        const adjust = this.createToneAdjuster();
+        const { glyphs } = this.getGlyphMetrics(this.getCharset());
+        const invert = this.options.invert;
+        const cols = Math.floor(width / 2);
+        const rows = Math.floor(height / 3);
+        const target = new Float32Array(6);
+        
+        for (let row = 0; row < rows; row++) {
+            let line = '';
+            const lineColors = new Array(cols);
+            
+            for (let col = 0; col < cols; col++) {
+                let sumR = 0, sumG = 0, sumB = 0;
+                
+                // Regions in row-major order, matching the glyph shape descriptors
+                for (let dy = 0; dy < 3; dy++) {
+                    for (let dx = 0; dx < 2; dx++) {
+                        const idx = ((row * 3 + dy) * width + col * 2 + dx) * 4;
+                        const r = adjust(pixels[idx]);
+                        const g = adjust(pixels[idx + 1]);
+                        const b = adjust(pixels[idx + 2]);
+                        sumR += r;
+                        sumG += g;
+                        sumB += b;
+                        
+                        // Bright pixels want ink unless inverted, as with the ramps
+                        const lum = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+                        target[dy * 2 + dx] = invert ? 1 - lum : lum;
+                    }
+                }
+                
+                let best = glyphs[0];
+                let bestError = Infinity;
+                for (const glyph of glyphs) {
+                    let error = 0;
+                    for (let i = 0; i < 6; i++) {
+                        const d = glyph.shape[i] - target[i];
+                        error += d * d;
+                    }
+                    if (error < bestError) {
+                        bestError = error;
+                        best = glyph;
+                    }
+                }
+                
+                line += best.char;
+                
+                const r = Math.round(sumR / 6);
+                const g = Math.round(sumG / 6);
+                const b = Math.round(sumB / 6);
+                if (this.options.colorMode === 'color') {
+                    lineColors[col] = { r, g, b };
+                } else {
+                    const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+                    lineColors[col] = { r: gray, g: gray, b: gray };
+                }
+            }
+            
+            lines.push(line);
+            colorData.push(lineColors);
+        }
+        
+        return this.buildResult(lines, colorData, rows, this.getDitherMethod(animated));
+    }
+
+    /**
+     * Process pixel data sampled at 2x4 per cell into Braille dot-matrix characters.
+     * Each sub-pixel becomes one dot; the cell color is the average of its 8 samples.
+     */
+    processBraillePixels(pixels, width, height, animated = false) {
+        const lines = [];
+        const colorData = [];
+        const adjust = this.createToneAdjuster();
+        const dots = ASCIIConverter.BRAILLE_DOTS;
+        const threshold = this.options.brailleThreshold;
+        const invert = this.options.invert;
+        const dither = this.getDitherMethod(animated);
+        const cols = Math.floor(width / 2);
+        const rows = Math.floor(height / 4);
+        
+        // Dithered dots: a two-level quantization centred on the threshold (1 = at or above it)
+        let aboveThreshold = null;
+        if (dither !== 'none') {
+            const levels = new Float32Array(width * height);
+            for (let i = 0; i < levels.length; i++) {
+                const idx = i * 4;
+                const lum = 0.299 * adjust(pixels[idx]) + 0.587 * adjust(pixels[idx + 1]) + 0.114 * adjust(pixels[idx + 2]);
+                levels[i] = Math.max(0, Math.min(1, 0.5 + (lum - threshold) / 255));
+            }
+            aboveThreshold = this.ditherLevels(levels, width, height, 1, dither);
+        }
+        
+        for (let row = 0; row < rows; row++) {
+            let line = '';
+            const lineColors = new Array(cols);
+            
+            for (let col = 0; col < cols; col++) {
+                let mask = 0;
+                let sumR = 0, sumG = 0, sumB = 0;
+                
+                for (let dy = 0; dy < 4; dy++) {
+                    for (let dx = 0; dx < 2; dx++) {
+                        const idx = ((row * 4 + dy) * width + col * 2 + dx) * 4;
+                        const r = adjust(pixels[idx]);
+                        const g = adjust(pixels[idx + 1]);
+                        const b = adjust(pixels[idx + 2]);
+                        sumR += r;
+                        sumG += g;
+                        sumB += b;
+                        
+                        // Same polarity as the charset ramps: bright pixels are ink unless inverted
+                        const above = aboveThreshold
+                            ? aboveThreshold[(row * 4 + dy) * width + col * 2 + dx] === 1
+                            : 0.299 * r + 0.587 * g + 0.114 * b >= threshold;
+                        if (above !== invert) {
+                            mask |= dots[dy][dx];
+                        }
+                    }
+                }
+                
+                line += String.fromCharCode(0x2800 + mask);
+                
+                const r = Math.round(sumR / 8);
+                const g = Math.round(sumG / 8);
+                const b = Math.round(sumB / 8);
+                if (this.options.colorMode === 'color') {
+                    lineColors[col] = { r, g, b };
+                } else {
+                    const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+                    lineColors[col] = { r: gray, g: gray, b: gray };
+                }
+            }
+            
+            lines.push(line);
+            colorData.push(lineColors);
+        }
+        
+        return this.buildResult(lines, colorData, rows, dither);
+    }
+
+    /**
+     * Process pixel data into block "pixels" where every cell carries a foreground and
+     * a background color: ▀ with the top/bottom pair in half-block mode, or the best
+     * two-color split of a 2x2 cell in quadrant mode. Adds `bg` to each colorData entry.
+     */
+    processBlockPixels(pixels, width, height, animated = false) {
+        const lines = [];
+        const colorData = [];
+        const adjust = this.createToneAdjuster();
+        const cell = this.getCellSamples();
+        const cols = Math.floor(width / cell.x);
+        const rows = Math.floor(height / cell.y);
+        
+        const toColor = ([r, g, b]) => {
+            if (this.options.colorMode === 'color') {
+                return { r: Math.round(r), g: Math.round(g), b: Math.round(b) };
+            }
+            const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+            return { r: gray, g: gray, b: gray };
+        };
+        
+        for (let row = 0; row < rows; row++) {
+            let line = '';
+            const lineColors = new Array(cols);
+            
+            for (let col = 0; col < cols; col++) {
+                // Samples in row-major order: top/bottom, or TL, TR, BL, BR
+                const samples = [];
+                for (let dy = 0; dy < cell.y; dy++) {
+                    for (let dx = 0; dx < cell.x; dx++) {
+                        const idx = ((row * cell.y + dy) * width + col * cell.x + dx) * 4;
+                        samples.push([adjust(pixels[idx]), adjust(pixels[idx + 1]), adjust(pixels[idx + 2])]);
+                    }
+                }
+                
+                let char, fg, bg;
+                if (cell.x === 1) {
+                    char = '▀';
+                    fg = samples[0];
+                    bg = samples[1];
+                } else {
+                    const split = this.splitQuadrants(samples);
+                    char = ASCIIConverter.QUADRANT_CHARS[split.mask];
+                    fg = split.fg;
+                    bg = split.bg;
                 }
+                
+                line += char;
+                lineColors[col] = { ...toColor(fg), bg: toColor(bg) };
             }
             
             lines.push(line);
             colorData.push(lineColors);
         }
         
+        return this.buildResult(lines, colorData, rows, this.getDitherMethod(animated));
+    }
+
+    /**
+     * Choose the quadrant mask whose two-color split of the 4 samples has the lowest
+     * squared error. Returns the mask with the mean foreground and background colors.
+     */
+    splitQuadrants(samples) {
+        const mean = (list) => {
+            const sum = [0, 0, 0];
+            for (const s of list) {
+                sum[0] += s[0];
+                sum[1] += s[1];
+                sum[2] += s[2];
+            }
+            return sum.map(v => v / list.length);
+        };
+        const error = (list, c) => list.reduce((e, s) =>
+            e + (s[0] - c[0]) ** 2 + (s[1] - c[1]) ** 2 + (s[2] - c[2]) ** 2, 0);
+        
+        // Start from a solid block so flat cells never pick a split
+        const solid = mean(samples);
+        let best = { mask: 15, fg: solid, bg: solid, err: error(samples, solid) };
+        
+        for (let mask = 1; mask < 15; mask++) {
+            const fgSamples = samples.filter((_, i) => mask & (1 << i));
+            const bgSamples = samples.filter((_, i) => !(mask & (1 << i)));
+            const fg = mean(fgSamples);
+            const bg = mean(bgSamples);
+            const err = error(fgSamples, fg) + error(bgSamples, bg);
+            if (err < best.err) best = { mask, fg, bg, err };
+        }
+        
+        return best;
+    }
+
+    /**
+     * Package converted lines into a result, trimming trailing blank cells.
+     * Palette dithering runs here, before trimming, so the error diffuses across the full grid.
+     */
+    buildResult(lines, colorData, height, dither = 'none') {
+        if (dither !== 'none' && this.options.ditherPalette && this.options.colorMode === 'color') {
+            this.ditherPaletteColors(colorData, dither);
+        }
+        this.applyMask(lines, colorData);
+        
         // Trim trailing blank characters on each line to avoid right-side padding in exports
         const trimmedLines = [];
         const trimmedColorData = [];
@@ -370,11 +1605,11 @@ class ASCIIConverter {
             background: ${this.options.backgroundColor};
         }
         .ascii-art {
-            font-family: 'Courier New', Consolas, monospace;
+            font-family: ${this.options.fontFamily};
             font-size: ${this.options.fontSize}px;
             line-height: ${this.options.lineHeight};
             white-space: pre;
-            letter-spacing: 0;
+            letter-spacing: ${this.getLetterSpacing(this.options.fontSize)}px;
         }
     </style>
 </head>
@@ -390,11 +1625,12 @@ class ASCIIConverter {
                 const char = line[x];
                 const color = colors[x];
                 
-                if (this.isBlankChar(char)) {
+                if (this.isBlankChar(char) && !color.bg) {
                     // Treat braille blank as a normal space so spacing is consistent
                     html += ' ';
                 } else {
-                    html += `<span style="color:rgb(${color.r},${color.g},${color.b})">${this.escapeHTML(char)}</span>`;
+                    const bg = color.bg ? `;background-color:rgb(${color.bg.r},${color.bg.g},${color.bg.b})` : '';
+                    html += `<span style="color:rgb(${color.r},${color.g},${color.b})${bg}">${this.escapeHTML(char)}</span>`;
                 }
             }
             html += '\n';
@@ -409,6 +1645,266 @@ class ASCIIConverter {
         return html;
     }
 
+    /**
+     * Generate a standalone SVG with one <text> per line and <tspan> runs per color.
+     * With `outlineGlyphs` every glyph is traced into a path so the file renders the
+     * same without the font installed. Block pixel modes are always drawn as rects.
+     */
+    generateSVG(asciiResult, outlineGlyphs = false) {
+        return this.buildSVGDocument([{ asciiResult }], outlineGlyphs);
+    }
+
+    /**
+     * Build an SVG document from one or more frames. Multiple frames are stacked as
+     * groups and played in a loop with CSS keyframes using each frame's delay.
+     */
+    buildSVGDocument(frames, outlineGlyphs = false) {
+        const fontSize = this.options.fontSize;
+        const layout = this.getCellLayout(fontSize);
+        const cols = Math.max(1, ...frames.map(f => f.asciiResult.width));
+        const rows = Math.max(1, ...frames.map(f => f.asciiResult.lines.length));
+        const width = Math.ceil(cols * layout.charWidth);
+        const height = Math.ceil(rows * layout.lineHeight);
+        
+        // Glyphs referenced by the frames, collected while building them when outlining
+        const glyphIds = outlineGlyphs ? new Map() : null;
+        const frameGroups = frames.map(f => this.buildSVGFrame(f.asciiResult, layout, glyphIds));
+        
+        let svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+`;
+        
+        let style = `text { font-family: ${this.escapeHTML(this.options.fontFamily)}; font-size: ${fontSize}px; letter-spacing: ${this.getLetterSpacing(fontSize)}px; dominant-baseline: text-before-edge; white-space: pre; }\n`;
+        if (frames.length > 1) {
+            const delays = frames.map(f => Math.max(1, f.delay || 100));
+            const total = delays.reduce((sum, d) => sum + d, 0);
+            style += `.frame { visibility: hidden; animation: ${total}ms step-end infinite; }\n`;
+            let start = 0;
+            delays.forEach((delay, i) => {
+                const from = (start / total * 100).toFixed(4);
+                const to = ((start + delay) / total * 100).toFixed(4);
+                style += `#frame${i} { animation-name: frame${i}; }\n`;
+                const lead = start > 0 ? '0% { visibility: hidden; } ' : '';
+                style += `@keyframes frame${i} { ${lead}${from}% { visibility: visible; } ${to}% { visibility: hidden; } }\n`;
+                start += delay;
+            });
+        }
+        svg += `<style>\n${style}</style>\n`;
+        
+        if (glyphIds && glyphIds.size > 0) {
+            svg += `<defs>\n${this.traceGlyphDefs(glyphIds, layout)}</defs>\n`;
+        }
+        
+        // Background color, with #RRGGBBAA alpha mapped to fill-opacity
+        const bgColor = this.options.backgroundColor;
+        const bgAlpha = bgColor.length === 9 ? parseInt(bgColor.slice(7, 9), 16) / 255 : 1;
+        if (bgAlpha > 0) {
+            svg += `<rect width="100%" height="100%" fill="${bgColor.slice(0, 7)}" fill-opacity="${Number(bgAlpha.toFixed(3))}"/>\n`;
+        }
+        
+        frameGroups.forEach((content, i) => {
+            svg += frames.length > 1 ? `<g id="frame${i}" class="frame">\n${content}</g>\n` : content;
+        });
+        
+        return svg + '</svg>\n';
+    }
+
+    /**
+     * Build the SVG elements for one frame. When `glyphIds` is given, glyphs are placed
+     * with <use> references (ids are assigned here) instead of <text>.
+     */
+    buildSVGFrame(asciiResult, layout, glyphIds = null) {
+        const { lines, colorData } = asciiResult;
+        const { charWidth, lineHeight } = layout;
+        const num = (v) => Number(v.toFixed(2));
+        const toColorStr = (c) => this.options.colorMode === 'color'
+            ? this.findClosestColor(c.r, c.g, c.b)
+            : `rgb(${c.r},${c.g},${c.b})`;
+        
+        const blocks = [];
+        const glyphs = [];
+        
+        for (let y = 0; y < lines.length; y++) {
+            const line = lines[y];
+            const colors = colorData[y];
+            const top = y * lineHeight;
+            let run = null;
+            let tspans = '';
+            
+            const flush = () => {
+                if (run) {
+                    tspans += `<tspan x="${num(run.x * charWidth)}" fill="${run.fill}">${this.escapeHTML(run.text)}</tspan>`;
+                    run = null;
+                }
+            };
+            
+            for (let x = 0; x < line.length; x++) {
+                const char = line[x];
+                const color = colors[x];
+                const fill = toColorStr(color);
+                const left = x * charWidth;
+                
+                // Pixel modes: cell background plus block glyphs as rectangles
+                if (color.bg) {
+                    const mask = ASCIIConverter.QUADRANT_CHARS.indexOf(char);
+                    const cellFill = mask === 15 ? fill : toColorStr(color.bg);
+                    blocks.push(`<rect x="${num(left)}" y="${num(top)}" width="${num(charWidth)}" height="${num(lineHeight)}" fill="${cellFill}"/>`);
+                    if (mask === 15) continue;
+                    if (mask > 0) {
+                        const halfW = charWidth / 2;
+                        const halfH = lineHeight / 2;
+                        for (let q = 0; q < 4; q++) {
+                            if (mask & (1 << q)) {
+                                blocks.push(`<rect x="${num(left + (q & 1) * halfW)}" y="${num(top + (q >> 1) * halfH)}" width="${num(halfW)}" height="${num(halfH)}" fill="${fill}"/>`);
+                            }
+                        }
+                        continue;
+                    }
+                }
+                
+                if (this.isBlankChar(char)) {
+                    flush();
+                } else if (glyphIds) {
+                    if (!glyphIds.has(char)) glyphIds.set(char, `g${glyphIds.size}`);
+                    glyphs.push(`<use xlink:href="#${glyphIds.get(char)}" x="${num(left)}" y="${num(top)}" fill="${fill}"/>`);
+                } else if (run && run.fill === fill) {
+                    run.text += char;
+                } else {
+                    flush();
+                    run = { x, fill, text: char };
+                }
+            }
+            flush();
+            
+            if (tspans) glyphs.push(`<text y="${num(top)}">${tspans}</text>`);
+        }
+        
+        let out = '';
+        if (blocks.length) out += `<g shape-rendering="crispEdges">\n${blocks.join('\n')}\n</g>\n`;
+        if (glyphs.length) out += glyphs.join('\n') + '\n';
+        return out;
+    }
+
+    /**
+     * Trace glyphs rendered in the output font into pixel-run paths, scaled so each
+     * glyph fills one character cell (top-aligned like renderToCanvas)
+     */
+    traceGlyphDefs(glyphIds, layout) {
+        const size = 64;
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.font = `${size}px ${this.options.fontFamily}`;
+        const cellWidth = Math.max(1, Math.ceil(ctx.measureText('M').width));
+        // Leave room below the em box for descenders
+        const cellHeight = Math.ceil(size * 1.25);
+        canvas.width = cellWidth;
+        canvas.height = cellHeight;
+        ctx.font = `${size}px ${this.options.fontFamily}`;
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#ffffff';
+        
+        const sx = (layout.charWidth / cellWidth).toFixed(5);
+        const sy = (layout.fontSize / size).toFixed(5);
+        let defs = '';
+        
+        for (const [char, id] of glyphIds) {
+            ctx.clearRect(0, 0, cellWidth, cellHeight);
+            ctx.fillText(char, 0, 0);
+            const data = ctx.getImageData(0, 0, cellWidth, cellHeight).data;
+            
+            let d = '';
+            for (let y = 0; y < cellHeight; y++) {
+                let x = 0;
+                while (x < cellWidth) {
+                    if (data[(y * cellWidth + x) * 4 + 3] < 128) {
+                        x++;
+                        continue;
+                    }
+                    const start = x;
+                    while (x < cellWidth && data[(y * cellWidth + x) * 4 + 3] >= 128) x++;
+                    d += `M${start} ${y}h${x - start}v1h${start - x}z`;
+                }
+            }
+            defs += `<path id="${id}" transform="scale(${sx} ${sy})" d="${d}"/>\n`;
+        }
+        
+        return defs;
+    }
+
+    /**
+     * Generate text with ANSI SGR color sequences for terminals. Full color emits 24-bit
+     * `38;2`, ansi256 emits xterm `38;5` indexes and ansi16 the classic 30-37/90-97 codes;
+     * other palettes are snapped to their entries and written as 24-bit. Runs of the same
+     * color share one sequence and every colored line ends with a reset.
+     */
+    generateANSI(asciiResult) {
+        const { lines, colorData } = asciiResult;
+        const paletteName = this.options.colorMode === 'color' ? this.options.colorPalette : 'full';
+        const palette = ASCIIConverter.COLOR_PALETTES[paletteName];
+        
+        // SGR parameters for a color; background codes are the foreground ones offset by 10
+        const sgr = (c, background) => {
+            if (paletteName === 'ansi16') {
+                const i = this.findClosestPaletteIndex(palette, c.r, c.g, c.b);
+                return String((i < 8 ? 30 + i : 90 + i - 8) + (background ? 10 : 0));
+            }
+            if (paletteName === 'ansi256') {
+                return `${background ? 48 : 38};5;${this.findClosestPaletteIndex(palette, c.r, c.g, c.b)}`;
+            }
+            let { r, g, b } = c;
+            if (palette) {
+                const hex = palette[this.findClosestPaletteIndex(palette, r, g, b)];
+                r = parseInt(hex.slice(1, 3), 16);
+                g = parseInt(hex.slice(3, 5), 16);
+                b = parseInt(hex.slice(5, 7), 16);
+            }
+            return `${background ? 48 : 38};2;${r};${g};${b}`;
+        };
+        
+        const out = [];
+        for (let y = 0; y < lines.length; y++) {
+            const line = lines[y];
+            const colors = colorData[y];
+            let text = '';
+            let currentFg = null;
+            let currentBg = null;
+            
+            for (let x = 0; x < line.length; x++) {
+                const char = line[x];
+                const color = colors[x];
+                
+                // Plain blanks keep whatever foreground is active, but not a neighbour's background (49 clears it)
+                if (this.isBlankChar(char) && !color.bg) {
+                    if (currentBg) {
+                        text += '\x1b[49m';
+                        currentBg = null;
+                    }
+                    text += ' ';
+                    continue;
+                }
+                
+                const fg = sgr(color, false);
+                const bg = color.bg ? sgr(color.bg, true) : null;
+                const codes = [];
+                if (fg !== currentFg) codes.push(fg);
+                if (bg !== currentBg) codes.push(bg || '49');
+                if (codes.length) {
+                    text += `\x1b[${codes.join(';')}m`;
+                    currentFg = fg;
+                    currentBg = bg;
+                }
+                text += char;
+            }
+            
+            if (currentFg || currentBg) text += '\x1b[0m';
+            out.push(text);
+        }
+        
+        return out.join('\n') + '\n';
+    }
+
     /**
      * Generate colored HTML for display in app
      */
@@ -422,37 +1918,40 @@ class ASCIIConverter {
             
             // Optimize by grouping consecutive characters with same/similar colors
             let currentSpan = '';
-            let currentColor = null;
+            let currentStyle = null;
+            
+            // Apply color palette if not in full color mode
+            const toColorStr = (c) => this.options.colorMode === 'color'
+                ? this.findClosestColor(c.r, c.g, c.b)
+                : `rgb(${c.r},${c.g},${c.b})`;
             
             for (let x = 0; x < line.length; x++) {
                 const char = line[x];
                 const color = colors[x];
                 
-                // Apply color palette if not in full color mode
-                const colorStr = this.options.colorMode === 'color' 
-                    ? this.findClosestColor(color.r, color.g, color.b)
-                    : `rgb(${color.r},${color.g},${color.b})`;
+                let styleStr = `color:${toColorStr(color)}`;
+                if (color.bg) styleStr += `;background-color:${toColorStr(color.bg)}`;
                 
-                if (this.isBlankChar(char)) {
+                if (this.isBlankChar(char) && !color.bg) {
                     if (currentSpan) {
-                        html += `<span style="color:${currentColor}">${currentSpan}</span>`;
+                        html += `<span style="${currentStyle}">${currentSpan}</span>`;
                         currentSpan = '';
-                        currentColor = null;
+                        currentStyle = null;
                     }
                     html += ' ';
-                } else if (currentColor === colorStr) {
+                } else if (currentStyle === styleStr) {
                     currentSpan += this.escapeHTML(char);
                 } else {
                     if (currentSpan) {
-                        html += `<span style="color:${currentColor}">${currentSpan}</span>`;
+                        html += `<span style="${currentStyle}">${currentSpan}</span>`;
                     }
                     currentSpan = this.escapeHTML(char);
-                    currentColor = colorStr;
+                    currentStyle = styleStr;
                 }
             }
             
             if (currentSpan) {
-                html += `<span style="color:${currentColor}">${currentSpan}</span>`;
+                html += `<span style="${currentStyle}">${currentSpan}</span>`;
             }
             
             html += '\n';
@@ -462,46 +1961,34 @@ class ASCIIConverter {
     }
 
     /**
-     * Render ASCII to canvas for PNG export
+     * Render ASCII to canvas for PNG export. With options.pixelWidth / pixelHeight the
+     * font size is chosen to fill that resolution instead of using fontSize * scale;
+     * when both are set the canvas has exactly that size, with the art centered.
      */
     renderToCanvas(asciiResult, scale = 2) {
         const { lines, colorData } = asciiResult;
-        
-        const fontSize = this.options.fontSize * scale;
-        const lineHeight = fontSize * this.options.lineHeight;
-        let charWidth = fontSize * 0.6; // Monospace character width ratio
-        
-        // Measure actual pixel width of each trimmed line to compute canvas width accurately
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.font = `${fontSize}px Consolas, 'Courier New', monospace`;
-        tempCtx.textBaseline = 'top';
-
-        let maxMeasuredWidth = 0;
-        for (const l of lines) {
-            const measureLine = l.replace(/\u2800/g, ' ');
-            const w = measureLine.length ? tempCtx.measureText(measureLine).width : 0;
-            if (w > maxMeasuredWidth) maxMeasuredWidth = w;
-        }
-
-        // Fallback: if measurement failed (maxMeasuredWidth == 0), fall back to character count * charWidth
-        const maxLineLen = lines.reduce((m, l) => Math.max(m, l.length), 0);
-        const canvasWidth = Math.ceil(maxMeasuredWidth > 0 ? maxMeasuredWidth : Math.max(1, maxLineLen) * charWidth);
-        const canvasHeight = Math.ceil(Math.max(1, lines.length) * lineHeight);
-
-        const canvas = document.createElement('canvas');
-        canvas.width = canvasWidth;
-        canvas.height = canvasHeight;
-
-        // Diagnostic logging to help debug right-side padding issues
-        if (typeof console !== 'undefined' && console.log) {
-            console.log('[ASCIIConverter] renderToCanvas: maxLineLen=', maxLineLen, 'charWidth=', charWidth, 'maxMeasuredWidth=', Math.round(maxMeasuredWidth), 'canvasWidth=', canvas.width, 'canvasHeight=', canvas.height);
+        const columns = Math.max(1, lines.reduce((m, l) => Math.max(m, l.length), 0));
+        const rows = Math.max(1, lines.length);
+        const { pixelWidth, pixelHeight } = this.options;
+        
+        let fontSize = this.options.fontSize * scale;
+        if (pixelWidth > 0 || pixelHeight > 0) {
+            const unit = this.getCellLayout(1);
+            fontSize = Math.min(
+                pixelWidth > 0 ? pixelWidth / (columns * unit.charWidth) : Infinity,
+                pixelHeight > 0 ? pixelHeight / (rows * unit.lineHeight) : Infinity
+            );
         }
+        // Same cell shape the image was sampled with, so the export is not stretched
+        const { lineHeight, charWidth } = this.getCellLayout(fontSize);
+        
+        const canvasWidth = pixelWidth > 0 ? pixelWidth : Math.ceil(columns * charWidth);
+        const canvasHeight = pixelHeight > 0 ? pixelHeight : Math.ceil(rows * lineHeight);
+        const offsetX = Math.floor((canvasWidth - columns * charWidth) / 2);
+        const offsetY = Math.floor((canvasHeight - rows * lineHeight) / 2);
 
+        const canvas = ASCIIConverter.createCanvas(canvasWidth, canvasHeight);
         const ctx = canvas.getContext('2d', { alpha: true });
-        // Re-apply font after canvas size changes
-        ctx.font = `${fontSize}px Consolas, 'Courier New', monospace`;
-        ctx.textBaseline = 'top';
         
         // Parse background color for alpha support
         const bgColor = this.options.backgroundColor;
@@ -517,17 +2004,9 @@ class ASCIIConverter {
         }
         ctx.fillRect(0, 0, canvasWidth, canvasHeight);
         
-        // Set font and measure character width so Braille glyphs render with correct alignment
-        ctx.font = `${fontSize}px Consolas, 'Courier New', monospace`;
+        ctx.font = `${fontSize}px ${this.options.fontFamily}`;
         ctx.textBaseline = 'top';
-
-        // Measure representative characters to compute accurate char width (supports braille glyphs)
-        const sampleChars = [this.getCharset()[0] || 'M', 'M'];
-        let measuredWidth = 0;
-        for (const c of sampleChars) {
-            measuredWidth = Math.max(measuredWidth, ctx.measureText(c).width);
-        }
-        charWidth = measuredWidth > 0 ? measuredWidth : fontSize * 0.6;
+        ctx.translate(offsetX, offsetY);
 
         // Draw characters
         for (let y = 0; y < lines.length; y++) {
@@ -536,9 +2015,34 @@ class ASCIIConverter {
             
             for (let x = 0; x < line.length; x++) {
                 const char = line[x];
+                const color = colors[x];
+                
+                // Pixel modes: paint the cell background, then draw block glyphs as
+                // rectangles so neighbouring cells meet without font-dependent seams
+                if (color.bg) {
+                    const x0 = Math.round(x * charWidth);
+                    const x1 = Math.round((x + 1) * charWidth);
+                    const xm = Math.round((x + 0.5) * charWidth);
+                    const y0 = Math.round(y * lineHeight);
+                    const y1 = Math.round((y + 1) * lineHeight);
+                    const ym = Math.round((y + 0.5) * lineHeight);
+                    
+                    ctx.fillStyle = `rgb(${color.bg.r},${color.bg.g},${color.bg.b})`;
+                    ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+                    
+                    const mask = ASCIIConverter.QUADRANT_CHARS.indexOf(char);
+                    if (mask > 0) {
+                        ctx.fillStyle = `rgb(${color.r},${color.g},${color.b})`;
+                        if (mask & 1) ctx.fillRect(x0, y0, xm - x0, ym - y0);
+                        if (mask & 2) ctx.fillRect(xm, y0, x1 - xm, ym - y0);
+                        if (mask & 4) ctx.fillRect(x0, ym, xm - x0, y1 - ym);
+                        if (mask & 8) ctx.fillRect(xm, ym, x1 - xm, y1 - ym);
+                        continue;
+                    }
+                }
+                
                 // Treat Braille Pattern Blank (U+2800) the same as ASCII space to keep alignment
                 if (!this.isBlankChar(char)) {
-                    const color = colors[x];
                     ctx.fillStyle = `rgb(${color.r},${color.g},${color.b})`;
                     ctx.fillText(char, x * charWidth, y * lineHeight);
                 }
@@ -630,8 +2134,9 @@ class VideoExtractor {
 
     /**
      * Extract frames at specified interval with optimizations
+     * @param range Optional { start, end } in seconds; frames outside it are skipped
      */
-    async extractFrames(frameRate = null, progressCallback = null, abortSignal = null) {
+    async extractFrames(frameRate = null, progressCallback = null, abortSignal = null, range = null) {
         // Auto-detect framerate if not specified
         if (!frameRate) {
             frameRate = this.detectFrameRate();
@@ -639,23 +2144,24 @@ class VideoExtractor {
         
         console.log(`[VideoExtractor] Extracting at ${frameRate} fps`);
         const duration = this.video.duration;
-        const interval = 1 / frameRate;
-        const totalFrames = Math.floor(duration * frameRate);
+        const start = range ? Math.max(0, Math.min(range.start || 0, duration)) : 0;
+        const end = range && range.end ? Math.min(range.end, duration) : duration;
+        const totalFrames = Math.max(0, Math.floor((end - start) * frameRate));
         
-        console.log(`[VideoExtractor] Extracting ${totalFrames} frames at ${frameRate} fps`);
+        console.log(`[VideoExtractor] Extracting ${totalFrames} frames at ${frameRate} fps from ${start}s`);
         
         // Use faster method if available
         if (this.hasVideoFrameCallback && this.video.videoWidth > 0) {
-            return this.extractFramesFast(frameRate, totalFrames, progressCallback, abortSignal);
+            return this.extractFramesFast(frameRate, totalFrames, progressCallback, abortSignal, start);
         } else {
-            return this.extractFramesCompat(frameRate, totalFrames, progressCallback, abortSignal);
+            return this.extractFramesCompat(frameRate, totalFrames, progressCallback, abortSignal, start);
         }
     }
 
     /**
      * Fast frame extraction using requestVideoFrameCallback (Chrome/Edge)
      */
-    async extractFramesFast(frameRate, totalFrames, progressCallback, abortSignal = null) {
+    async extractFramesFast(frameRate, totalFrames, progressCallback, abortSignal = null, startTime = 0) {
         const frames = [];
         const interval = 1 / frameRate;
         
@@ -678,7 +2184,7 @@ class VideoExtractor {
                 const ae = new Error('Aborted by user'); ae.name = 'AbortError'; throw ae;
             }
 
-            const targetTime = i * interval;
+            const targetTime = startTime + i * interval;
             
             // Seek to target time (supports abort)
             await this.seekTo(targetTime, abortSignal);
@@ -714,7 +2220,7 @@ class VideoExtractor {
     /**
      * Compatible frame extraction with optimized seeking (fallback)
      */
-    async extractFramesCompat(frameRate, totalFrames, progressCallback, abortSignal = null) {
+    async extractFramesCompat(frameRate, totalFrames, progressCallback, abortSignal = null, startTime = 0) {
         const frames = [];
         const interval = 1 / frameRate;
         
@@ -736,7 +2242,7 @@ class VideoExtractor {
             if (abortSignal?.aborted) {
                 const ae = new Error('Aborted by user'); ae.name = 'AbortError'; throw ae;
             }
-            const frame = await this.extractSingleFrame(ctx, canvas, i * interval, interval, abortSignal);
+            const frame = await this.extractSingleFrame(ctx, canvas, startTime + i * interval, interval, abortSignal);
             frames.push(frame);
             
             if (progressCallback) {
@@ -1576,6 +3082,9 @@ class LZWEncoder {
  * Manages converting video frames to ASCII and encoding them
  */
 class ASCIIAnimationEncoder {
+    // GIF has no alpha channel: see-through pixels are painted in this color, which the encoder marks transparent
+    static GIF_TRANSPARENT_KEY = 0xFF00FF;
+
     constructor(converter, options = {}) {
         this.converter = converter;
         this.options = {
@@ -1585,6 +3094,63 @@ class ASCIIAnimationEncoder {
             ...options
         };
         this.frames = [];
+        // FrameStore holding the frames of a streamed clip (this.frames stays empty)
+        this.store = null;
+    }
+
+    get frameCount() {
+        return this.store ? this.store.length : this.frames.length;
+    }
+
+    /**
+     * Frame at index ({ canvas, asciiResult, delay }). Frames of a streamed clip are read
+     * back from the store without a canvas; see getFrameCanvas.
+     */
+    async getFrame(index) {
+        if (!this.store) return this.frames[index];
+        return { canvas: null, asciiResult: await this.store.get(index), delay: this.store.delays[index] };
+    }
+
+    /**
+     * The frame's canvas, rendered at options.scale when it has none
+     */
+    getFrameCanvas(frame) {
+        return frame.canvas || this.converter.renderToCanvas(frame.asciiResult, this.options.scale);
+    }
+
+    getFrameDelays() {
+        return this.store ? this.store.delays : this.frames.map(frame => frame.delay);
+    }
+
+    /**
+     * Source audio for video exports: options.audio ({ filePath or dataUrl, extension }) from
+     * options.startTime (where the converted range begins), cut to the exported duration.
+     * Null when there is none or includeAudio is off.
+     */
+    getAudioSource(duration) {
+        const audio = this.options.audio;
+        if (!audio || this.options.includeAudio === false) return null;
+        return { ...audio, start: this.options.startTime || 0, duration };
+    }
+
+    /**
+     * asciiResult for playback when it is available right away, else null
+     * (stored frames start loading and show up on a later call)
+     */
+    peekFrame(index) {
+        if (this.store) return this.store.peek(index);
+        const frame = this.frames[index];
+        return frame ? frame.asciiResult : null;
+    }
+
+    /**
+     * Release the frame store of a streamed clip
+     */
+    async dispose() {
+        if (!this.store) return;
+        const store = this.store;
+        this.store = null;
+        await store.dispose();
     }
 
     /**
@@ -1610,7 +3176,37 @@ class ASCIIAnimationEncoder {
         );
         
         console.log(`[ASCIIAnimationEncoder] Extracted ${videoFrames.length} frames`);
+        await this.convertFrameList(videoFrames, (done, total) => {
+            if (progressCallback) progressCallback(0.5 + done / total * 0.5, 'Converting to ASCII...');
+        }, abortSignal);
+        
+        console.log(`[ASCIIAnimationEncoder] Converted ${this.frames.length} frames to ASCII`);
+        return this.frames;
+    }
+
+    /**
+     * Convert extracted frames ({ imageData, width, height, delay }) into this.frames,
+     * with canvases rendered at options.scale. With options.useWorkers the work runs on
+     * a ConversionPool; otherwise (or when workers cannot start) on this thread.
+     * @param progressCallback Optional callback (done, total)
+     */
+    async convertFrameList(videoFrames, progressCallback = null, abortSignal = null) {
         this.frames = [];
+        await this.dispose();
+        
+        const pool = await this.startPool();
+        if (pool) {
+            try {
+                this.frames = await pool.convertFrames(videoFrames, {
+                    scale: this.options.scale,
+                    signal: abortSignal,
+                    onProgress: progressCallback
+                });
+            } finally {
+                pool.terminate();
+            }
+            return this.frames;
+        }
         
         for (let i = 0; i < videoFrames.length; i++) {
             // Check for abort
@@ -1635,28 +3231,242 @@ class ASCIIAnimationEncoder {
                 delay: videoFrames[i].delay
             });
             
-            if (progressCallback) {
-                progressCallback(0.5 + (i + 1) / videoFrames.length * 0.5, 'Converting to ASCII...');
-            }
+            if (progressCallback) progressCallback(i + 1, videoFrames.length);
             
             // Yield to event loop every 10 frames to keep UI responsive
             if (i % 10 === 0) {
                 await new Promise(resolve => setTimeout(resolve, 0));
             }
         }
-        
-        console.log(`[ASCIIAnimationEncoder] Converted ${this.frames.length} frames to ASCII`);
         return this.frames;
     }
 
     /**
-     * Encode frames as animated GIF using Web Worker for multi-threading
+     * A started ConversionPool when options.useWorkers asks for one, else null
+     * (also when the workers cannot start, so callers convert on this thread)
+     */
+    async startPool() {
+        if (!this.options.useWorkers || typeof ConversionPool === 'undefined' || !ConversionPool.isSupported()) return null;
+        const pool = new ConversionPool(this.converter.options);
+        try {
+            await pool.start();
+            return pool;
+        } catch (error) {
+            console.warn('[ASCIIAnimationEncoder] Conversion workers unavailable, converting on the main thread:', error);
+            pool.terminate();
+            return null;
+        }
+    }
+
+    /**
+     * Convert a VideoFrameStream into a FrameStore, a batch at a time, so neither the decoded
+     * frames nor their results pile up in memory. Canvases are rendered when exporting.
+     * @param progressCallback Optional callback (done, total); total is the stream's estimate until it ends
+     */
+    async convertStream(stream, progressCallback = null, abortSignal = null) {
+        this.frames = [];
+        await this.dispose();
+        
+        let store = null;
+        let pool = null;
+        try {
+            store = await new FrameStore().open();
+            pool = await this.startPool();
+            let done = false;
+            while (!done) {
+                if (abortSignal && abortSignal.aborted) {
+                    console.log('[ASCIIAnimationEncoder] Aborted during conversion');
+                    throw new Error('Aborted by user');
+                }
+                
+                const batch = await stream.read(pool ? pool.size : 1);
+                done = batch.done;
+                if (batch.frames.length === 0) continue;
+                
+                let results;
+                if (pool) {
+                    results = await pool.convertFrames(batch.frames, { signal: abortSignal });
+                } else {
+                    results = batch.frames.map(frame => ({
+                        asciiResult: this.converter.convertImageData(frame.imageData, frame.width, frame.height),
+                        delay: frame.delay
+                    }));
+                    // Yield so the UI stays responsive
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+                await store.append(results);
+                if (progressCallback) progressCallback(store.length, done ? store.length : Math.max(store.length, stream.total || 0));
+            }
+            if (store.length === 0) throw new Error('No frames could be decoded from the video');
+        } catch (error) {
+            if (store) await store.dispose();
+            throw error;
+        } finally {
+            if (pool) pool.terminate();
+            await stream.close();
+        }
+        
+        console.log(`[ASCIIAnimationEncoder] Streamed ${store.length} frames into the frame store`);
+        this.store = store;
+        return store;
+    }
+
+    /**
+     * Build one terminal frame: home the cursor, draw the ANSI-colored lines and erase
+     * anything the previous (possibly larger) frame left behind
+     */
+    getTerminalFrame(asciiResult, newline = '\n') {
+        const rows = this.converter.generateANSI(asciiResult).replace(/\n$/, '').split('\n');
+        return '\x1b[H' + rows.join(`\x1b[K${newline}`) + '\x1b[K\x1b[J';
+    }
+
+    /**
+     * Encode frames as a CSS-animated SVG (see ASCIIConverter.buildSVGDocument)
+     */
+    async encodeSVG(outlineGlyphs = false) {
+        console.log('[ASCIIAnimationEncoder] Starting SVG encoding');
+        if (this.frameCount === 0) {
+            throw new Error('No frames to encode');
+        }
+        
+        // The document holds every frame, so stored frames are all read back here
+        const frames = [];
+        for (let i = 0; i < this.frameCount; i++) {
+            const frame = await this.getFrame(i);
+            frames.push({
+                asciiResult: frame.asciiResult,
+                delay: frame.delay || 1000 / this.options.frameRate
+            });
+        }
+        const svg = this.converter.buildSVGDocument(frames, outlineGlyphs);
+        return new Blob([svg], { type: 'image/svg+xml' });
+    }
+
+    /**
+     * Frame delay in seconds, falling back to the encoder frame rate
+     */
+    getFrameDelaySeconds(frame) {
+        return (frame.delay || 1000 / this.options.frameRate) / 1000;
+    }
+
+    /**
+     * Encode frames as an asciicast v2 recording, playable with `asciinema play`
+     * or any asciicast web player
+     */
+    async encodeAsciicast() {
+        console.log('[ASCIIAnimationEncoder] Starting asciicast encoding');
+        if (this.frameCount === 0) {
+            throw new Error('No frames to encode');
+        }
+        
+        // Recorded output is raw terminal data, so lines need an explicit carriage return.
+        // The header goes first but needs the largest frame size, so it is added at the end.
+        const events = [];
+        let width = 1;
+        let height = 1;
+        let time = 0;
+        events.push(JSON.stringify([0, 'o', '\x1b[2J\x1b[?25l']));
+        for (let i = 0; i < this.frameCount; i++) {
+            const frame = await this.getFrame(i);
+            width = Math.max(width, frame.asciiResult.width);
+            height = Math.max(height, frame.asciiResult.lines.length);
+            events.push(JSON.stringify([Number(time.toFixed(6)), 'o', this.getTerminalFrame(frame.asciiResult, '\r\n')]));
+            time += this.getFrameDelaySeconds(frame);
+        }
+        events.push(JSON.stringify([Number(time.toFixed(6)), 'o', '\x1b[0m\x1b[?25h\r\n']));
+        events.unshift(JSON.stringify({
+            version: 2,
+            width,
+            height,
+            timestamp: Math.floor(Date.now() / 1000),
+            title: 'Glyphify',
+            env: { TERM: 'xterm-256color' }
+        }));
+        
+        return new Blob([events.join('\n') + '\n'], { type: 'application/x-asciicast' });
+    }
+
+    /**
+     * Key color for GIF transparency, or null when no background mask is on or the background is opaque
+     */
+    getGIFTransparentKey() {
+        const { mask } = this.converter.options;
+        if (!mask || mask === 'none') return null;
+        const bgColor = this.converter.options.backgroundColor || '';
+        const alpha = bgColor.length === 9 ? parseInt(bgColor.substr(7, 2), 16) : 255;
+        return alpha < 255 ? ASCIIAnimationEncoder.GIF_TRANSPARENT_KEY : null;
+    }
+
+    /**
+     * RGBA pixels of a frame canvas, with mostly see-through pixels replaced by the key color
+     */
+    getGIFFramePixels(canvas, width, height, transparent) {
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const data = ctx.getImageData(0, 0, width, height).data;
+        if (transparent === null) return data;
+        
+        const r = (transparent >> 16) & 0xFF;
+        const g = (transparent >> 8) & 0xFF;
+        const b = transparent & 0xFF;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 128) {
+                data[i] = r;
+                data[i + 1] = g;
+                data[i + 2] = b;
+            }
+            data[i + 3] = 255;
+        }
+        return data;
+    }
+
+    /**
+     * Encode frames as a self-contained POSIX shell script that loops the animation
+     * in the current terminal until interrupted
+     */
+    async encodeShellScript() {
+        console.log('[ASCIIAnimationEncoder] Starting shell script encoding');
+        if (this.frameCount === 0) {
+            throw new Error('No frames to encode');
+        }
+        
+        // Frames are emitted with quoted heredocs, so their content needs no escaping. The heredoc
+        // runs inside $(...), which drops its trailing newline: a full-height frame must not scroll.
+        const marker = 'GLYPHIFY_FRAME';
+        const parts = [
+            '#!/bin/sh',
+            `# ASCII animation exported by Glyphify (${this.frameCount} frames). Press Ctrl+C to stop.`,
+            'trap \'printf "\\033[0m\\033[?25h\\n"; exit 0\' INT TERM',
+            'printf \'\\033[2J\\033[?25l\'',
+            'while :; do'
+        ];
+        for (let i = 0; i < this.frameCount; i++) {
+            const frame = await this.getFrame(i);
+            parts.push(`printf '%s' "$(cat <<'${marker}'`);
+            parts.push(this.getTerminalFrame(frame.asciiResult));
+            parts.push(marker);
+            parts.push(')"');
+            parts.push(`sleep ${this.getFrameDelaySeconds(frame).toFixed(3)}`);
+        }
+        parts.push('done');
+        
+        return new Blob([parts.join('\n') + '\n'], { type: 'text/x-shellscript' });
+    }
+
+    /**
+     * Encode frames as animated GIF, in the main process when its encoder is available or
+     * else on a Web Worker. Frames are rasterized and sent a batch at a time.
      */
     async encodeGIF(progressCallback = null, abortSignal = null) {
         console.log('[ASCIIAnimationEncoder] Starting GIF encoding');
-        if (this.frames.length === 0) {
+        if (this.frameCount === 0) {
             throw new Error('No frames to encode');
         }
+        const transparent = this.getGIFTransparentKey();
+        const first = await this.getFrame(0);
+        const firstFrame = this.getFrameCanvas(first);
+        const width = firstFrame.width;
+        const height = firstFrame.height;
+        const total = this.frameCount;
 
         // Try main-process GIF encoder first for better speed/quality (if available)
         let mainAvailable = false;
@@ -1669,17 +3479,12 @@ class ASCIIAnimationEncoder {
         if (mainAvailable) {
             console.log('[GIF] Main-process gif-encoder is available; attempting main-process encode');
             try {
-                const firstFrame = this.frames[0].canvas;
-                const width = firstFrame.width;
-                const height = firstFrame.height;
-
                 const coreCount = navigator.hardwareConcurrency || 4;
                 const batchSize = Math.max(12, Math.floor(coreCount * 2));
-                const total = this.frames.length;
 
                 console.log(`[GIF] Main-process encode: cores=${coreCount}, batchSize=${batchSize}, quality=${this.options.quality}`);
 
-                const { gifId } = await window.electronAPI.createGifEncoder({ width, height, repeat: 0, quality: this.options.quality || 10, delay: Math.round(this.frames[0].delay || 100) });
+                const { gifId } = await window.electronAPI.createGifEncoder({ width, height, repeat: 0, quality: this.options.quality || 10, delay: Math.round(first.delay || 100), transparent });
                 console.log('[GIF] Created main-process encoder id', gifId);
 
                 // Attach abort listener to cancel main encoder if external abort happens
@@ -1703,12 +3508,11 @@ class ASCIIAnimationEncoder {
                             if (abortSignal) abortHandler();
                             const e = new Error('Aborted by user'); e.name = 'AbortError'; throw e;
                         }
-                        const frame = this.frames[j];
+                        const frame = await this.getFrame(j);
                         // Get raw RGBA pixel data from canvas (Uint8ClampedArray)
-                        const ctx = frame.canvas.getContext('2d', { willReadFrequently: true });
-                        const imageData = ctx.getImageData(0, 0, width, height);
+                        const pixels = this.getGIFFramePixels(this.getFrameCanvas(frame), width, height, transparent);
                         // Send the underlying ArrayBuffer to avoid boxing into JS arrays
-                        batch.push({ pixels: imageData.data.buffer, delay: Math.round(frame.delay || 100), index: j });
+                        batch.push({ pixels: pixels.buffer, delay: Math.round(frame.delay || 100), index: j });
                     }
 
                     try {
@@ -1776,10 +3580,6 @@ class ASCIIAnimationEncoder {
         }
 
         // Fallback to worker-based GIF encoding (runs off main thread)
-        const firstFrame = this.frames[0].canvas;
-        const width = firstFrame.width;
-        const height = firstFrame.height;
-
         return new Promise((resolve, reject) => {
             const worker = new Worker('./gif-worker.js');
             let frameIndex = 0;
@@ -1789,7 +3589,7 @@ class ASCIIAnimationEncoder {
 
             worker.onmessage = (e) => {
                 if (e.data.type === 'ready') {
-                    sendNextBatch();
+                    sendNextBatch().catch(fail);
                 } else if (e.data.type === 'progress') {
                     if (progressCallback) {
                         // Normalize progress to 0..1 (worker may send percentage or fraction)
@@ -1797,7 +3597,7 @@ class ASCIIAnimationEncoder {
                         if (typeof p === 'number' && p > 1) p = p / 100;
                         progressCallback(p, 'Encoding GIF...');
                     }
-                    sendNextBatch();
+                    sendNextBatch().catch(fail);
                 } else if (e.data.type === 'complete') {
                     worker.terminate();
                     const blob = new Blob([e.data.data], { type: 'image/gif' });
@@ -1814,7 +3614,12 @@ class ASCIIAnimationEncoder {
                 reject(error);
             };
 
-            const sendNextBatch = () => {
+            const fail = (error) => {
+                worker.terminate();
+                reject(error);
+            };
+
+            const sendNextBatch = async () => {
                 if (abortSignal?.aborted) {
                     // Inform worker and then terminate cleanly
                     try { worker.postMessage({ type: 'abort' }); } catch (e) {}
@@ -1824,26 +3629,25 @@ class ASCIIAnimationEncoder {
                     return;
                 }
 
-                if (frameIndex < this.frames.length) {
+                if (frameIndex < total) {
                     const batch = [];
                     const transferables = [];
 
-                    for (let i = 0; i < batchSize && frameIndex < this.frames.length; i++) {
-                        const frame = this.frames[frameIndex];
-                        const ctx = frame.canvas.getContext('2d', { willReadFrequently: true });
-                        const imageData = ctx.getImageData(0, 0, width, height);
+                    for (let i = 0; i < batchSize && frameIndex < total; i++) {
+                        const frame = await this.getFrame(frameIndex);
+                        const pixels = this.getGIFFramePixels(this.getFrameCanvas(frame), width, height, transparent);
 
                         batch.push({
-                            data: imageData.data,
+                            data: pixels,
                             delay: frame.delay,
                             index: frameIndex
                         });
-                        transferables.push(imageData.data.buffer);
+                        transferables.push(pixels.buffer);
                         frameIndex++;
                     }
 
                     worker.postMessage({ type: 'frames', frames: batch }, transferables);
-                } else if (frameIndex === this.frames.length) {
+                } else if (frameIndex === total) {
                     worker.postMessage({ type: 'finish' });
                     frameIndex++;
                 }
@@ -1853,10 +3657,10 @@ class ASCIIAnimationEncoder {
                 type: 'init',
                 width: width,
                 height: height,
-                totalFrames: this.frames.length,
+                totalFrames: total,
                 quality: Math.max(1, Math.min(30, this.options.quality)),
                 repeat: 0,
-                transparent: null
+                transparent
             });
         });
     }
@@ -1887,28 +3691,30 @@ class ASCIIAnimationEncoder {
      */
     async encodeVideoFFMPEG(format = 'mp4', progressCallback = null, abortSignal = null) {
         console.log(`[ASCIIAnimationEncoder] Starting ${format.toUpperCase()} encoding via FFmpeg worker`);
-        if (this.frames.length === 0) {
+        if (this.frameCount === 0) {
             throw new Error('No frames to encode');
         }
 
-        const width = this.frames[0].canvas.width;
-        const height = this.frames[0].canvas.height;
+        // Stored and recorded frames have no canvas until one is rendered (see getFrameCanvas)
+        const firstCanvas = this.getFrameCanvas(await this.getFrame(0));
+        const width = firstCanvas.width;
+        const height = firstCanvas.height;
         const fps = this.options.frameRate;
 
         // Prepare frames as raw RGBA pixel data (instant - just read pixels!)
         const frameImages = [];
-        for (let i = 0; i < this.frames.length; i++) {
+        for (let i = 0; i < this.frameCount; i++) {
             if (abortSignal?.aborted) {
                 throw new Error('Aborted by user');
             }
 
             // Get pixel data directly from existing canvas
-            const ctx = this.frames[i].canvas.getContext('2d', { willReadFrequently: true });
+            const ctx = this.getFrameCanvas(await this.getFrame(i)).getContext('2d', { willReadFrequently: true });
             const imageData = ctx.getImageData(0, 0, width, height);
             frameImages.push(imageData.data); // Uint8ClampedArray - raw RGBA bytes
 
             if (progressCallback) {
-                const percent = (i / this.frames.length) * 10; // 0-10% for frame prep
+                const percent = (i / this.frameCount) * 10; // 0-10% for frame prep
                 progressCallback(percent, 'Preparing frames...');
             }
         }
@@ -1971,7 +3777,7 @@ class ASCIIAnimationEncoder {
      */
     async encodeVideo(format = 'webm', progressCallback = null, abortSignal = null) {
         console.log(`[ASCIIAnimationEncoder] Starting ${format.toUpperCase()} encoding`);
-        if (this.frames.length === 0) {
+        if (this.frameCount === 0) {
             throw new Error('No frames to encode');
         }
         
@@ -1998,19 +3804,21 @@ class ASCIIAnimationEncoder {
      * Encode using WebCodecs API + mp4-muxer (via main process) - FAST, proper metadata
      */
     async encodeVideoWebCodecs(progressCallback = null, abortSignal = null) {
-        const width = this.frames[0].canvas.width;
-        const height = this.frames[0].canvas.height;
+        const totalFrames = this.frameCount;
+        const firstCanvas = this.getFrameCanvas(await this.getFrame(0));
+        const width = firstCanvas.width;
+        const height = firstCanvas.height;
         
         // Calculate FPS from frame delays with full precision
         let fps = this.options.frameRate;
-        if (!fps && this.frames.length > 1) {
-            const totalDelay = this.frames.reduce((sum, frame) => sum + (frame.delay || 100), 0);
-            const avgDelay = totalDelay / this.frames.length;
+        if (!fps && totalFrames > 1) {
+            const totalDelay = this.getFrameDelays().reduce((sum, delay) => sum + (delay || 100), 0);
+            const avgDelay = totalDelay / totalFrames;
             fps = 1000 / avgDelay; // Keep full precision
         }
         fps = fps || 24;
         
-        console.log(`[WebCodecs] Encoding ${this.frames.length} frames at ${width}x${height}, ${fps.toFixed(2)} fps`);
+        console.log(`[WebCodecs] Encoding ${totalFrames} frames at ${width}x${height}, ${fps.toFixed(2)} fps`);
 
         // Retry strategy: attempt original size and two scaled-down attempts if encoding errors occur
         const codecCandidates = ['avc1.42E01E','avc1.4D401E','avc1.4D401F','avc1.640028','avc1.640033'];
@@ -2041,7 +3849,9 @@ class ASCIIAnimationEncoder {
             }
 
             // Create muxer for this attempt
-            const { muxerId } = await window.electronAPI.createVideoMuxer(targetWidth, targetHeight, Math.round(fps));
+            // Audio is cut to the frames' running time, so it stays in step whatever the export frame rate
+            const audio = this.getAudioSource(totalFrames / fps);
+            const { muxerId } = await window.electronAPI.createVideoMuxer(targetWidth, targetHeight, Math.round(fps), audio);
             console.log(`[WebCodecs] Created muxer: ${muxerId} (frameRate=${Math.round(fps)})`);
 
             return await new Promise(async (resolve, reject) => {
@@ -2079,7 +3889,7 @@ class ASCIIAnimationEncoder {
                         }
                     },
                     error: (err) => {
-                        const info = { message: err && err.message ? err.message : String(err), codec: codecChoice, target: `${targetWidth}x${targetHeight}`, framesTotal: this.frames.length, lastAttemptedFrameIndex, lastEncodedFrameIndex, fps, hwConcurrency: navigator.hardwareConcurrency || 'unknown', deviceMemory: navigator.deviceMemory || 'unknown' };
+                        const info = { message: err && err.message ? err.message : String(err), codec: codecChoice, target: `${targetWidth}x${targetHeight}`, framesTotal: totalFrames, lastAttemptedFrameIndex, lastEncodedFrameIndex, fps, hwConcurrency: navigator.hardwareConcurrency || 'unknown', deviceMemory: navigator.deviceMemory || 'unknown' };
                         console.error('[WebCodecs] Encoder error:', info);
                         encoderActive = false;
                         reject(new Error(`[WebCodecs] Encoder error: ${info.message} (codec=${info.codec}, target=${info.target}, lastAttempted=${info.lastAttemptedFrameIndex}, lastEncoded=${info.lastEncodedFrameIndex})`));
@@ -2091,7 +3901,7 @@ class ASCIIAnimationEncoder {
                     encoder.configure({ codec: codecChoice, width: targetWidth, height: targetHeight, bitrate: bitrate, framerate: fps, latencyMode: 'quality', hardwareAcceleration: hwAccel });
                 } catch (e) {
                     try { encoder.close(); } catch (ee) {}
-                    try { window.electronAPI.finalizeVideo(muxerId).catch(()=>{}); } catch (ee) {}
+                    try { window.electronAPI.disposeVideoMuxer(muxerId).catch(()=>{}); } catch (ee) {}
                     return reject(e);
                 }
 
@@ -2099,11 +3909,13 @@ class ASCIIAnimationEncoder {
                 (async () => {
                     const frameDuration = 1_000_000 / fps;
                     try {
-                        for (let i = 0; i < this.frames.length; i++) {
+                        for (let i = 0; i < totalFrames; i++) {
                             if (!encoderActive) throw new Error('Encoder closed during encoding');
-                            if (abortSignal?.aborted) { await encoder.flush(); encoder.close(); return resolve(); }
+                            if (abortSignal?.aborted) { await encoder.flush(); encoder.close(); window.electronAPI.disposeVideoMuxer(muxerId).catch(()=>{}); return resolve(); }
 
-                            const canvas = this.frames[i].canvas;
+                            // Frames are rendered one at a time; wait while the encoder is behind so they do not queue up
+                            while (encoderActive && encoder.encodeQueueSize > 8) await new Promise(r => setTimeout(r, 5));
+                            const canvas = this.getFrameCanvas(await this.getFrame(i));
                             const timestamp = Math.round(i * frameDuration);
 
                             // Draw scaled canvas
@@ -2119,10 +3931,10 @@ class ASCIIAnimationEncoder {
                             const frame = new VideoFrame(encodeCanvas, { timestamp, duration: Math.round(frameDuration) });
                             const keyFrame = i % Math.max(1, Math.round(fps * 2)) === 0;
                             lastAttemptedFrameIndex = i;
-                            try { encoder.encode(frame, { keyFrame }); lastEncodedFrameIndex = i; } catch (err) { frame.close(); encoder.close(); try { window.electronAPI.finalizeVideo(muxerId).catch(()=>{}); } catch (ee) {} throw err; }
+                            try { encoder.encode(frame, { keyFrame }); lastEncodedFrameIndex = i; } catch (err) { frame.close(); encoder.close(); try { window.electronAPI.disposeVideoMuxer(muxerId).catch(()=>{}); } catch (ee) {} throw err; }
                             frame.close();
 
-                            if (progressCallback) progressCallback(((i+1)/this.frames.length)*90, `Encoding frame ${i+1}/${this.frames.length}...`);
+                            if (progressCallback) progressCallback(((i+1)/totalFrames)*90, `Encoding frame ${i+1}/${totalFrames}...`);
                             if (i % 10 === 0) await new Promise(r => setTimeout(r,0));
                         }
 
@@ -2131,7 +3943,8 @@ class ASCIIAnimationEncoder {
                         await encoder.flush(); encoder.close();
                         await new Promise(r => setTimeout(r,100));
                         if (progressCallback) progressCallback(98, 'Finalizing MP4...');
-                        const { data } = await window.electronAPI.finalizeVideo(muxerId);
+                        const { data, audioError } = await window.electronAPI.finalizeVideo(muxerId);
+                        if (audioError) console.warn('[WebCodecs] Exported without audio:', audioError);
 
                         const binaryString = atob(data); const bytes = new Uint8Array(binaryString.length);
                         for (let j = 0; j < binaryString.length; j++) bytes[j] = binaryString.charCodeAt(j);
@@ -2140,7 +3953,7 @@ class ASCIIAnimationEncoder {
                         resolve(blob);
                     } catch (err) {
                         try { encoder.close(); } catch (ee) {}
-                        try { window.electronAPI.finalizeVideo(muxerId).catch(()=>{}); } catch (ee) {}
+                        try { window.electronAPI.disposeVideoMuxer(muxerId).catch(()=>{}); } catch (ee) {}
                         reject(err);
                     }
                 })();
@@ -2175,16 +3988,17 @@ class ASCIIAnimationEncoder {
          */
     async encodeVideoNode(format = 'mp4', progressCallback = null, abortSignal = null) {
         console.log(`[ASCIIAnimationEncoder] Starting ${format.toUpperCase()} encoding via node-side ffmpeg`);
-        if (this.frames.length === 0) throw new Error('No frames to encode');
+        if (this.frameCount === 0) throw new Error('No frames to encode');
 
-        const width = this.frames[0].canvas.width;
-        const height = this.frames[0].canvas.height;
+        const firstCanvas = this.getFrameCanvas(await this.getFrame(0));
+        const width = firstCanvas.width;
+        const height = firstCanvas.height;
 
         // Determine fps
         let fps = this.options.frameRate;
-        if (!fps && this.frames.length > 1) {
-            const totalDelay = this.frames.reduce((sum, frame) => sum + (frame.delay || 100), 0);
-            const avgDelay = totalDelay / this.frames.length;
+        if (!fps && this.frameCount > 1) {
+            const totalDelay = this.getFrameDelays().reduce((sum, delay) => sum + (delay || 100), 0);
+            const avgDelay = totalDelay / this.frameCount;
             fps = Math.round((1000 / avgDelay) * 100) / 100;
             console.log(`[Encoder] Calculated fps from frame delays: ${fps} fps (avg delay ${avgDelay.toFixed(2)}ms)`);
         }
@@ -2192,9 +4006,9 @@ class ASCIIAnimationEncoder {
 
         // Collect PNG data URLs from canvases
         const framesData = [];
-        for (let i = 0; i < this.frames.length; i++) {
+        for (let i = 0; i < this.frameCount; i++) {
             if (abortSignal?.aborted) throw new Error('Aborted by user');
-            let canvas = this.frames[i].canvas;
+            let canvas = this.getFrameCanvas(await this.getFrame(i));
 
             // Ensure even dimensions (libx264 requires width divisible by 2)
             let usedCanvas = canvas;
@@ -2219,7 +4033,7 @@ class ASCIIAnimationEncoder {
             framesData.push(dataUrl);
             if (padded) console.log(`[Node Encoder] Padded frame ${i} to ${usedCanvas.width}x${usedCanvas.height}`);
 
-            if (progressCallback) progressCallback((i / this.frames.length) * 50, `Preparing frames... (${i+1}/${this.frames.length})`);
+            if (progressCallback) progressCallback((i / this.frameCount) * 50, `Preparing frames... (${i+1}/${this.frameCount})`);
             // Yield occasionally
             if (i % 10 === 0) await new Promise(r => setTimeout(r, 0));
         }
@@ -2231,17 +4045,19 @@ class ASCIIAnimationEncoder {
             // Prefer webm-writer in node for WebM (frames -> webm-writer), otherwise fallback to ffmpeg
             const api = window.electronAPI || {};
             let res;
+            const audio = this.getAudioSource(framesData.length / fps);
             // Use the existing stream or file-based node encoders (ffmpeg) for all formats. WebM support removed.
             if (typeof api.encodeFramesStream === 'function') {
                 console.log('[Node Encoder] Using stream-based encodeFramesStream');
-                res = await api.encodeFramesStream({ frames: framesData, width, height, fps, format, quality });
+                res = await api.encodeFramesStream({ frames: framesData, width, height, fps, format, quality, audio });
             } else if (typeof api.encodeFramesNode === 'function') {
                 console.log('[Node Encoder] Using file-based encodeFramesNode');
-                res = await api.encodeFramesNode({ frames: framesData, width, height, fps, format, quality });
+                res = await api.encodeFramesNode({ frames: framesData, width, height, fps, format, quality, audio });
             } else {
                 throw new Error('No node encoder available');
             }
             if (!res || !res.data) throw new Error('Node encoder returned no data');
+            if (res.audioError) console.warn('[Node Encoder] Exported without audio:', res.audioError);
 
 
             const binaryString = atob(res.data);
@@ -2271,7 +4087,7 @@ class ASCIIAnimationEncoder {
                     // Notify user that output may be corrupted
                     try { showToast('Warning: Encoded video has invalid duration — it may be corrupted', 'warning'); } catch (e) {}
                 } else {
-                    const expected = (this.frames.length / fps);
+                    const expected = (this.frameCount / fps);
                     const diff = Math.abs(duration - expected);
                     if (diff > Math.max(0.5, expected * 0.05)) {
                         console.warn(`[Node Encoder] Probed duration (${duration}) differs from expected (${expected})`);
@@ -2298,18 +4114,19 @@ class ASCIIAnimationEncoder {
 
     async encodeVideoMediaRecorder(format = 'webm', progressCallback = null, abortSignal = null) {
         console.log(`[ASCIIAnimationEncoder] Starting ${format.toUpperCase()} encoding with MediaRecorder`);
-        if (this.frames.length === 0) {
+        if (this.frameCount === 0) {
             throw new Error('No frames to encode');
         }
         
-        const width = this.frames[0].canvas.width;
-        const height = this.frames[0].canvas.height;
+        const firstCanvas = this.getFrameCanvas(await this.getFrame(0));
+        const width = firstCanvas.width;
+        const height = firstCanvas.height;
         // Determine fps: prefer explicit option, otherwise calculate from actual frame timings
         let fps = this.options.frameRate;
-        if (!fps && this.frames.length > 1) {
+        if (!fps && this.frameCount > 1) {
             // Calculate actual FPS from frame delays (more accurate)
-            const totalDelay = this.frames.reduce((sum, frame) => sum + (frame.delay || 100), 0);
-            const avgDelay = totalDelay / this.frames.length;
+            const totalDelay = this.getFrameDelays().reduce((sum, delay) => sum + (delay || 100), 0);
+            const avgDelay = totalDelay / this.frameCount;
             fps = Math.round((1000 / avgDelay) * 100) / 100; // Round to 2 decimal places
             console.log(`[Encoder] Calculated fps from frame delays: ${fps} fps (avg delay ${avgDelay.toFixed(2)}ms)`);
         }
@@ -2439,7 +4256,7 @@ class ASCIIAnimationEncoder {
                 progressCallback(0, 'Starting video encoding...');
             }
             
-            const totalFrames = this.frames.length;
+            const totalFrames = this.frameCount;
             console.log(`[Encoder] Rendering ${totalFrames} frames at ${fps} fps`);
             
             // Draw frames quickly with minimal waits, manually trigger captures
@@ -2456,7 +4273,7 @@ class ASCIIAnimationEncoder {
 
                     // Draw frame immediately (max speed)
                     ctx.clearRect(0, 0, width, height);
-                    ctx.drawImage(this.frames[i].canvas, 0, 0);
+                    ctx.drawImage(this.getFrameCanvas(await this.getFrame(i)), 0, 0);
                     
                     // Request frame capture from stream manually
                     videoTrack.requestFrame();
@@ -2484,8 +4301,10 @@ class ASCIIAnimationEncoder {
     }
 }
 
-// Export for use in renderer
-window.ASCIIConverter = ASCIIConverter;
-window.VideoExtractor = VideoExtractor;
-window.GIFEncoder = GIFEncoder;
-window.ASCIIAnimationEncoder = ASCIIAnimationEncoder;
+// Export for use in renderer (conversion workers use the classes directly)
+if (typeof window !== 'undefined') {
+    window.ASCIIConverter = ASCIIConverter;
+    window.VideoExtractor = VideoExtractor;
+    window.GIFEncoder = GIFEncoder;
+    window.ASCIIAnimationEncoder = ASCIIAnimationEncoder;
+}
@@ -0,0 +1,167 @@
+/**
+ * Glyphify - Batch Queue
+ * Converts a list of files one after another with a single settings profile
+ * and writes each result to an output folder using a filename template
+ */
+
+class BatchQueue {
+    constructor() {
+        this.items = [];
+        this.nextId = 1;
+        this.running = false;
+        this.cancelled = false;
+        this.onChange = null; // Called with the queue whenever items or their status change
+    }
+
+    emit() {
+        if (this.onChange) this.onChange(this);
+    }
+
+    /**
+     * Add file paths to the queue, ignoring ones already queued. Returns the number added.
+     */
+    add(paths) {
+        let added = 0;
+        for (const filePath of paths) {
+            if (!filePath || this.items.some(item => item.path === filePath)) continue;
+            this.items.push({
+                id: this.nextId++,
+                path: filePath,
+                name: filePath.split(/[\\/]/).pop(),
+                status: 'pending', // 'pending', 'running', 'done', 'failed' or 'skipped'
+                progress: 0,
+                message: '',
+                outputPath: null,
+                error: null
+            });
+            added++;
+        }
+        if (added) this.emit();
+        return added;
+    }
+
+    remove(id) {
+        if (this.running) return;
+        this.items = this.items.filter(item => item.id !== id);
+        this.emit();
+    }
+
+    clear() {
+        if (this.running) return;
+        this.items = [];
+        this.emit();
+    }
+
+    /**
+     * Stop after the item currently being converted
+     */
+    cancel() {
+        if (this.running) this.cancelled = true;
+    }
+
+    /**
+     * Expand a filename template for one item ({name}, {index}, {ext}, {format}, {width}).
+     * Unsafe filename characters are replaced and the format extension is appended.
+     */
+    static buildFileName(template, item, index, format, width) {
+        const dot = item.name.lastIndexOf('.');
+        const base = dot > 0 ? item.name.slice(0, dot) : item.name;
+        const ext = dot > 0 ? item.name.slice(dot + 1) : '';
+        const name = (template || '{name}')
+            .replace(/\{name\}/g, base)
+            .replace(/\{index\}/g, String(index + 1).padStart(3, '0'))
+            .replace(/\{ext\}/g, ext)
+            .replace(/\{format\}/g, format)
+            .replace(/\{width\}/g, String(width))
+            .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+            .trim();
+        return `${name || base}.${format}`;
+    }
+
+    /**
+     * Convert every item that has not finished yet. Failed items are recorded and
+     * skipped; the queue carries on with the next one.
+     * @param profile { converterOptions, exportOptions, outputDir, template }
+     * @returns Summary { done, failed, skipped, total, elapsed, failures: [{ name, error }] }
+     */
+    async run(profile) {
+        if (this.running) throw new Error('Batch is already running');
+        const { converterOptions, exportOptions, outputDir, template } = profile;
+        const format = exportOptions.format;
+        // Files already in the output folder count as taken, so they are never overwritten
+        const existing = await window.electronAPI.listDirectory(outputDir);
+        const usedNames = new Set(existing.map(name => name.toLowerCase()));
+
+        this.running = true;
+        this.cancelled = false;
+        const startTime = performance.now();
+
+        // Failed and skipped items from a previous run are retried
+        const queue = this.items.filter(item => item.status !== 'done');
+        for (const item of queue) {
+            Object.assign(item, { status: 'pending', progress: 0, message: '', outputPath: null, error: null });
+        }
+        this.emit();
+
+        try {
+            for (let i = 0; i < queue.length; i++) {
+                const item = queue[i];
+                if (this.cancelled) {
+                    item.status = 'skipped';
+                    item.message = 'Cancelled';
+                    continue;
+                }
+
+                item.status = 'running';
+                item.message = 'Reading file...';
+                this.emit();
+
+                try {
+                    const media = await window.electronAPI.readMediaFile(item.path);
+                    const job = new ConversionJob(media, converterOptions, exportOptions, (message, percent) => {
+                        item.message = message;
+                        if (typeof percent === 'number') item.progress = Math.max(0, Math.min(100, percent));
+                        this.emit();
+                    });
+                    const { data, encoding } = await job.run();
+
+                    // Keep names unique within the run (when the template collapses two inputs) and in the folder
+                    const baseName = BatchQueue.buildFileName(template, item, this.items.indexOf(item), format, converterOptions.width);
+                    let fileName = baseName;
+                    for (let n = 2; usedNames.has(fileName.toLowerCase()); n++) {
+                        fileName = baseName.replace(/\.[^.]+$/, `-${n}.${format}`);
+                    }
+                    usedNames.add(fileName.toLowerCase());
+
+                    const outputPath = await window.electronAPI.joinPath(outputDir, fileName);
+                    const result = await window.electronAPI.writeFile(outputPath, data, encoding);
+                    if (!result || !result.success) {
+                        throw new Error(`Could not write ${fileName}: ${(result && result.error) || 'unknown error'}`);
+                    }
+
+                    Object.assign(item, { status: 'done', progress: 100, message: fileName, outputPath });
+                } catch (error) {
+                    console.error(`[Batch] Failed to convert ${item.name}:`, error);
+                    const message = error && error.message ? error.message : String(error);
+                    Object.assign(item, { status: 'failed', message, error: message });
+                }
+                this.emit();
+            }
+        } finally {
+            this.running = false;
+            this.emit();
+        }
+
+        return {
+            done: queue.filter(item => item.status === 'done').length,
+            failed: queue.filter(item => item.status === 'failed').length,
+            skipped: queue.filter(item => item.status === 'skipped').length,
+            total: queue.length,
+            elapsed: performance.now() - startTime,
+            failures: queue.filter(item => item.status === 'failed').map(item => ({ name: item.name, error: item.error }))
+        };
+    }
+}
+
+// Export for use in renderer
+window.BatchQueue = BatchQueue;
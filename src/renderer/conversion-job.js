@@ -0,0 +1,262 @@
+/**
+ * Glyphify - Conversion Job
+ * Converts one loaded media file into a finished export with the same
+ * ASCIIConverter / ASCIIAnimationEncoder pipeline the UI uses.
+ * Shared by the headless CLI renderer and the batch queue.
+ */
+
+class ConversionJob {
+    /**
+     * @param media Media object as returned by the main process (readMediaFile)
+     * @param converterOptions ASCIIConverter options
+     * @param exportOptions { format, frameRate, trimStart, trimEnd, pngScale, gifQuality, includeStyles, svgOutline, includeAudio }
+     * @param onProgress Optional callback (message, percent) with percent in 0-100
+     */
+    constructor(media, converterOptions = {}, exportOptions = {}, onProgress = null) {
+        this.media = media;
+        this.converterOptions = converterOptions;
+        this.exportOptions = {
+            pngScale: 2,
+            gifQuality: 10,
+            includeStyles: true,
+            svgOutline: false,
+            includeAudio: true,
+            ...exportOptions
+        };
+        this.onProgress = onProgress;
+    }
+
+    report(message, percent) {
+        if (this.onProgress) this.onProgress(message, percent);
+    }
+
+    static loadImage(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not decode input image'));
+            img.src = dataUrl;
+        });
+    }
+
+    static blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Part of the clip to convert ({ start, end } in seconds, end null for the end of the clip)
+     */
+    get range() {
+        return { start: this.exportOptions.trimStart || 0, end: this.exportOptions.trimEnd || null };
+    }
+
+    /**
+     * Extract video/GIF frames with the main-process ffmpeg (same path the UI prefers for GIFs)
+     */
+    async extractFrames() {
+        const frameRate = this.exportOptions.frameRate;
+        let lastPercent = -1;
+        const unsubscribe = window.electronAPI.onExtractProgress((p) => {
+            if (typeof p.percent === 'number' && p.percent >= lastPercent + 10) {
+                lastPercent = p.percent;
+                this.report(`Extracting frames: ${p.percent}%`, p.percent * 0.4);
+            }
+        });
+
+        try {
+            const { start, end } = this.range;
+            const res = await window.electronAPI.extractFramesNode({ ...VideoFrameStream.mediaSource(this.media), frameRate: frameRate || null, start, end });
+            if (!res || !res.success || !Array.isArray(res.frames)) {
+                throw new Error(`Frame extraction failed: ${(res && res.error) || 'no frames returned'}`);
+            }
+            return res.frames.map((nf) => ({
+                imageData: new ImageData(new Uint8ClampedArray(nf.pixels), nf.width, nf.height),
+                width: nf.width,
+                height: nf.height,
+                delay: nf.delay || Math.round(1000 / (frameRate || 25))
+            }));
+        } finally {
+            unsubscribe();
+        }
+    }
+
+    /**
+     * Source file whose audio goes into video exports (GIFs have none)
+     */
+    audioSource() {
+        if (this.media.isGif) return null;
+        return VideoFrameStream.mediaSource(this.media);
+    }
+
+    /**
+     * Run the conversion and return the encoded output as { data, encoding },
+     * ready to pass to electronAPI.writeFile
+     */
+    async run() {
+        const converter = new ASCIIConverter(this.converterOptions);
+        const media = this.media;
+        const isAnimated = media.type === 'video' || media.isGif;
+
+        let encoder = null;
+        try {
+            let asciiResult;
+            if (isAnimated) {
+                encoder = !media.isGif && VideoFrameStream.isSupported()
+                    ? await this.convertStream(converter)
+                    : await this.convertFrames(converter);
+                // Still formats (txt/html/png) export the first frame, matching the UI
+                asciiResult = (await encoder.getFrame(0)).asciiResult;
+            } else {
+                this.report(`Converting ${media.name}...`, 0);
+                const img = await ConversionJob.loadImage(media.data);
+                asciiResult = await converter.convertImage(img);
+                this.report(`Converted ${media.name}`, 80);
+            }
+            return await this.export(converter, asciiResult, encoder);
+        } finally {
+            // Streamed videos leave a frame store behind
+            if (encoder) await encoder.dispose();
+        }
+    }
+
+    /**
+     * Decode and convert a video a few frames at a time into the encoder's frame store
+     */
+    async convertStream(converter) {
+        const exportOptions = this.exportOptions;
+        this.report(`Decoding ${this.media.name}...`, 0);
+        const stream = await VideoFrameStream.open(this.media, exportOptions.frameRate, this.range);
+        const encoder = new ASCIIAnimationEncoder(converter, {
+            frameRate: stream.frameRate,
+            quality: exportOptions.gifQuality,
+            scale: exportOptions.pngScale,
+            audio: this.audioSource(),
+            includeAudio: exportOptions.includeAudio,
+            startTime: this.range.start
+        });
+
+        let reported = 0;
+        await encoder.convertStream(stream, (done, total) => {
+            if (done - reported >= 25 || done === total) {
+                reported = done;
+                this.report(`Converted ${total ? `${done}/${total}` : done} frames`, total ? done / total * 80 : 0);
+            }
+        });
+        return encoder;
+    }
+
+    /**
+     * Extract every frame (GIFs, or videos when streaming is unavailable) and convert them in memory
+     */
+    async convertFrames(converter) {
+        const exportOptions = this.exportOptions;
+        const format = exportOptions.format;
+        this.report(`Extracting frames from ${this.media.name}...`, 0);
+        const videoFrames = await this.extractFrames();
+
+        // Derive fps from the source frame delays when not given explicitly
+        let fps = exportOptions.frameRate;
+        if (!fps) {
+            const totalDelay = videoFrames.reduce((sum, f) => sum + (f.delay || 100), 0);
+            fps = 1000 / (totalDelay / videoFrames.length);
+        }
+
+        const encoder = new ASCIIAnimationEncoder(converter, {
+            frameRate: fps,
+            quality: exportOptions.gifQuality,
+            scale: exportOptions.pngScale,
+            audio: this.audioSource(),
+            includeAudio: exportOptions.includeAudio,
+            startTime: this.range.start
+        });
+
+        const needsCanvas = format === 'gif' || format === 'mp4';
+        for (let i = 0; i < videoFrames.length; i++) {
+            const frame = videoFrames[i];
+            const result = converter.convertImageData(frame.imageData, frame.width, frame.height);
+            encoder.frames.push({
+                canvas: needsCanvas ? converter.renderToCanvas(result, exportOptions.pngScale) : null,
+                asciiResult: result,
+                delay: frame.delay
+            });
+            if ((i + 1) % 25 === 0 || i === videoFrames.length - 1) {
+                this.report(`Converted ${i + 1}/${videoFrames.length} frames`, 40 + (i + 1) / videoFrames.length * 40);
+            }
+            if (i % 10 === 0) await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return encoder;
+    }
+
+    /**
+     * Encode the converted result in the requested format
+     * @param encoder Animation encoder for animated input, or null for a still image
+     */
+    async export(converter, asciiResult, encoder) {
+        const exportOptions = this.exportOptions;
+        const format = exportOptions.format;
+
+        // Still images become a single-frame animation for the animated formats
+        const ensureEncoder = (withCanvas) => {
+            if (!encoder) {
+                encoder = new ASCIIAnimationEncoder(converter, {
+                    quality: exportOptions.gifQuality,
+                    scale: exportOptions.pngScale
+                });
+                encoder.frames = [{
+                    canvas: withCanvas ? converter.renderToCanvas(asciiResult, exportOptions.pngScale) : null,
+                    asciiResult,
+                    delay: withCanvas ? 100 : 1000
+                }];
+            }
+            return encoder;
+        };
+
+        switch (format) {
+            case 'txt':
+                return { data: asciiResult.text, encoding: 'utf-8' };
+            case 'html':
+                return { data: converter.generateHTML(asciiResult, exportOptions.includeStyles), encoding: 'utf-8' };
+            case 'ans':
+                return { data: converter.generateANSI(asciiResult), encoding: 'utf-8' };
+            case 'svg': {
+                // Animated input produces a CSS-animated SVG
+                const data = encoder && encoder.frameCount > 1
+                    ? await (await encoder.encodeSVG(exportOptions.svgOutline)).text()
+                    : converter.generateSVG(asciiResult, exportOptions.svgOutline);
+                return { data, encoding: 'utf-8' };
+            }
+            case 'png': {
+                const canvas = converter.renderToCanvas(asciiResult, exportOptions.pngScale);
+                return { data: canvas.toDataURL('image/png'), encoding: 'base64' };
+            }
+            case 'gif':
+            case 'mp4': {
+                ensureEncoder(true);
+                this.report(`Encoding ${format.toUpperCase()}...`, 80);
+                // encodeGIF reports 0-1, encodeMP4 a percentage (or null alongside a status message)
+                const unit = format === 'gif' ? 100 : 1;
+                const onEncodeProgress = (p) => {
+                    if (typeof p === 'number') this.report(`Encoding ${format.toUpperCase()}...`, 80 + p * unit * 0.2);
+                };
+                const blob = format === 'gif' ? await encoder.encodeGIF(onEncodeProgress) : await encoder.encodeMP4(onEncodeProgress);
+                return { data: await ConversionJob.blobToDataUrl(blob), encoding: 'base64' };
+            }
+            case 'cast':
+            case 'sh': {
+                ensureEncoder(false);
+                const blob = format === 'cast' ? await encoder.encodeAsciicast() : await encoder.encodeShellScript();
+                return { data: await blob.text(), encoding: 'utf-8' };
+            }
+            default:
+                throw new Error(`Unsupported output format: ${format}`);
+        }
+    }
+}
+
+// Export for use in renderer
+window.ConversionJob = ConversionJob;
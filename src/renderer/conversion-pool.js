@@ -0,0 +1,143 @@
+/**
+ * Glyphify - Conversion Pool
+ * Converts and rasterizes animation frames on a set of workers (conversion-worker.js)
+ * so long clips do not block the UI. Frames are handed out one at a time per worker
+ * and the results are collected back in frame order.
+ */
+
+class ConversionPool {
+    /**
+     * @param converterOptions ASCIIConverter options every worker converts with
+     * @param size Number of workers (default: one per logical core)
+     */
+    constructor(converterOptions, size = navigator.hardwareConcurrency || 4) {
+        this.converterOptions = converterOptions;
+        // Continuous auto levels are smoothed from frame to frame, so they need a single converter
+        this.size = converterOptions.autoLevels ? 1 : Math.max(1, Math.floor(size));
+        this.workers = [];
+        this.ready = null;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    }
+
+    /**
+     * Start the workers and wait until each has its converter. Fails before any frame
+     * is transferred, so callers can fall back to converting on the main thread.
+     */
+    start() {
+        if (this.ready) return this.ready;
+        const starting = [];
+        for (let i = 0; i < this.size; i++) {
+            const worker = new Worker('conversion-worker.js');
+            this.workers.push(worker);
+            starting.push(new Promise((resolve, reject) => {
+                worker.onmessage = (e) => {
+                    if (e.data.type === 'ready') resolve();
+                    else if (e.data.type === 'error') reject(new Error(e.data.error));
+                };
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    reject(new Error(e.message || 'Conversion worker failed to start'));
+                };
+            }));
+            worker.postMessage({ type: 'options', options: this.converterOptions });
+        }
+        this.ready = Promise.all(starting);
+        return this.ready;
+    }
+
+    /**
+     * Convert frames ({ imageData, width, height, delay }) in order. Each frame's pixels
+     * are transferred to a worker and put back on the frame object with the result.
+     * Aborting stops handing out frames and waits for the ones in flight.
+     * @param options { scale (render canvases at this scale, or null for none), signal, onProgress(done, total) }
+     * @returns [{ canvas, asciiResult, delay }] in frame order
+     */
+    async convertFrames(frames, { scale = null, signal = null, onProgress = null } = {}) {
+        await this.start();
+        return new Promise((resolve, reject) => {
+            const results = new Array(frames.length);
+            let next = 0;
+            let done = 0;
+            let busy = 0;
+            let failure = null;
+            let settled = false;
+
+            const dispatch = (worker) => {
+                if (!failure && signal && signal.aborted) failure = new Error('Aborted by user');
+                if (failure || next >= frames.length) {
+                    // Settle once every frame in flight has come back
+                    if (busy === 0 && !settled) {
+                        settled = true;
+                        if (failure) reject(failure);
+                        else resolve(results);
+                    }
+                    return;
+                }
+                const index = next++;
+                const frame = frames[index];
+                busy++;
+                worker.postMessage({
+                    type: 'frame',
+                    index,
+                    imageData: frame.imageData,
+                    width: frame.width,
+                    height: frame.height,
+                    scale
+                }, [frame.imageData.data.buffer]);
+            };
+
+            for (const worker of this.workers) {
+                worker.onmessage = (e) => {
+                    const message = e.data;
+                    const frame = frames[message.index];
+                    busy--;
+                    frame.imageData = message.imageData;
+                    if (message.type === 'error') {
+                        failure = failure || new Error(`Frame ${message.index + 1}: ${message.error}`);
+                    } else {
+                        results[message.index] = {
+                            canvas: message.bitmap ? ConversionPool.bitmapToCanvas(message.bitmap) : null,
+                            asciiResult: message.asciiResult,
+                            delay: frame.delay
+                        };
+                        done++;
+                        if (onProgress) onProgress(done, frames.length);
+                    }
+                    dispatch(worker);
+                };
+                // A crashed worker keeps the frame it was sent; nothing more can be collected
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    if (settled) return;
+                    settled = true;
+                    reject(new Error(e.message || 'Conversion worker crashed'));
+                };
+            }
+            this.workers.forEach(dispatch);
+        });
+    }
+
+    /**
+     * Copy a worker-rendered bitmap into a regular canvas, which the encoders read back
+     */
+    static bitmapToCanvas(bitmap) {
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+    }
+
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.ready = null;
+    }
+}
+
+// Export for use in renderer
+window.ConversionPool = ConversionPool;
@@ -0,0 +1,41 @@
+/**
+ * Web Worker for the conversion pool (see conversion-pool.js).
+ * Runs an ASCIIConverter against OffscreenCanvas: converts transferred frames,
+ * rasterizes them when asked, and hands the source pixels back with the result.
+ */
+
+importScripts('ascii-converter.js');
+
+let converter = null;
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    if (message.type === 'options') {
+        try {
+            converter = new ASCIIConverter(message.options);
+            self.postMessage({ type: 'ready' });
+        } catch (error) {
+            self.postMessage({ type: 'error', error: error.message || String(error) });
+        }
+        return;
+    }
+
+    if (message.type === 'frame') {
+        const { index, imageData, width, height, scale } = message;
+        // The source buffer always goes back, so the caller's frame cache stays intact
+        const transfer = [imageData.data.buffer];
+        try {
+            if (!converter) throw new Error('Converter options were not set');
+            const asciiResult = converter.convertImageData(imageData, width, height);
+            let bitmap = null;
+            if (scale) {
+                bitmap = converter.renderToCanvas(asciiResult, scale).transferToImageBitmap();
+                transfer.push(bitmap);
+            }
+            self.postMessage({ type: 'frame', index, imageData, asciiResult, bitmap }, transfer);
+        } catch (error) {
+            self.postMessage({ type: 'error', index, imageData, error: error.message || String(error) }, transfer);
+        }
+    }
+};
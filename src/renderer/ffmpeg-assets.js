@@ -0,0 +1,59 @@
+/**
+ * FFmpeg.wasm loader shared by the FFmpeg workers (importScripts).
+ * Everything comes from the app package through the glyphify:// protocol registered
+ * in main.js, so the worker path works offline and from inside the asar archive.
+ */
+
+const FFMPEG_ASSET_BASE = 'glyphify://ffmpeg/';
+
+// Set when a script below fails to load; reported on the first request instead of killing the worker
+let ffmpegScriptError = null;
+
+/**
+ * Import the bundled UMD builds, e.g. importFFmpegScripts('ffmpeg/ffmpeg.js', 'util/index.js')
+ */
+function importFFmpegScripts(...files) {
+    for (const file of files) {
+        try {
+            importScripts(FFMPEG_ASSET_BASE + file);
+        } catch (error) {
+            console.error(`[FFmpeg Assets] Failed to load ${file}:`, error);
+            ffmpegScriptError = ffmpegScriptError || `${file} could not be loaded`;
+        }
+    }
+}
+
+/**
+ * Fetch a bundled file into a blob URL. The core and its class worker must be
+ * same-origin with this worker, which a glyphify:// URL is not.
+ */
+async function ffmpegAssetBlobURL(file, type) {
+    const response = await fetch(FFMPEG_ASSET_BASE + file);
+    if (!response.ok) throw new Error(`${file} is missing from the app package (${response.status})`);
+    return URL.createObjectURL(new Blob([await response.arrayBuffer()], { type }));
+}
+
+/**
+ * Throw a readable error if the UMD scripts did not load
+ */
+function checkFFmpegScripts() {
+    const reason = ffmpegScriptError || (typeof FFmpegWASM === 'undefined' ? 'ffmpeg/ffmpeg.js did not define FFmpegWASM' : null);
+    if (reason) throw new Error(`FFmpeg.wasm could not be loaded: ${reason}. Reinstall Glyphify or run "npm install".`);
+}
+
+/**
+ * Load an FFmpeg instance from the bundled core, with a readable error when it is unavailable
+ */
+async function loadBundledFFmpeg(ffmpeg) {
+    try {
+        const [coreURL, wasmURL, classWorkerURL] = await Promise.all([
+            ffmpegAssetBlobURL('core/ffmpeg-core.js', 'text/javascript'),
+            ffmpegAssetBlobURL('core/ffmpeg-core.wasm', 'application/wasm'),
+            // Resolved by main.js to the installed package's numbered chunk
+            ffmpegAssetBlobURL('ffmpeg/class-worker.js', 'text/javascript')
+        ]);
+        await ffmpeg.load({ coreURL, wasmURL, classWorkerURL });
+    } catch (error) {
+        throw new Error(`FFmpeg.wasm core could not be loaded: ${error.message}. Reinstall Glyphify or run "npm install".`);
+    }
+}
@@ -9,9 +9,9 @@ self.document = {
     currentScript: { src: '' }
 };
 
-// Load FFmpeg from CDN
-importScripts('https://unpkg.com/@ffmpeg/ffmpeg@0.12.10/dist/umd/ffmpeg.js');
-importScripts('https://unpkg.com/@ffmpeg/util@0.12.1/dist/umd/index.js');
+// Load FFmpeg from the app package (see ffmpeg-assets.js)
+importScripts('ffmpeg-assets.js');
+importFFmpegScripts('ffmpeg/ffmpeg.js', 'util/index.js');
 
 let ffmpeg = null;
 let isLoaded = false;
@@ -22,6 +22,12 @@ let workerAborted = false; // Set when main thread requests abort
 async function loadFFmpeg() {
     if (isLoaded) return;
     
+    try {
+        checkFFmpegScripts();
+    } catch (error) {
+        self.postMessage({ type: 'status', message: error.message });
+        throw error;
+    }
     const { FFmpeg } = FFmpegWASM;
     self.postMessage({ type: 'status', message: 'Loading FFmpeg core...' });
     ffmpeg = new FFmpeg();
@@ -37,10 +43,13 @@ async function loadFFmpeg() {
     });
     
     // Load FFmpeg core
-    await ffmpeg.load({
-        coreURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd/ffmpeg-core.js',
-        wasmURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd/ffmpeg-core.wasm',
-    });
+    try {
+        await loadBundledFFmpeg(ffmpeg);
+    } catch (error) {
+        ffmpeg = null;
+        self.postMessage({ type: 'status', message: error.message });
+        throw error;
+    }
     
     isLoaded = true;
     self.postMessage({ type: 'status', message: 'FFmpeg loaded' });
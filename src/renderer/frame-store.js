@@ -0,0 +1,171 @@
+/**
+ * Glyphify - Frame Store
+ * Holds the converted frames of a streamed animation in a temp file owned by the main
+ * process (see framestore:* in main.js). Frames are packed on the way in and read back
+ * one at a time, with a small cache and read-ahead for playback and scrubbing.
+ */
+
+class FrameStore {
+    /**
+     * @param options { cacheSize (frames kept in memory), readAhead (frames loaded past the one asked for) }
+     */
+    constructor(options = {}) {
+        this.options = {
+            cacheSize: 48,
+            readAhead: 8,
+            ...options
+        };
+        this.storeId = null;
+        this.delays = [];
+        this.cache = new Map(); // index -> asciiResult, oldest first
+        this.loading = new Map(); // index -> pending read
+    }
+
+    static isSupported() {
+        return !!(window.electronAPI && typeof window.electronAPI.createFrameStore === 'function');
+    }
+
+    async open() {
+        const { storeId } = await window.electronAPI.createFrameStore();
+        this.storeId = storeId;
+        return this;
+    }
+
+    get length() {
+        return this.delays.length;
+    }
+
+    /**
+     * Append converted frames ({ asciiResult, delay }) in order
+     */
+    async append(frames) {
+        if (this.storeId === null) throw new Error('Frame store is not open');
+        await window.electronAPI.appendFrameStore(this.storeId, frames.map(frame => FrameStore.pack(frame.asciiResult)));
+        for (const frame of frames) this.delays.push(frame.delay);
+    }
+
+    /**
+     * Load a frame's asciiResult
+     */
+    async get(index) {
+        if (this.cache.has(index)) {
+            const result = this.cache.get(index);
+            this.remember(index, result);
+            return result;
+        }
+        if (this.loading.has(index)) return this.loading.get(index);
+        if (this.storeId === null || index < 0 || index >= this.length) return null;
+
+        const storeId = this.storeId;
+        const pending = window.electronAPI.readFrameStore(storeId, index).then((bytes) => {
+            this.loading.delete(index);
+            if (!bytes || this.storeId !== storeId) return null;
+            const result = FrameStore.unpack(bytes);
+            this.remember(index, result);
+            return result;
+        }, (error) => {
+            this.loading.delete(index);
+            throw error;
+        });
+        this.loading.set(index, pending);
+        return pending;
+    }
+
+    /**
+     * A frame's asciiResult if it is already in memory, else null. Either way the frame and
+     * the ones after it start loading, so playback finds them cached.
+     */
+    peek(index) {
+        const end = Math.min(this.length, index + 1 + this.options.readAhead);
+        for (let i = Math.max(0, index); i < end; i++) {
+            if (!this.cache.has(i) && !this.loading.has(i)) {
+                this.get(i).catch(error => console.warn(`[FrameStore] Could not read frame ${i}:`, error));
+            }
+        }
+        return this.cache.get(index) || null;
+    }
+
+    remember(index, result) {
+        this.cache.delete(index);
+        this.cache.set(index, result);
+        while (this.cache.size > this.options.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    async dispose() {
+        if (this.storeId === null) return;
+        const storeId = this.storeId;
+        this.storeId = null;
+        this.delays = [];
+        this.cache.clear();
+        this.loading.clear();
+        await window.electronAPI.disposeFrameStore(storeId);
+    }
+
+    /**
+     * Pack an asciiResult as [header length (u32)][JSON header][cell colors]. Colors are
+     * 3 bytes per cell, or 7 (rgb, background flag, background rgb) when any cell has a background.
+     */
+    static pack(asciiResult) {
+        const { lines, colorData, width, height } = asciiResult;
+        const hasBg = colorData.some(row => row.some(color => color && color.bg));
+        const stride = hasBg ? 7 : 3;
+        const header = new TextEncoder().encode(JSON.stringify({ lines, width, height, stride }));
+        const cells = lines.reduce((sum, line) => sum + line.length, 0);
+
+        const bytes = new Uint8Array(4 + header.length + cells * stride);
+        new DataView(bytes.buffer).setUint32(0, header.length, true);
+        bytes.set(header, 4);
+        // Written through a clamped view so fractional or out-of-range channels cannot wrap
+        const colors = new Uint8ClampedArray(bytes.buffer);
+        let offset = 4 + header.length;
+        lines.forEach((line, y) => {
+            for (let x = 0; x < line.length; x++) {
+                const color = (colorData[y] && colorData[y][x]) || { r: 0, g: 0, b: 0 };
+                colors[offset] = color.r;
+                colors[offset + 1] = color.g;
+                colors[offset + 2] = color.b;
+                if (hasBg && color.bg) {
+                    colors[offset + 3] = 1;
+                    colors[offset + 4] = color.bg.r;
+                    colors[offset + 5] = color.bg.g;
+                    colors[offset + 6] = color.bg.b;
+                }
+                offset += stride;
+            }
+        });
+        return bytes;
+    }
+
+    static unpack(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const headerLength = view.getUint32(0, true);
+        const { lines, width, height, stride } = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + headerLength)));
+
+        let offset = 4 + headerLength;
+        const colorData = lines.map((line) => {
+            const row = new Array(line.length);
+            for (let x = 0; x < line.length; x++) {
+                const color = { r: bytes[offset], g: bytes[offset + 1], b: bytes[offset + 2] };
+                if (stride === 7 && bytes[offset + 3]) {
+                    color.bg = { r: bytes[offset + 4], g: bytes[offset + 5], b: bytes[offset + 6] };
+                }
+                row[x] = color;
+                offset += stride;
+            }
+            return row;
+        });
+
+        return {
+            text: lines.map(line => line.replace(/\u2800/g, ' ')).join('\n'),
+            lines,
+            colorData,
+            width,
+            height
+        };
+    }
+}
+
+// Export for use in renderer
+window.FrameStore = FrameStore;
@@ -545,6 +545,11 @@ class GIFEncoder {
         this.sample = quality;
     }
 
+    // Color (0xRRGGBB) to mark transparent; frames are then disposed to the background
+    setTransparent(color) {
+        this.transparent = color;
+    }
+
     addFrame(imageData) {
         this.image = imageData;
         this.getImagePixels();
@@ -600,6 +605,7 @@ class GIFEncoder {
         const nPix = len / 3;
         
         this.indexedPixels = new Uint8Array(nPix);
+        this.usedEntry = []; // Each frame gets its own palette
         
         // Always use NeuQuant for proper color quantization
         // Sample rate: 10 = good quality/speed balance for ASCII art
@@ -607,9 +613,13 @@ class GIFEncoder {
         const nq = new NeuQuant(this.pixels, this.sample || 10);
         this.colorTab = nq.process();
         
-        // Simple pixel mapping
+        // Simple pixel mapping; pixels in the transparent key color are set aside
         const width = this.width;
         const height = this.height;
+        const key = this.transparent;
+        const keyed = key === null ? null : new Uint8Array(nPix);
+        const counts = new Uint32Array(this.colorTab.length / 3);
+        let keyCount = 0;
         let k = 0;
         
         for (let y = 0; y < height; y++) {
@@ -617,17 +627,76 @@ class GIFEncoder {
                 const r = this.pixels[k] & 0xff;
                 const g = this.pixels[k + 1] & 0xff;
                 const b = this.pixels[k + 2] & 0xff;
+                k += 3;
                 
+                if (keyed && ((r << 16) | (g << 8) | b) === key) {
+                    keyed[y * width + x] = 1;
+                    keyCount++;
+                    continue;
+                }
                 const index = nq.map(r, g, b);
                 this.usedEntry[index] = true;
+                counts[index]++;
                 this.indexedPixels[y * width + x] = index;
-                k += 3;
             }
         }
         
         this.pixels = null;
         this.colorDepth = 8;
         this.palSize = 7;
+        
+        // Only frames with key pixels are marked transparent (see writeGraphicCtrlExt)
+        this.transIndex = keyCount > 0 ? this.reserveTransparentEntry(keyed, counts) : -1;
+    }
+
+    /**
+     * Give the key color a palette entry of its own, so no image color is keyed out with it.
+     * Takes the least used entry; image pixels on it move to their next closest color.
+     */
+    reserveTransparentEntry(keyed, counts) {
+        let entry = 0;
+        for (let i = 1; i < counts.length; i++) {
+            if (counts[i] < counts[entry]) entry = i;
+        }
+        
+        if (counts[entry] > 0) {
+            const p = entry * 3;
+            const color = (this.colorTab[p] << 16) | (this.colorTab[p + 1] << 8) | this.colorTab[p + 2];
+            const replacement = this.findClosest(color, entry);
+            for (let i = 0; i < this.indexedPixels.length; i++) {
+                if (!keyed[i] && this.indexedPixels[i] === entry) this.indexedPixels[i] = replacement;
+            }
+        }
+        for (let i = 0; i < keyed.length; i++) {
+            if (keyed[i]) this.indexedPixels[i] = entry;
+        }
+        
+        this.colorTab[entry * 3] = (this.transparent >> 16) & 0xff;
+        this.colorTab[entry * 3 + 1] = (this.transparent >> 8) & 0xff;
+        this.colorTab[entry * 3 + 2] = this.transparent & 0xff;
+        this.usedEntry[entry] = true;
+        return entry;
+    }
+
+    // Closest used palette entry to a color (0xRRGGBB), skipping the entry at exclude
+    findClosest(color, exclude = -1) {
+        const r = (color >> 16) & 0xff;
+        const g = (color >> 8) & 0xff;
+        const b = color & 0xff;
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < this.colorTab.length; i += 3) {
+            const index = i / 3;
+            const dr = r - this.colorTab[i];
+            const dg = g - this.colorTab[i + 1];
+            const db = b - this.colorTab[i + 2];
+            const distance = dr * dr + dg * dg + db * db;
+            if (index !== exclude && this.usedEntry[index] && distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        }
+        return best;
     }
 
     writeLSD() {
@@ -662,9 +731,11 @@ class GIFEncoder {
         this.out.writeByte(0x21);
         this.out.writeByte(0xf9);
         this.out.writeByte(4);
-        this.out.writeByte(0);
+        // Transparent frames restore to the background (disposal 2) so they do not pile up
+        const transparent = this.transIndex >= 0;
+        this.out.writeByte(transparent ? (2 << 2) | 1 : 0);
         this.writeShort(this.delay);
-        this.out.writeByte(0);
+        this.out.writeByte(transparent ? this.transIndex : 0);
         this.out.writeByte(0);
     }
 
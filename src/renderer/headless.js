@@ -0,0 +1,58 @@
+/**
+ * Glyphify - Headless Renderer
+ * Runs one command-line conversion job through ConversionJob, then reports back to main
+ */
+
+function report(message) {
+    console.log(`[Headless] ${message}`);
+    try { window.electronAPI.reportCliProgress(message); } catch (e) { /* ignore */ }
+}
+
+async function writeOutput(filePath, data, encoding) {
+    const result = await window.electronAPI.writeFile(filePath, data, encoding);
+    if (!result || !result.success) {
+        throw new Error(`Could not write ${filePath}: ${(result && result.error) || 'unknown error'}`);
+    }
+}
+
+/**
+ * Layer the explicit flags over the --preset values, if one was given
+ */
+function resolveOptions(job) {
+    if (!job.preset && !job.presetText) {
+        return { converterOptions: job.converterOptions, exportOptions: job.exportOptions };
+    }
+    const preset = job.presetText
+        ? PresetManager.parse(job.presetText)[0]
+        : new PresetManager(job.savedPresets).get(job.preset);
+    if (!preset) throw new Error(`Unknown preset: ${job.preset}`);
+    report(`Using preset "${preset.name}"`);
+
+    const converterOptions = { ...preset.converterOptions, ...job.converterOptions };
+    // An explicit --charset wins over a preset's custom charset
+    if (job.converterOptions.charset && !job.converterOptions.customCharset) converterOptions.customCharset = null;
+    return {
+        converterOptions,
+        exportOptions: { ...preset.exportOptions, ...job.exportOptions }
+    };
+}
+
+async function runJob() {
+    const job = await window.electronAPI.getCliJob();
+    const { converterOptions, exportOptions } = resolveOptions(job);
+    const conversion = new ConversionJob(job.media, converterOptions, exportOptions, report);
+    const { data, encoding } = await conversion.run();
+    await writeOutput(job.output, data, encoding);
+    return { success: true };
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    let result;
+    try {
+        result = await runJob();
+    } catch (error) {
+        console.error('[Headless] Job failed:', error);
+        result = { success: false, error: error && error.message ? error.message : String(error) };
+    }
+    await window.electronAPI.completeCliJob(result);
+});
@@ -0,0 +1,218 @@
+/**
+ * Glyphify - Live Source
+ * Feeds a camera, a screen or window capture, or a looping video file into the
+ * converter at a target frame rate, and can record the session as animation
+ * frames for export. Crop, rotation and flips come from the converter options.
+ */
+
+class LiveSource {
+    /**
+     * @param converter ASCIIConverter used for every frame (options changes apply live)
+     * @param videoElement Video element that plays the source (also serves as the preview)
+     * @param options { frameRate, onFrame(asciiResult, stats), onError(error) }
+     */
+    constructor(converter, videoElement, options = {}) {
+        this.converter = converter;
+        this.video = videoElement;
+        this.options = {
+            frameRate: 15,
+            onFrame: null,
+            onError: null,
+            ...options
+        };
+        this.stream = null;
+        this.sourceLabel = '';
+        this.sourceValue = ''; // Source picker value this was started from
+        this.running = false;
+        this.timer = null;
+        this.recording = null; // { frames, lastTime } while recording
+        this.stats = { fps: 0, frameTime: 0 };
+    }
+
+    /**
+     * List available cameras. Labels are only filled in once camera access was granted.
+     */
+    static async listCameras() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+    }
+
+    /**
+     * Start from a camera; deviceId is optional (default camera)
+     */
+    async startCamera(deviceId = null) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Camera capture is not available');
+        }
+        this.stop();
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: deviceId ? { deviceId: { exact: deviceId } } : true,
+            audio: false
+        });
+        this.stream = stream;
+        const track = stream.getVideoTracks()[0];
+        this.sourceLabel = track ? track.label : 'Camera';
+
+        this.video.removeAttribute('src');
+        this.video.srcObject = stream;
+        this.video.loop = false;
+        await this.playVideo();
+        this.startLoop();
+    }
+
+    /**
+     * Start from a screen or window returned by electronAPI.getCaptureSources
+     */
+    async startScreen(sourceId, label = 'Screen') {
+        this.stop();
+        // Chromium's desktop capture constraints; maxFrameRate caps what the capturer delivers
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: false,
+            video: {
+                mandatory: {
+                    chromeMediaSource: 'desktop',
+                    chromeMediaSourceId: sourceId,
+                    maxFrameRate: this.options.frameRate
+                }
+            }
+        });
+        this.stream = stream;
+        this.sourceLabel = label;
+
+        this.video.removeAttribute('src');
+        this.video.srcObject = stream;
+        this.video.loop = false;
+        await this.playVideo();
+        this.startLoop();
+    }
+
+    /**
+     * Start from a video file that loops forever, standing in for a camera
+     */
+    async startFile(url, label = 'Video file') {
+        this.stop();
+        this.sourceLabel = label;
+        this.video.srcObject = null;
+        this.video.src = url;
+        this.video.loop = true;
+        this.video.muted = true;
+        await this.playVideo();
+        this.startLoop();
+    }
+
+    async playVideo() {
+        if (this.video.readyState < 1) {
+            await new Promise((resolve, reject) => {
+                const onLoaded = () => { cleanup(); resolve(); };
+                const onError = () => { cleanup(); reject(new Error('Could not open the live source')); };
+                const cleanup = () => {
+                    this.video.removeEventListener('loadedmetadata', onLoaded);
+                    this.video.removeEventListener('error', onError);
+                };
+                this.video.addEventListener('loadedmetadata', onLoaded);
+                this.video.addEventListener('error', onError);
+            });
+        }
+        await this.video.play();
+    }
+
+    setFrameRate(fps) {
+        this.options.frameRate = Math.max(1, Math.min(60, fps || 15));
+    }
+
+    /**
+     * Convert frames on a timer. Each tick is scheduled after the previous frame finished,
+     * so a slow conversion lowers the achieved rate instead of queueing work.
+     */
+    startLoop() {
+        this.running = true;
+        this.converter.resetAutoLevels();
+        let lastTick = performance.now();
+
+        const tick = () => {
+            if (!this.running) return;
+            const start = performance.now();
+
+            if (this.video.readyState >= 2 && this.video.videoWidth > 0) {
+                try {
+                    const result = this.converter.convertVideoFrame(this.video);
+                    const elapsed = start - lastTick;
+                    lastTick = start;
+                    this.stats.frameTime = performance.now() - start;
+                    this.stats.fps = elapsed > 0 ? 1000 / elapsed : 0;
+
+                    if (this.recording) {
+                        const now = performance.now();
+                        // Delay of the previous frame is the real time until this one
+                        const frames = this.recording.frames;
+                        if (frames.length > 0) frames[frames.length - 1].delay = Math.round(now - this.recording.lastTime);
+                        frames.push({ canvas: null, asciiResult: result, delay: Math.round(1000 / this.options.frameRate) });
+                        this.recording.lastTime = now;
+                    }
+
+                    if (this.options.onFrame) this.options.onFrame(result, this.stats);
+                } catch (error) {
+                    console.error('[LiveSource] Frame conversion failed:', error);
+                    if (this.options.onError) this.options.onError(error);
+                }
+            }
+
+            const interval = 1000 / this.options.frameRate;
+            this.timer = setTimeout(tick, Math.max(0, interval - (performance.now() - start)));
+        };
+
+        tick();
+    }
+
+    get isRecording() {
+        return !!this.recording;
+    }
+
+    startRecording() {
+        this.recording = { frames: [], lastTime: performance.now() };
+    }
+
+    /**
+     * Stop recording and return an ASCIIAnimationEncoder holding the recorded frames.
+     * Frames keep no raster; exports render them on demand (see getFrameCanvas).
+     * @param encoderOptions { quality, scale }
+     */
+    stopRecording(encoderOptions = {}) {
+        if (!this.recording) return null;
+        const frames = this.recording.frames;
+        this.recording = null;
+        if (frames.length === 0) return null;
+
+        const totalDelay = frames.reduce((sum, frame) => sum + frame.delay, 0);
+        const encoder = new ASCIIAnimationEncoder(this.converter, {
+            frameRate: 1000 / (totalDelay / frames.length),
+            quality: encoderOptions.quality,
+            scale: encoderOptions.scale
+        });
+
+        encoder.frames = frames;
+        console.log(`[LiveSource] Recorded ${frames.length} frames (${(totalDelay / 1000).toFixed(1)}s)`);
+        return encoder;
+    }
+
+    stop() {
+        this.running = false;
+        this.recording = null;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.pause();
+            this.video.srcObject = null;
+        }
+    }
+}
+
+// Export for use in renderer
+window.LiveSource = LiveSource;
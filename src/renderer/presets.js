@@ -0,0 +1,236 @@
+/**
+ * Glyphify - Presets
+ * Named conversion profiles holding the full ASCIIConverter options plus export
+ * settings. Built-in styles ship with the app; user presets are kept in settings
+ * and can be shared as JSON files.
+ */
+
+class PresetManager {
+    // Keys a preset may carry; anything else in an imported file is dropped
+    static CONVERTER_KEYS = [
+        'width', 'height', 'sizeMode', 'pixelWidth', 'pixelHeight', 'resample', 'charset', 'customCharset', 'colorMode', 'colorPalette', 'fontSize', 'lineHeight', 'charAspect',
+        'contrast', 'brightness', 'invert', 'renderMode', 'brailleThreshold', 'dither', 'ditherPalette',
+        'glyphMatch', 'fontFamily', 'edges', 'edgeThreshold', 'backgroundColor',
+        'mask', 'maskColor', 'maskTolerance', 'maskThreshold', 'maskInvert',
+        'gamma', 'levelsBlack', 'levelsWhite', 'toneCurve', 'equalize', 'autoLevels',
+        'crop', 'rotate', 'flipH', 'flipV'
+    ];
+
+    static EXPORT_KEYS = ['pngScale', 'gifQuality', 'includeStyles', 'svgOutline', 'includeAudio'];
+
+    // Neutral look the built-in styles start from, so loading one fully replaces the previous style.
+    // Sizing, resampling, font, character aspect, the background mask and the crop/rotate/flip
+    // transform are left out: built-ins keep whatever is set.
+    static STYLE_DEFAULTS = {
+        renderMode: 'ascii',
+        brailleThreshold: 128,
+        charset: 'standard',
+        customCharset: null,
+        glyphMatch: 'off',
+        dither: 'none',
+        ditherPalette: false,
+        colorMode: 'color',
+        colorPalette: 'full',
+        lineHeight: 1.0,
+        contrast: 100,
+        brightness: 100,
+        gamma: 1.0,
+        levelsBlack: 0,
+        levelsWhite: 255,
+        toneCurve: null,
+        equalize: 'none',
+        autoLevels: false,
+        invert: false,
+        edges: false,
+        edgeThreshold: 64,
+        backgroundColor: '#00000000'
+    };
+
+    static BUILTIN_PRESETS = [
+        {
+            name: 'Terminal Green',
+            converterOptions: { colorPalette: 'gameboy', contrast: 120, backgroundColor: '#000000FF' }
+        },
+        {
+            name: 'Game Boy',
+            converterOptions: { renderMode: 'halfblock', colorPalette: 'gameboy', dither: 'bayer', ditherPalette: true, backgroundColor: '#0F380FFF' }
+        },
+        {
+            name: 'Newspaper',
+            converterOptions: { colorMode: 'grayscale', charset: 'detailed', glyphMatch: 'coverage', dither: 'floyd-steinberg', invert: true, contrast: 110, backgroundColor: '#F4F1E8FF' }
+        },
+        {
+            name: 'DOS Blocks',
+            converterOptions: { charset: 'blocks', colorPalette: 'ansi16', backgroundColor: '#000000FF' }
+        },
+        {
+            name: 'Braille Sketch',
+            converterOptions: { renderMode: 'braille', colorMode: 'grayscale', dither: 'atkinson', edges: true, backgroundColor: '#000000FF' }
+        }
+    ].map(preset => ({
+        name: preset.name,
+        builtIn: true,
+        converterOptions: { ...PresetManager.STYLE_DEFAULTS, ...preset.converterOptions },
+        exportOptions: {}
+    }));
+
+    /**
+     * @param userPresets Saved presets (from settings); invalid entries are ignored
+     */
+    constructor(userPresets = []) {
+        this.userPresets = (Array.isArray(userPresets) ? userPresets : [])
+            .map(preset => PresetManager.sanitize(preset))
+            .filter(Boolean);
+    }
+
+    /**
+     * Keep only known keys with plain values, so a hand-edited or foreign file cannot
+     * inject arbitrary options. Returns null when the entry is not a usable preset.
+     */
+    static sanitize(raw) {
+        if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+
+        const pick = (source, keys) => {
+            const picked = {};
+            if (!source || typeof source !== 'object') return picked;
+            for (const key of keys) {
+                const value = source[key];
+                if (value === null || typeof value === 'string' || typeof value === 'boolean'
+                    || (typeof value === 'number' && Number.isFinite(value))) {
+                    picked[key] = value;
+                }
+            }
+            return picked;
+        };
+
+        const converterOptions = pick(raw.converterOptions, PresetManager.CONVERTER_KEYS);
+        // Structured options are validated on their own
+        for (const [key, sanitizeValue] of [['crop', PresetManager.sanitizeCrop], ['toneCurve', PresetManager.sanitizeCurve]]) {
+            delete converterOptions[key];
+            const value = raw.converterOptions ? sanitizeValue(raw.converterOptions[key]) : undefined;
+            if (value !== undefined) converterOptions[key] = value;
+        }
+
+        return {
+            name: raw.name.trim(),
+            converterOptions,
+            exportOptions: pick(raw.exportOptions, PresetManager.EXPORT_KEYS)
+        };
+    }
+
+    /**
+     * Validate a crop rectangle ({ x, y, width, height } as 0-1 fractions of the source).
+     * Returns null for "no crop" and undefined when the value is unusable.
+     */
+    static sanitizeCrop(crop) {
+        if (crop === null) return null;
+        if (!crop || typeof crop !== 'object') return undefined;
+        const values = ['x', 'y', 'width', 'height'].map(key => crop[key]);
+        if (!values.every(value => typeof value === 'number' && Number.isFinite(value))) return undefined;
+
+        const x = Math.max(0, Math.min(1, crop.x));
+        const y = Math.max(0, Math.min(1, crop.y));
+        const width = Math.min(1 - x, crop.width);
+        const height = Math.min(1 - y, crop.height);
+        if (width <= 0 || height <= 0) return undefined;
+        return { x, y, width, height };
+    }
+
+    /**
+     * Validate a tone curve (2-16 [input, output] points in 0-255).
+     * Returns null for "no curve" and undefined when the value is unusable.
+     */
+    static sanitizeCurve(points) {
+        if (points === null) return null;
+        if (!Array.isArray(points) || points.length < 2 || points.length > 16) return undefined;
+        const valid = points.every(point => Array.isArray(point) && point.length === 2
+            && point.every(value => typeof value === 'number' && Number.isFinite(value)));
+        if (!valid) return undefined;
+        return points.map(point => point.map(value => Math.max(0, Math.min(255, Math.round(value)))));
+    }
+
+    /**
+     * Parse a preset file. Accepts the exported format, a bare array or a single preset.
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Preset file is not valid JSON');
+        }
+        const list = Array.isArray(data) ? data : (data && Array.isArray(data.presets) ? data.presets : [data]);
+        const presets = list.map(preset => PresetManager.sanitize(preset)).filter(Boolean);
+        if (presets.length === 0) throw new Error('No presets found in file');
+        return presets;
+    }
+
+    /**
+     * Serialize presets to the shareable JSON file format
+     */
+    static serialize(presets) {
+        return JSON.stringify({
+            format: 'glyphify-presets',
+            version: 1,
+            presets: presets.map(({ name, converterOptions, exportOptions }) => ({ name, converterOptions, exportOptions }))
+        }, null, 2);
+    }
+
+    list() {
+        return [...PresetManager.BUILTIN_PRESETS, ...this.userPresets];
+    }
+
+    /**
+     * Find a preset by name (case-insensitive); user presets are checked after built-ins
+     */
+    get(name) {
+        const key = String(name).trim().toLowerCase();
+        return this.list().find(preset => preset.name.toLowerCase() === key) || null;
+    }
+
+    isBuiltIn(name) {
+        const preset = this.get(name);
+        return !!(preset && preset.builtIn);
+    }
+
+    /**
+     * Save (or overwrite) a user preset. Built-in names are reserved.
+     */
+    save(name, converterOptions, exportOptions = {}) {
+        const preset = PresetManager.sanitize({ name, converterOptions, exportOptions });
+        if (!preset) throw new Error('Enter a preset name');
+        if (this.isBuiltIn(preset.name)) throw new Error(`"${preset.name}" is a built-in preset; choose another name`);
+
+        const index = this.userPresets.findIndex(p => p.name.toLowerCase() === preset.name.toLowerCase());
+        if (index >= 0) this.userPresets[index] = preset;
+        else this.userPresets.push(preset);
+        return preset;
+    }
+
+    remove(name) {
+        const before = this.userPresets.length;
+        this.userPresets = this.userPresets.filter(p => p.name.toLowerCase() !== String(name).toLowerCase());
+        return this.userPresets.length !== before;
+    }
+
+    /**
+     * Add presets from a file's text, replacing user presets of the same name.
+     * Presets named like a built-in are imported with an "(imported)" suffix.
+     * @returns Names of the imported presets
+     */
+    import(text) {
+        const names = [];
+        for (const preset of PresetManager.parse(text)) {
+            const name = this.isBuiltIn(preset.name) ? `${preset.name} (imported)` : preset.name;
+            names.push(this.save(name, preset.converterOptions, preset.exportOptions).name);
+        }
+        return names;
+    }
+
+    export() {
+        return PresetManager.serialize(this.userPresets);
+    }
+}
+
+// Export for use in renderer
+window.PresetManager = PresetManager;
@@ -14,9 +14,13 @@ const state = {
     animationEncoder: null, // For video/GIF animation export
     animationPlayer: null, // For playing animation preview
     playbackLastFrameIndex: -1, // Last displayed frame index to avoid redundant updates
+    playbackFrame: 0, // Frame shown by the playback bar (where paused playback resumes)
+    playbackSpeed: 1,
+    playbackLoop: true,
     progressStartTime: null,
     sourceFPS: 0,
     videoDuration: 0,
+    trim: { start: 0, end: null }, // Part of the clip to convert, in seconds (end null: to the end)
     frameCache: null, // Cached extracted frames
     backgroundProcessing: false,
     abortController: null, // For canceling operations
@@ -30,10 +34,22 @@ const state = {
         defaultCharset: 'standard',
         defaultMode: 'color',
         includeStyles: true,
+        svgOutline: false,
+        includeAudio: true,
         pngScale: 2,
         gifQuality: 10,
-        backgroundColor: '#00000000' // Transparent black
+        backgroundColor: '#00000000', // Transparent black
+        batchOutputDir: '',
+        batchTemplate: '{name}-ascii',
+        batchFormat: 'png',
+        presets: [] // User presets saved from the Convert tab (see PresetManager)
     },
+    batchQueue: null,
+    presetManager: null,
+    liveSource: null, // LiveSource while a camera or looping file is live
+    transform: { crop: null, rotate: 0, flipH: false, flipV: false }, // Applied to the source before conversion
+    toneCurve: null, // Tone curve control points, or null for a straight line
+    histogram: null, // Luminance histogram of the previewed source (tone curve display)
 
 };
 
@@ -58,22 +74,103 @@ const elements = {
     imagePreview: document.getElementById('imagePreview'),
     videoPreview: document.getElementById('videoPreview'),
     mediaInfo: document.getElementById('mediaInfo'),
+    liveBtn: document.getElementById('liveBtn'),
+    captureBtn: document.getElementById('captureBtn'),
+    cropBox: document.getElementById('cropBox'),
+    trimControls: document.getElementById('trimControls'),
+    trimTrack: document.getElementById('trimTrack'),
+    trimSelection: document.getElementById('trimSelection'),
+    trimPlayhead: document.getElementById('trimPlayhead'),
+    trimStartHandle: document.getElementById('trimStartHandle'),
+    trimEndHandle: document.getElementById('trimEndHandle'),
+    trimStartInput: document.getElementById('trimStartInput'),
+    trimEndInput: document.getElementById('trimEndInput'),
+    trimLength: document.getElementById('trimLength'),
+    trimResetBtn: document.getElementById('trimResetBtn'),
+    liveControls: document.getElementById('liveControls'),
+    liveSourceSelect: document.getElementById('liveSourceSelect'),
+    liveFpsInput: document.getElementById('liveFpsInput'),
+    liveRecordBtn: document.getElementById('liveRecordBtn'),
+    liveStopBtn: document.getElementById('liveStopBtn'),
     
     // Controls
+    presetSelect: document.getElementById('presetSelect'),
+    presetNameInput: document.getElementById('presetNameInput'),
+    savePresetBtn: document.getElementById('savePresetBtn'),
+    deletePresetBtn: document.getElementById('deletePresetBtn'),
+    importPresetsBtn: document.getElementById('importPresetsBtn'),
+    exportPresetsBtn: document.getElementById('exportPresetsBtn'),
+    transformStatus: document.getElementById('transformStatus'),
+    rotateLeftBtn: document.getElementById('rotateLeftBtn'),
+    rotateRightBtn: document.getElementById('rotateRightBtn'),
+    flipHBtn: document.getElementById('flipHBtn'),
+    flipVBtn: document.getElementById('flipVBtn'),
+    cropBtn: document.getElementById('cropBtn'),
+    resetTransformBtn: document.getElementById('resetTransformBtn'),
+    cropAspectLockCheck: document.getElementById('cropAspectLockCheck'),
     toggleBtns: document.querySelectorAll('.toggle-btn'),
+    renderModeSelect: document.getElementById('renderModeSelect'),
+    brailleOptions: document.getElementById('brailleOptions'),
+    brailleThresholdSlider: document.getElementById('brailleThresholdSlider'),
+    brailleThresholdValue: document.getElementById('brailleThresholdValue'),
+    charsetGroup: document.getElementById('charsetGroup'),
     charsetSelect: document.getElementById('charsetSelect'),
+    ditherSelect: document.getElementById('ditherSelect'),
+    ditherOptions: document.getElementById('ditherOptions'),
+    ditherPaletteCheck: document.getElementById('ditherPaletteCheck'),
     customCharset: document.getElementById('customCharset'),
+    glyphMatchSelect: document.getElementById('glyphMatchSelect'),
+    sizeModeSelect: document.getElementById('sizeModeSelect'),
+    widthGroup: document.getElementById('widthGroup'),
     widthSlider: document.getElementById('widthSlider'),
     widthValue: document.getElementById('widthValue'),
+    heightGroup: document.getElementById('heightGroup'),
+    heightSlider: document.getElementById('heightSlider'),
+    heightValue: document.getElementById('heightValue'),
+    resampleSelect: document.getElementById('resampleSelect'),
+    pixelSizeSelect: document.getElementById('pixelSizeSelect'),
+    pixelSizeOptions: document.getElementById('pixelSizeOptions'),
+    pixelWidthInput: document.getElementById('pixelWidthInput'),
+    pixelHeightInput: document.getElementById('pixelHeightInput'),
     fontSizeSlider: document.getElementById('fontSizeSlider'),
     fontSizeValue: document.getElementById('fontSizeValue'),
     lineHeightSlider: document.getElementById('lineHeightSlider'),
     lineHeightValue: document.getElementById('lineHeightValue'),
+    charAspectCheck: document.getElementById('charAspectCheck'),
+    charAspectOptions: document.getElementById('charAspectOptions'),
+    charAspectSlider: document.getElementById('charAspectSlider'),
+    charAspectValue: document.getElementById('charAspectValue'),
     contrastSlider: document.getElementById('contrastSlider'),
     contrastValue: document.getElementById('contrastValue'),
     brightnessSlider: document.getElementById('brightnessSlider'),
     brightnessValue: document.getElementById('brightnessValue'),
+    levelsBlackSlider: document.getElementById('levelsBlackSlider'),
+    levelsBlackValue: document.getElementById('levelsBlackValue'),
+    levelsWhiteSlider: document.getElementById('levelsWhiteSlider'),
+    levelsWhiteValue: document.getElementById('levelsWhiteValue'),
+    gammaSlider: document.getElementById('gammaSlider'),
+    gammaValue: document.getElementById('gammaValue'),
+    autoLevelsBtn: document.getElementById('autoLevelsBtn'),
+    resetToneBtn: document.getElementById('resetToneBtn'),
+    autoLevelsCheck: document.getElementById('autoLevelsCheck'),
+    toneCurveCanvas: document.getElementById('toneCurveCanvas'),
+    equalizeSelect: document.getElementById('equalizeSelect'),
     invertCheck: document.getElementById('invertCheck'),
+    edgesCheck: document.getElementById('edgesCheck'),
+    edgeOptions: document.getElementById('edgeOptions'),
+    edgeThresholdSlider: document.getElementById('edgeThresholdSlider'),
+    edgeThresholdValue: document.getElementById('edgeThresholdValue'),
+    maskSelect: document.getElementById('maskSelect'),
+    maskOptions: document.getElementById('maskOptions'),
+    maskChromaOptions: document.getElementById('maskChromaOptions'),
+    maskLumaOptions: document.getElementById('maskLumaOptions'),
+    maskColorPicker: document.getElementById('maskColorPicker'),
+    maskPickBtn: document.getElementById('maskPickBtn'),
+    maskToleranceSlider: document.getElementById('maskToleranceSlider'),
+    maskToleranceValue: document.getElementById('maskToleranceValue'),
+    maskThresholdSlider: document.getElementById('maskThresholdSlider'),
+    maskThresholdValue: document.getElementById('maskThresholdValue'),
+    maskInvertCheck: document.getElementById('maskInvertCheck'),
     bgColorPicker: document.getElementById('bgColorPicker'),
     bgColorText: document.getElementById('bgColorText'),
     gifOptions: document.getElementById('gifOptions'),
@@ -86,10 +183,35 @@ const elements = {
     asciiOutput: document.getElementById('asciiOutput'),
     outputCanvas: document.getElementById('outputCanvas'),
     outputStatus: document.getElementById('outputStatus'),
+    playbackBar: document.getElementById('playbackBar'),
+    playbackPrevBtn: document.getElementById('playbackPrevBtn'),
+    playbackPlayBtn: document.getElementById('playbackPlayBtn'),
+    playbackNextBtn: document.getElementById('playbackNextBtn'),
+    playbackScrubber: document.getElementById('playbackScrubber'),
+    playbackFrameLabel: document.getElementById('playbackFrameLabel'),
+    playbackSpeedSelect: document.getElementById('playbackSpeedSelect'),
+    playbackLoopBtn: document.getElementById('playbackLoopBtn'),
+    frameExportSelect: document.getElementById('frameExportSelect'),
+    frameExportBtn: document.getElementById('frameExportBtn'),
     copyBtn: document.getElementById('copyBtn'),
+    copyAnsiBtn: document.getElementById('copyAnsiBtn'),
     saveBtn: document.getElementById('saveBtn'),
     saveFormatSelect: document.getElementById('saveFormatSelect'),
     
+    // Batch
+    batchAddFilesBtn: document.getElementById('batchAddFilesBtn'),
+    batchAddFolderBtn: document.getElementById('batchAddFolderBtn'),
+    batchClearBtn: document.getElementById('batchClearBtn'),
+    batchCount: document.getElementById('batchCount'),
+    batchList: document.getElementById('batchList'),
+    batchOutputDir: document.getElementById('batchOutputDir'),
+    batchChooseDirBtn: document.getElementById('batchChooseDirBtn'),
+    batchTemplateInput: document.getElementById('batchTemplateInput'),
+    batchFormatSelect: document.getElementById('batchFormatSelect'),
+    batchStartBtn: document.getElementById('batchStartBtn'),
+    batchCancelBtn: document.getElementById('batchCancelBtn'),
+    batchSummary: document.getElementById('batchSummary'),
+    
     // Settings
     themeSelect: document.getElementById('themeSelect'),
     fontSelect: document.getElementById('fontSelect'),
@@ -100,6 +222,8 @@ const elements = {
     defaultCharsetSelect: document.getElementById('defaultCharsetSelect'),
     defaultModeSelect: document.getElementById('defaultModeSelect'),
     includeStylesCheck: document.getElementById('includeStylesCheck'),
+    svgOutlineCheck: document.getElementById('svgOutlineCheck'),
+    includeAudioCheck: document.getElementById('includeAudioCheck'),
     pngScaleSelect: document.getElementById('pngScaleSelect'),
     gifQualitySelect: document.getElementById('gifQualitySelect'),
     resetSettingsBtn: document.getElementById('resetSettingsBtn'),
@@ -140,8 +264,16 @@ async function init() {
     setupWindowControls();
     setupNavigation();
     setupDropZone();
+    setupLiveSource();
     setupControls();
+    setupTransform();
+    setupTrim();
+    setupTone();
+    setupMask();
+    setupPresets();
     setupOutput();
+    setupPlayback();
+    setupBatch();
     setupSettings();
     setupKeyboardShortcuts();
 
@@ -256,8 +388,13 @@ function applySettingsToUI() {
     elements.defaultCharsetSelect.value = state.settings.defaultCharset;
     elements.defaultModeSelect.value = state.settings.defaultMode;
     elements.includeStylesCheck.checked = state.settings.includeStyles;
+    elements.svgOutlineCheck.checked = state.settings.svgOutline;
+    elements.includeAudioCheck.checked = state.settings.includeAudio;
     elements.pngScaleSelect.value = state.settings.pngScale;
     elements.gifQualitySelect.value = state.settings.gifQuality;
+    elements.batchOutputDir.value = state.settings.batchOutputDir;
+    elements.batchTemplateInput.value = state.settings.batchTemplate;
+    elements.batchFormatSelect.value = state.settings.batchFormat;
     
     // Apply defaults to controls
     elements.widthSlider.value = state.settings.defaultWidth;
@@ -369,6 +506,8 @@ async function handleBrowse() {
 }
 
 async function loadFile(file) {
+    stopLive();
+
     // Revoke any temporary object URLs from previous previews
     try {
         if (state._tempPreviewObjectUrl) {
@@ -403,9 +542,13 @@ async function loadFile(file) {
 }
 
 async function loadFileFromResult(result) {
+    stopLive();
     state.currentFile = result;
     // result.type may already be 'video' for GIFs returned from main
     state.currentType = result.isGif ? 'video' : result.type;
+    // Known again once the preview has the clip's duration
+    state.videoDuration = 0;
+    resetTrim();
     
     await displayPreview(result.data, state.currentType === 'video', result.isGif);
 }
@@ -423,7 +566,7 @@ async function displayPreview(dataUrl, isVideo, isGif = false) {
         elements.imagePreview.classList.add('hidden');
         elements.videoPreview.classList.remove('hidden');
         elements.videoPreview.src = dataUrl;
-        elements.videoPreview.loop = true; // Enable looping immediately
+        elements.videoPreview.loop = state.playbackLoop; // Enable looping immediately
         elements.gifOptions.classList.remove('hidden');
         // Defer initial autoplay until after capability detection and metadata handlers
 
@@ -523,7 +666,7 @@ async function displayPreview(dataUrl, isVideo, isGif = false) {
             
             // Restart video playback after FPS detection
             elements.videoPreview.currentTime = 0;
-            elements.videoPreview.loop = true; // Ensure loop is set
+            elements.videoPreview.loop = state.playbackLoop; // Ensure loop is set
             elements.videoPreview.play().catch(err => {
                 console.warn('[Preview] Video playback error after FPS detection:', err);
             });
@@ -560,6 +703,7 @@ async function displayPreview(dataUrl, isVideo, isGif = false) {
 
             state.sourceFPS = Math.round(detectedFPS * 100) / 100;
             console.log(`[Preview] Final detected FPS: ${state.sourceFPS}`);
+            updateTrimControls();
             
             // Update UI - set frameRate input to detected FPS
             if (elements.frameRate) elements.frameRate.value = state.sourceFPS;
@@ -630,6 +774,7 @@ async function displayPreview(dataUrl, isVideo, isGif = false) {
                                 const duration = frames / fps;
                                 state.videoDuration = duration;
                                 state.sourceFPS = fps;
+                                updateTrimControls();
                                 if (elements.mediaInfo) elements.mediaInfo.textContent = `${state.currentFile.name} • ${width}x${height} • ${duration.toFixed(2)}s • ${fps}fps`;
                                 if (elements.sourceFPS) elements.sourceFPS.textContent = `${fps} fps`;
                                 if (elements.frameRate) elements.frameRate.value = Math.round(fps);
@@ -671,28 +816,168 @@ async function displayPreview(dataUrl, isVideo, isGif = false) {
     }
 }
 
+// ============================================
+// Playback bar (pause, step, scrub and export single frames)
+// ============================================
+function setupPlayback() {
+    elements.playbackPlayBtn.addEventListener('click', toggleAnimationPlayback);
+    elements.playbackPrevBtn.addEventListener('click', () => goToAnimationFrame(state.playbackFrame - 1));
+    elements.playbackNextBtn.addEventListener('click', () => goToAnimationFrame(state.playbackFrame + 1));
+    elements.playbackScrubber.addEventListener('input', () => {
+        goToAnimationFrame(parseInt(elements.playbackScrubber.value));
+    });
+
+    elements.playbackSpeedSelect.addEventListener('change', () => {
+        state.playbackSpeed = parseFloat(elements.playbackSpeedSelect.value) || 1;
+        // Timer playback reads the speed every frame; video-synced playback follows the video
+        elements.videoPreview.playbackRate = state.playbackSpeed;
+    });
+
+    elements.playbackLoopBtn.addEventListener('click', () => {
+        state.playbackLoop = !state.playbackLoop;
+        elements.videoPreview.loop = state.playbackLoop;
+        updatePlaybackBar();
+    });
+
+    elements.frameExportBtn.addEventListener('click', saveCurrentFrame);
+}
+
+function animationFrameRate(encoder) {
+    return encoder.frameRate || encoder.options.frameRate || state.sourceFPS || 10;
+}
+
+// Playback follows the source video whenever one is showing (see startAnimationPlayback)
+function isVideoSyncedPlayback() {
+    return state.currentType === 'video' && !!elements.videoPreview.src &&
+        !elements.videoPreview.classList.contains('hidden');
+}
+
+/**
+ * Show a converted frame if it is in memory
+ * @returns false if the frame is still loading (streamed clips)
+ */
+function drawAnimationFrame(index) {
+    const asciiResult = state.animationEncoder ? state.animationEncoder.peekFrame(index) : null;
+    if (!asciiResult) return false;
+    elements.asciiOutput.innerHTML = state.converter.generateDisplayHTML(asciiResult);
+    state.playbackLastFrameIndex = index;
+    state.playbackFrame = index;
+    updatePlaybackBar();
+    return true;
+}
+
+function updatePlaybackBar() {
+    const encoder = state.animationEncoder;
+    const live = state.liveSource && state.liveSource.running;
+    const count = encoder && !live && state.asciiResult && state.asciiResult.isAnimation ? encoder.frameCount : 0;
+    elements.playbackBar.classList.toggle('hidden', count === 0);
+    if (count === 0) return;
+
+    const index = Math.min(state.playbackFrame, count - 1);
+    elements.playbackScrubber.max = count - 1;
+    elements.playbackScrubber.value = index;
+    elements.playbackFrameLabel.textContent = `${index + 1} / ${count}`;
+    elements.playbackPlayBtn.classList.toggle('playing', !!state.playbackRunning);
+    elements.playbackLoopBtn.classList.toggle('active', state.playbackLoop);
+}
+
+function pauseAnimation() {
+    if (isVideoSyncedPlayback() && !elements.videoPreview.paused) elements.videoPreview.pause();
+    stopAnimationPlayback();
+}
+
+function playAnimation() {
+    const encoder = state.animationEncoder;
+    if (!encoder || encoder.frameCount === 0) return;
+    // Finished (looping off): play again from the start
+    const video = elements.videoPreview;
+    const rangeEnd = (encoder.options.startTime || 0) + encoder.frameCount / animationFrameRate(encoder);
+    const finished = state.playbackFrame >= encoder.frameCount - 1 ||
+        (isVideoSyncedPlayback() && (video.ended || video.currentTime >= rangeEnd));
+    if (finished) goToAnimationFrame(0);
+    startAnimationPlayback();
+}
+
+function toggleAnimationPlayback() {
+    if (state.playbackRunning) pauseAnimation();
+    else playAnimation();
+}
+
+/**
+ * Pause on a frame, moving the source video to the same point
+ */
+function goToAnimationFrame(index) {
+    const encoder = state.animationEncoder;
+    if (!encoder || encoder.frameCount === 0) return;
+    index = Math.max(0, Math.min(encoder.frameCount - 1, Math.round(index) || 0));
+
+    pauseAnimation();
+    state.playbackFrame = index;
+    if (isVideoSyncedPlayback()) {
+        // Seek to the middle of the frame so rounding cannot land on its neighbour
+        elements.videoPreview.currentTime = (encoder.options.startTime || 0) + (index + 0.5) / animationFrameRate(encoder);
+    }
+
+    if (!drawAnimationFrame(index)) {
+        updatePlaybackBar();
+        encoder.getFrame(index).then(() => {
+            if (state.animationEncoder === encoder && state.playbackFrame === index && !state.playbackRunning) {
+                drawAnimationFrame(index);
+            }
+        }).catch(err => console.warn('[Animation] Could not load frame:', err));
+    }
+}
+
+async function saveCurrentFrame() {
+    const encoder = state.animationEncoder;
+    if (!encoder || encoder.frameCount === 0) return;
+    const index = Math.min(state.playbackFrame, encoder.frameCount - 1);
+
+    try {
+        const frame = await encoder.getFrame(index);
+        if (!frame || !frame.asciiResult) throw new Error(`frame ${index + 1} is not available`);
+        const baseName = `ascii-frame-${String(index + 1).padStart(4, '0')}`;
+
+        switch (elements.frameExportSelect.value) {
+            case 'png':
+                await saveAsPNG(frame.asciiResult, baseName);
+                break;
+            case 'html':
+                await saveAsHTML(frame.asciiResult, baseName);
+                break;
+            default:
+                await saveAsText(frame.asciiResult, baseName);
+        }
+    } catch (error) {
+        console.error('Save frame error:', error);
+        showToast('Failed to save frame: ' + error.message, 'error');
+    }
+}
+
 function syncAnimationToVideo() {
-    if (!state.animationEncoder || !state.animationEncoder.frames) return;
+    const encoder = state.animationEncoder;
+    if (!encoder) return;
 
-    const videoTime = elements.videoPreview.currentTime;
-    const frameRate = state.animationEncoder.frameRate || state.sourceFPS || 10;
+    // Frame 0 is the start of the converted range
+    const videoTime = elements.videoPreview.currentTime - (encoder.options.startTime || 0);
+    const frameRate = encoder.frameRate || encoder.options.frameRate || state.sourceFPS || 10;
     const frameIndex = Math.floor(videoTime * frameRate);
-    const frames = state.animationEncoder.frames;
 
     // If nothing changed since last rendered frame, skip DOM update
     if (frameIndex === state.playbackLastFrameIndex) return;
 
-    if (frameIndex >= 0 && frameIndex < frames.length) {
-        const frame = frames[frameIndex];
-        if (frame && frame.asciiResult) {
-            elements.asciiOutput.innerHTML = state.converter.generateDisplayHTML(frame.asciiResult);
-            state.playbackLastFrameIndex = frameIndex;
+    if (frameIndex >= 0 && frameIndex < encoder.frameCount) {
+        if (!drawAnimationFrame(frameIndex)) {
+            // Streamed clips read frames back from disk; sync again once this one is in (e.g. after a seek while paused)
+            encoder.getFrame(frameIndex).then(() => {
+                if (state.animationEncoder === encoder) syncAnimationToVideo();
+            }).catch(err => console.warn('[Animation] Could not load frame:', err));
         }
     }
 } 
 
 function startAnimationPlayback() {
-    if (!state.animationEncoder || !state.animationEncoder.frames || state.animationEncoder.frames.length === 0) {
+    if (!state.animationEncoder || state.animationEncoder.frameCount === 0) {
         console.log('[Animation] No frames to play');
         return;
     }
@@ -707,8 +992,10 @@ function startAnimationPlayback() {
     if (state.currentType === 'video' && elements.videoPreview.src) {
         // Reset last-frame tracker
         state.playbackLastFrameIndex = -1;
+        updatePlaybackBar();
 
-        // Make sure video is playing
+        // Make sure video is playing, at the playback bar's speed
+        elements.videoPreview.playbackRate = state.playbackSpeed;
         if (elements.videoPreview.paused) {
             elements.videoPreview.play().catch(err => {
                 console.warn('[Animation] Could not start video:', err);
@@ -719,21 +1006,18 @@ function startAnimationPlayback() {
             });
         }
 
-        const frames = state.animationEncoder.frames;
-        const frameRate = state.animationEncoder.frameRate || state.sourceFPS || 10;
+        const encoder = state.animationEncoder;
+        const frameRate = encoder.frameRate || encoder.options.frameRate || state.sourceFPS || 10;
+        const startTime = encoder.options.startTime || 0;
 
         // Prefer requestVideoFrameCallback when available - it fires only when a new video frame is presented
         if (typeof elements.videoPreview.requestVideoFrameCallback === 'function') {
             const videoFrameHandler = (now, metadata) => {
                 if (!state.playbackRunning) return;
 
-                const vFrameIndex = Math.floor(elements.videoPreview.currentTime * frameRate);
-                if (vFrameIndex !== state.playbackLastFrameIndex && vFrameIndex >= 0 && vFrameIndex < frames.length) {
-                    const frame = frames[vFrameIndex];
-                    if (frame && frame.asciiResult) {
-                        elements.asciiOutput.innerHTML = state.converter.generateDisplayHTML(frame.asciiResult);
-                        state.playbackLastFrameIndex = vFrameIndex;
-                    }
+                const vFrameIndex = Math.floor((elements.videoPreview.currentTime - startTime) * frameRate);
+                if (vFrameIndex !== state.playbackLastFrameIndex && vFrameIndex >= 0 && vFrameIndex < encoder.frameCount) {
+                    drawAnimationFrame(vFrameIndex);
                 }
 
                 try { elements.videoPreview.requestVideoFrameCallback(videoFrameHandler); } catch (e) { /* ignore if API disappears */ }
@@ -782,11 +1066,12 @@ function stopAnimationPlayback() {
     }
     // Reset last-frame tracker so next playback starts clean
     state.playbackLastFrameIndex = -1;
+    updatePlaybackBar();
     console.log('[Animation] Playback stopped');
 }
 
 function startIndependentAnimationPlayback() {
-    if (!state.animationEncoder || !state.animationEncoder.frames || state.animationEncoder.frames.length === 0) {
+    if (!state.animationEncoder || state.animationEncoder.frameCount === 0) {
         console.log('[Animation] No frames to play (independent)');
         return;
     }
@@ -796,36 +1081,46 @@ function startIndependentAnimationPlayback() {
     state.playbackRunning = true;
     // Reset last-frame tracker for independent playback
     state.playbackLastFrameIndex = -1;
+    updatePlaybackBar();
 
-    let frameIndex = 0;
-    const frames = state.animationEncoder.frames;
-    const frameRate = state.animationEncoder.frameRate || state.animationEncoder?.options?.frameRate || state.sourceFPS || 10;
-    const frameDuration = 1000 / frameRate;
+    // Resume from the frame the playback bar is on
+    const encoder = state.animationEncoder;
+    let frameIndex = Math.min(state.playbackFrame, encoder.frameCount - 1);
+    const frameRate = animationFrameRate(encoder);
 
     console.log(`[Animation] Starting independent playback at ${frameRate}fps`);
 
     function nextFrame() {
         if (!state.playbackRunning) return; // Stopped
 
-        if (frameIndex >= frames.length) {
+        if (frameIndex >= encoder.frameCount) {
+            if (!state.playbackLoop) {
+                stopAnimationPlayback();
+                return;
+            }
             frameIndex = 0; // Loop
         }
 
-        const frame = frames[frameIndex];
-        if (frame && frame.asciiResult) {
-            // Replace content atomically to prevent overlay/ghosting
-            elements.asciiOutput.innerHTML = state.converter.generateDisplayHTML(frame.asciiResult);
+        // Frames of a streamed clip that are still loading are skipped, like a dropped video frame
+        if (drawAnimationFrame(frameIndex)) {
             // Ensure output is visible
             elements.asciiOutput.classList.remove('hidden');
         }
         frameIndex++;
 
-        state.animationPlayer = setTimeout(nextFrame, frameDuration);
+        // Read the speed each frame so changing it takes effect mid-playback
+        state.animationPlayer = setTimeout(nextFrame, 1000 / (frameRate * state.playbackSpeed));
     }
 
     nextFrame();
 }
 
+// Main-process payload for media data: the current file goes by path when it has one (see VideoFrameStream.mediaSource)
+function currentFileSource(dataUrl) {
+    if (state.currentFile && state.currentFile.data === dataUrl) return VideoFrameStream.mediaSource(state.currentFile);
+    return { dataUrl, extension: state.currentFile && state.currentFile.extension ? state.currentFile.extension : undefined };
+}
+
 async function dataUrlToUint8Array(dataUrl) {
     // Avoid fetch(data:) due to CSP restrictions; decode base64 directly
     try {
@@ -1007,7 +1302,7 @@ async function probeVideoWithWorker(dataUrl, timeoutMs = 9000) {
         if (window.electronAPI && typeof window.electronAPI.probeVideoNode === 'function') {
             try {
                 console.log('[Probe] Trying node ffprobe first (before worker)');
-                const early = await window.electronAPI.probeVideoNode({ dataUrl, extension: state.currentFile && state.currentFile.extension ? state.currentFile.extension : undefined });
+                const early = await window.electronAPI.probeVideoNode(currentFileSource(dataUrl));
                 console.log('[Probe] Node early probe result:', early);
                 if (early && early.success) {
                     return { fps: early.fps, frames: early.frames };
@@ -1058,9 +1353,7 @@ async function probeVideoWithWorker(dataUrl, timeoutMs = 9000) {
             try {
                 if (window.electronAPI && typeof window.electronAPI.probeVideoNode === 'function') {
                     console.log('[Probe] Attempting node-side ffprobe fallback');
-                    const payload = { dataUrl: dataUrl };
-                    if (state.currentFile && state.currentFile.extension) payload.extension = state.currentFile.extension;
-                    const nodeRes = await window.electronAPI.probeVideoNode(payload);
+                    const nodeRes = await window.electronAPI.probeVideoNode(currentFileSource(dataUrl));
                     console.log('[Probe] Node probe response:', nodeRes);
                     if (nodeRes && nodeRes.success) {
                         finished = true;
@@ -1091,14 +1384,19 @@ async function probeVideoWithWorker(dataUrl, timeoutMs = 9000) {
     });
 }
 
-async function extractFramesNativePreferred(dataUrl, frameRate, progressCallback, abortSignal) {
+// range: optional { start, end } in seconds; only those frames are returned
+async function extractFramesNativePreferred(dataUrl, frameRate, progressCallback, abortSignal, range = null) {
     // Prefer node-side extraction for GIFs and large files for reliability
     try {
         if (abortSignal && abortSignal.aborted) throw new Error('AbortError');
         if (window.electronAPI && typeof window.electronAPI.extractFramesNode === 'function') {
             console.log('[Extract] Using native ffmpeg extraction (preferred)');
             if (elements.outputStatus) elements.outputStatus.textContent = 'Extracting frames (native ffmpeg)...';
-            const payload = { dataUrl, frameRate, extension: state.currentFile && state.currentFile.extension ? state.currentFile.extension : undefined };
+            const payload = { ...currentFileSource(dataUrl), frameRate };
+            if (range) {
+                payload.start = range.start;
+                payload.end = range.end;
+            }
 
             // Hook up continuous progress listener (remove after extraction)
             let removeProgressListener = null;
@@ -1148,8 +1446,9 @@ async function extractFramesNativePreferred(dataUrl, frameRate, progressCallback
         console.warn('[Extract] Native extraction failed or not available, falling back to worker:', err);
     }
 
-    // Fallback to worker extraction
-    return extractFramesWithWorker(dataUrl, frameRate, progressCallback, abortSignal);
+    // Fallback to worker extraction (which always extracts the whole clip)
+    const frames = await extractFramesWithWorker(dataUrl, frameRate, progressCallback, abortSignal);
+    return range ? framesInRange(frames, range) : frames;
 }
 
 async function startBackgroundProcessing() {
@@ -1157,6 +1456,11 @@ async function startBackgroundProcessing() {
         console.log('[Background] Already processing, skipping');
         return;
     }
+    // Videos are decoded while converting, so holding every frame up front is only worth it for GIFs
+    if (!(state.currentFile && state.currentFile.isGif) && VideoFrameStream.isSupported()) {
+        console.log('[Background] Video frames are streamed during conversion; skipping extraction');
+        return;
+    }
     const totalStart = performance.now();
     console.log('[Background] Starting background frame extraction (DOM)');
     state.backgroundProcessing = true;
@@ -1192,7 +1496,9 @@ async function startBackgroundProcessing() {
             state.frameCache = {
                 frameRate: effectiveFrameRate,
                 videoFrames: frames,
-                duration: duration
+                duration: duration,
+                start: 0,
+                end: null
             };
 
             elements.outputStatus.textContent = `Ready - ${frames.length} frames extracted`;
@@ -1212,7 +1518,9 @@ async function startBackgroundProcessing() {
             state.frameCache = {
                 frameRate: frameRate,
                 videoFrames: videoFrames,
-                duration: state.videoDuration
+                duration: state.videoDuration,
+                start: 0,
+                end: null
             };
             
             elements.outputStatus.textContent = `Ready - ${videoFrames.length} frames extracted`;
@@ -1240,12 +1548,18 @@ async function startBackgroundProcessing() {
 }
 
 function clearInput() {
+    stopLive();
+    setCropMode(false);
+    setKeyPickMode(false);
     state.currentFile = null;
+    state.histogram = null;
+    drawToneCurve();
     state.currentType = null;
     state.asciiResult = null;
-    state.animationEncoder = null;
+    releaseAnimation();
     state.frameCache = null;
     state.backgroundProcessing = false;
+    resetTrim();
     stopAnimationPlayback();
     
     // Reset preview
@@ -1262,16 +1576,236 @@ function clearInput() {
     if (placeholder) placeholder.classList.remove('hidden');
     if (elements.outputStatus) elements.outputStatus.textContent = '';
     
-    // Reset export format to image defaults
-    updateExportFormats(false);
-    
     // Disable buttons
     elements.convertBtn.disabled = true;
     elements.copyBtn.disabled = true;
+    elements.copyAnsiBtn.disabled = true;
     elements.saveBtn.disabled = true;
     elements.saveFormatSelect.disabled = true;
 }
 
+// ============================================
+// Live Source (camera, screen/window capture or looping video file)
+// ============================================
+const LIVE_FILE_SOURCE = 'file';
+
+// desktopCapturer ids look like "screen:0:0" or "window:1234:0"
+function isCaptureSource(source) {
+    return typeof source === 'string' && (source.startsWith('screen:') || source.startsWith('window:'));
+}
+
+function setupLiveSource() {
+    elements.liveBtn.addEventListener('click', () => startLive());
+
+    elements.captureBtn.addEventListener('click', async () => {
+        const sources = await window.electronAPI.getCaptureSources();
+        const screen = sources.find(source => source.type === 'screen') || sources[0];
+        if (!screen) {
+            showToast('No screens available to capture', 'error');
+            return;
+        }
+        startLive(screen.id, screen.name);
+    });
+
+    elements.liveSourceSelect.addEventListener('change', (e) => {
+        const option = e.target.selectedOptions[0];
+        startLive(e.target.value, option ? option.textContent : undefined);
+    });
+
+    elements.liveFpsInput.addEventListener('change', (e) => {
+        const fps = Math.max(1, Math.min(60, parseInt(e.target.value) || 15));
+        e.target.value = fps;
+        if (state.liveSource) state.liveSource.setFrameRate(fps);
+    });
+
+    elements.liveRecordBtn.addEventListener('click', toggleLiveRecording);
+    // Stopping keeps the last frame and any recording in the output panel
+    elements.liveStopBtn.addEventListener('click', stopLive);
+}
+
+/**
+ * Fill the source picker with the cameras plus the looping-file stand-in
+ */
+async function populateLiveSources(selected) {
+    let cameras = [];
+    let captures = [];
+    try {
+        cameras = await LiveSource.listCameras();
+    } catch (e) {
+        console.warn('[Live] Could not list cameras:', e);
+    }
+    try {
+        captures = await window.electronAPI.getCaptureSources();
+    } catch (e) {
+        console.warn('[Live] Could not list capture sources:', e);
+    }
+
+    const select = elements.liveSourceSelect;
+    select.innerHTML = '';
+    const addGroup = (label, options) => {
+        if (options.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        options.forEach(([text, value]) => group.appendChild(new Option(text, value)));
+        select.appendChild(group);
+    };
+    addGroup('Cameras', cameras.map(camera => [camera.label, camera.deviceId]));
+    addGroup('Screens', captures.filter(c => c.type === 'screen').map(c => [c.name, c.id]));
+    addGroup('Windows', captures.filter(c => c.type === 'window').map(c => [c.name, c.id]));
+    select.appendChild(new Option('Looping video file...', LIVE_FILE_SOURCE));
+    if (selected !== undefined) select.value = selected;
+}
+
+/**
+ * Start (or switch) the live source: a camera deviceId, a desktopCapturer id,
+ * LIVE_FILE_SOURCE, or the default camera
+ */
+async function startLive(source = '', label = undefined) {
+    let fileSource = null;
+    if (source === LIVE_FILE_SOURCE) {
+        fileSource = await window.electronAPI.openFile({
+            filters: [{ name: 'Videos', extensions: ['mp4', 'webm', 'mov'] }]
+        });
+        if (!fileSource) {
+            // Cancelled: keep whatever was live before
+            if (state.liveSource) elements.liveSourceSelect.value = state.liveSource.sourceValue || '';
+            return;
+        }
+    } else if (!isCaptureSource(source)) {
+        const granted = await window.electronAPI.requestCameraAccess();
+        if (!granted) {
+            showToast('Camera access was denied. Allow it in your system privacy settings.', 'error');
+            return;
+        }
+    }
+
+    // Live replaces the loaded file
+    if (state.currentFile) clearInput();
+    stopAnimationPlayback();
+
+    if (!state.liveSource) {
+        state.liveSource = new LiveSource(state.converter, elements.videoPreview, {
+            frameRate: parseInt(elements.liveFpsInput.value) || 15,
+            onFrame: displayLiveFrame,
+            onError: (error) => { elements.outputStatus.textContent = `Live conversion failed: ${error.message}`; }
+        });
+    }
+    const live = state.liveSource;
+
+    document.querySelector('.drop-zone-content').classList.add('hidden');
+    elements.previewContainer.classList.remove('hidden');
+    elements.imagePreview.classList.add('hidden');
+    elements.videoPreview.classList.remove('hidden');
+    elements.videoPreview.controls = false;
+    elements.liveControls.classList.remove('hidden');
+
+    try {
+        if (fileSource) {
+            await live.startFile(fileSource.data, fileSource.name);
+        } else if (isCaptureSource(source)) {
+            await live.startScreen(source, label);
+        } else {
+            await live.startCamera(source || null);
+        }
+        live.sourceValue = fileSource ? LIVE_FILE_SOURCE : source;
+        // Camera labels become available once access has been granted
+        await populateLiveSources(fileSource ? LIVE_FILE_SOURCE : (source || (live.stream && live.stream.getVideoTracks()[0].getSettings().deviceId) || ''));
+        elements.mediaInfo.textContent = `Live: ${live.sourceLabel}`;
+        console.log(`[Live] Started ${live.sourceLabel}`);
+    } catch (error) {
+        console.error('[Live] Failed to start:', error);
+        const message = error && error.name === 'NotAllowedError' ? 'Camera access was denied'
+            : error && error.name === 'NotFoundError' ? 'No camera found. Pick "Looping video file..." to test without one'
+            : `Could not start live source: ${error.message}`;
+        showToast(message, 'error');
+        await populateLiveSources(LIVE_FILE_SOURCE);
+        elements.liveSourceSelect.value = '';
+    }
+}
+
+function displayLiveFrame(result, stats) {
+    state.asciiResult = result;
+    const output = elements.asciiOutput;
+    if (output.classList.contains('hidden')) {
+        document.querySelector('.output-placeholder').classList.add('hidden');
+        output.classList.remove('hidden');
+        elements.copyBtn.disabled = false;
+        elements.copyAnsiBtn.disabled = false;
+        elements.saveBtn.disabled = false;
+        elements.saveFormatSelect.disabled = false;
+    }
+    output.innerHTML = state.converter.generateDisplayHTML(result);
+    output.style.fontSize = state.converter.options.fontSize + 'px';
+    output.style.lineHeight = state.converter.options.lineHeight;
+    output.style.letterSpacing = state.converter.getLetterSpacing(state.converter.options.fontSize) + 'px';
+    output.style.fontFamily = state.settings.font;
+
+    let status = `${result.width}x${result.height} characters • ${stats.fps.toFixed(1)} fps • Live`;
+    const live = state.liveSource;
+    if (state.transform.crop) status += ' • Cropped';
+    if (live && live.isRecording) status += ` • REC ${live.recording.frames.length} frames`;
+    elements.outputStatus.textContent = status;
+}
+
+async function toggleLiveRecording() {
+    const live = state.liveSource;
+    if (!live || !live.running) return;
+
+    if (!live.isRecording) {
+        live.startRecording();
+        elements.liveRecordBtn.textContent = 'Stop Recording';
+        elements.liveRecordBtn.classList.add('recording');
+        return;
+    }
+
+    elements.liveRecordBtn.textContent = 'Record';
+    elements.liveRecordBtn.classList.remove('recording');
+    elements.liveRecordBtn.disabled = true;
+    try {
+        const encoder = live.stopRecording({ quality: state.settings.gifQuality, scale: state.settings.pngScale });
+        if (!encoder) {
+            showToast('Nothing was recorded', 'warning');
+            return;
+        }
+        // The recording becomes the current animation, so GIF/MP4/SVG/terminal exports pick it up
+        releaseAnimation();
+        state.animationEncoder = encoder;
+        const first = encoder.frames[0].asciiResult;
+        state.asciiResult = first;
+        first.isAnimation = true;
+        first.frameCount = encoder.frames.length;
+        first.frameRate = encoder.options.frameRate;
+        showToast(`Recorded ${encoder.frames.length} frames — choose GIF or MP4 and click Save`, 'success');
+    } finally {
+        elements.liveRecordBtn.disabled = false;
+    }
+}
+
+function stopLive() {
+    const live = state.liveSource;
+    if (!live || !live.running) return;
+    live.stop();
+    console.log('[Live] Stopped');
+
+    elements.liveControls.classList.add('hidden');
+    elements.liveRecordBtn.textContent = 'Record';
+    elements.liveRecordBtn.classList.remove('recording');
+    setCropMode(false);
+    elements.videoPreview.controls = true;
+    elements.videoPreview.removeAttribute('src');
+    elements.videoPreview.load();
+    elements.videoPreview.classList.add('hidden');
+    elements.previewContainer.classList.add('hidden');
+    document.querySelector('.drop-zone-content').classList.remove('hidden');
+    if (elements.mediaInfo) elements.mediaInfo.textContent = '';
+    if (elements.outputStatus && elements.outputStatus.textContent.includes('Live')) {
+        elements.outputStatus.textContent = state.animationEncoder ? `${state.animationEncoder.frameCount} recorded frames` : '';
+    }
+    // A recording can now be stepped through on the playback bar
+    state.playbackFrame = 0;
+    updatePlaybackBar();
+}
+
 // ============================================
 // Controls
 // ============================================
@@ -1300,6 +1834,14 @@ function setupControls() {
         });
     }
     
+    // Render mode select (dot and block modes replace the charset ramp)
+    elements.renderModeSelect.addEventListener('change', (e) => {
+        const mode = e.target.value;
+        elements.brailleOptions.classList.toggle('hidden', mode !== 'braille');
+        elements.charsetGroup.classList.toggle('hidden', mode !== 'ascii');
+        updateConverterOptions();
+    });
+    
     // Charset select
     elements.charsetSelect.addEventListener('change', (e) => {
         const isCustom = e.target.value === 'custom';
@@ -1312,18 +1854,76 @@ function setupControls() {
         updateConverterOptions();
     });
     
+    // Glyph matching select
+    elements.glyphMatchSelect.addEventListener('change', () => {
+        updateConverterOptions();
+    });
+    
+    // Dithering select
+    elements.ditherSelect.addEventListener('change', (e) => {
+        elements.ditherOptions.classList.toggle('hidden', e.target.value === 'none');
+        updateConverterOptions();
+    });
+    
+    elements.ditherPaletteCheck.addEventListener('change', () => {
+        updateConverterOptions();
+    });
+    
+    // Size mode; the terminal sizes are fit-in-box shortcuts
+    elements.sizeModeSelect.addEventListener('change', (e) => {
+        const terminal = e.target.value.match(/^(\d+)x(\d+)$/);
+        if (terminal) {
+            elements.widthSlider.value = elements.widthValue.textContent = terminal[1];
+            elements.heightSlider.value = elements.heightValue.textContent = terminal[2];
+        }
+        updateSizeControls();
+        updateConverterOptions();
+    });
+    
+    // Moving a slider turns a terminal size into a custom box
+    [elements.widthSlider, elements.heightSlider].forEach(slider => slider.addEventListener('input', () => {
+        if (elements.sizeModeSelect.value.includes('x')) elements.sizeModeSelect.value = 'fit';
+    }));
+    
+    elements.resampleSelect.addEventListener('change', () => {
+        updateConverterOptions();
+    });
+    
+    // Raster export resolution
+    elements.pixelSizeSelect.addEventListener('change', () => {
+        elements.pixelSizeOptions.classList.toggle('hidden', elements.pixelSizeSelect.value !== 'custom');
+        updateConverterOptions();
+    });
+    [elements.pixelWidthInput, elements.pixelHeightInput].forEach(input => input.addEventListener('change', updateConverterOptions));
+    
     // Sliders
     setupSlider(elements.widthSlider, elements.widthValue, '');
+    setupSlider(elements.heightSlider, elements.heightValue, '');
     setupSlider(elements.fontSizeSlider, elements.fontSizeValue, '');
     setupSlider(elements.lineHeightSlider, elements.lineHeightValue, '', 1);
+    setupSlider(elements.charAspectSlider, elements.charAspectValue, '', 2);
     setupSlider(elements.contrastSlider, elements.contrastValue, '');
     setupSlider(elements.brightnessSlider, elements.brightnessValue, '');
+    setupSlider(elements.edgeThresholdSlider, elements.edgeThresholdValue, '');
+    setupSlider(elements.brailleThresholdSlider, elements.brailleThresholdValue, '');
     
     // Invert checkbox
     elements.invertCheck.addEventListener('change', () => {
         updateConverterOptions();
     });
     
+    // Manual character aspect (otherwise measured from the font and line height)
+    elements.charAspectCheck.addEventListener('change', () => {
+        elements.charAspectOptions.classList.toggle('hidden', !elements.charAspectCheck.checked);
+        updateConverterOptions();
+    });
+    
+    // Edge glyphs checkbox (threshold only matters while enabled)
+    elements.edgesCheck.addEventListener('change', () => {
+        elements.edgeOptions.classList.toggle('hidden', !elements.edgesCheck.checked);
+        updateConverterOptions();
+    });
+    
     // Background color
     elements.bgColorPicker.addEventListener('input', (e) => {
         // Color picker doesn't support alpha, so append full opacity
@@ -1368,6 +1968,34 @@ function setupSlider(slider, valueElement, suffix, decimals = 0) {
     slider.addEventListener('input', update);
 }
 
+function getSizeMode() {
+    const mode = elements.sizeModeSelect.value;
+    return mode.includes('x') ? 'fit' : mode;
+}
+
+function updateSizeControls() {
+    const mode = getSizeMode();
+    elements.widthGroup.classList.toggle('hidden', mode === 'height');
+    elements.heightGroup.classList.toggle('hidden', mode === 'width');
+}
+
+/**
+ * Requested PNG/GIF/MP4 resolution, or nulls to size by font size and scale
+ */
+function getPixelSize() {
+    const value = elements.pixelSizeSelect.value;
+    if (value === 'custom') {
+        // Leaving one field empty fixes only that dimension
+        const read = (input) => {
+            const n = parseInt(input.value);
+            return n > 0 ? Math.max(16, n) : null;
+        };
+        return { pixelWidth: read(elements.pixelWidthInput), pixelHeight: read(elements.pixelHeightInput) };
+    }
+    const [pixelWidth, pixelHeight] = value ? value.split('x').map(Number) : [null, null];
+    return { pixelWidth, pixelHeight };
+}
+
 function updateConverterOptions() {
     const colorMode = document.querySelector('.toggle-btn.active')?.dataset.mode || 'color';
     const charset = elements.charsetSelect.value;
@@ -1377,19 +2005,59 @@ function updateConverterOptions() {
     
     state.converter.setOptions({
         width: parseInt(elements.widthSlider.value),
+        height: parseInt(elements.heightSlider.value),
+        sizeMode: getSizeMode(),
+        ...getPixelSize(),
+        resample: elements.resampleSelect.value,
+        renderMode: elements.renderModeSelect.value,
+        brailleThreshold: parseInt(elements.brailleThresholdSlider.value),
         charset: charset,
         customCharset: customCharset,
+        glyphMatch: elements.glyphMatchSelect.value,
+        fontFamily: state.settings.font,
+        dither: elements.ditherSelect.value,
+        ditherPalette: elements.ditherPaletteCheck.checked,
         colorMode: colorMode,
         colorPalette: colorPalette,
         fontSize: parseInt(elements.fontSizeSlider.value),
         lineHeight: parseFloat(elements.lineHeightSlider.value),
+        charAspect: elements.charAspectCheck.checked ? parseFloat(elements.charAspectSlider.value) : null,
         contrast: parseInt(elements.contrastSlider.value),
         brightness: parseInt(elements.brightnessSlider.value),
+        gamma: parseFloat(elements.gammaSlider.value),
+        levelsBlack: parseInt(elements.levelsBlackSlider.value),
+        levelsWhite: parseInt(elements.levelsWhiteSlider.value),
+        toneCurve: state.toneCurve ? state.toneCurve.map(point => [...point]) : null,
+        equalize: elements.equalizeSelect.value,
+        autoLevels: elements.autoLevelsCheck.checked,
         invert: elements.invertCheck.checked,
-        backgroundColor: elements.bgColorPicker.value
+        edges: elements.edgesCheck.checked,
+        edgeThreshold: parseInt(elements.edgeThresholdSlider.value),
+        mask: elements.maskSelect.value,
+        maskColor: elements.maskColorPicker.value,
+        maskTolerance: parseInt(elements.maskToleranceSlider.value),
+        maskThreshold: parseInt(elements.maskThresholdSlider.value),
+        maskInvert: elements.maskInvertCheck.checked,
+        backgroundColor: getBackgroundColor(),
+        crop: state.transform.crop ? { ...state.transform.crop } : null,
+        rotate: state.transform.rotate,
+        flipH: state.transform.flipH,
+        flipV: state.transform.flipV
     });
 }
 
+/**
+ * Background from the text field, which keeps the alpha channel the color picker drops
+ * (a transparent background is what lets masked cells export as transparent PNG/GIF)
+ */
+function getBackgroundColor() {
+    const value = elements.bgColorText.value;
+    if (/^#[0-9A-Fa-f]{8}$/.test(value)) return value;
+    if (/^#[0-9A-Fa-f]{6}$/.test(value)) return value + 'FF';
+    // Half-typed value: keep the last valid one
+    return state.converter.options.backgroundColor || elements.bgColorPicker.value + 'FF';
+}
+
 function updateOutputBackground() {
     const bgColor = elements.bgColorText.value;
     if (bgColor.length === 9 && bgColor.startsWith('#')) {
@@ -1413,109 +2081,808 @@ function updateConversionProgress(percent, label = 'Converting to ASCII...') {
 }
 
 // ============================================
-// Conversion
+// Transform (crop / rotate / flip)
 // ============================================
-async function convert() {
-    if (!state.currentFile) {
-        showToast('Please select a file first', 'warning');
-        return;
-    }
-    
-    console.log('[Convert] Starting conversion, type:', state.currentType);
-    
-    showLoading('Converting to ASCII...');
-    // Stop any previous animations and clear previous output to avoid overlay issues
-    try {
-        stopAnimationPlayback();
-        state.asciiResult = null;
-        state.animationEncoder = null;
-        if (elements.asciiOutput) elements.asciiOutput.innerHTML = '';
-        const placeholder = document.querySelector('.output-placeholder');
-        if (placeholder) placeholder.classList.remove('hidden');
-        if (elements.asciiOutput) elements.asciiOutput.classList.add('hidden');
-        if (elements.outputStatus) elements.outputStatus.textContent = '';
-    } catch (e) {
-        console.warn('[Convert] Failed to clear previous output:', e);
-    }
+function setupTransform() {
+    elements.rotateLeftBtn.addEventListener('click', () => setTransform({ rotate: (state.transform.rotate + 270) % 360 }));
+    elements.rotateRightBtn.addEventListener('click', () => setTransform({ rotate: (state.transform.rotate + 90) % 360 }));
+    elements.flipHBtn.addEventListener('click', () => setTransform({ flipH: !state.transform.flipH }));
+    elements.flipVBtn.addEventListener('click', () => setTransform({ flipV: !state.transform.flipV }));
+    elements.resetTransformBtn.addEventListener('click', () => {
+        setCropMode(false);
+        setTransform({ crop: null, rotate: 0, flipH: false, flipV: false });
+    });
+    elements.cropBtn.addEventListener('click', () => {
+        setCropMode(!elements.previewContainer.classList.contains('cropping'));
+    });
 
-    updateConverterOptions();
-    updateConversionProgress(0, 'Converting to ASCII...');
-    
-    const conversionStart = performance.now();
-    try {
-        if (state.currentType === 'video') {
-            await convertVideo();
-        } else {
-            await convertImage();
-        }
-        console.log('[Convert] Conversion completed successfully');
-        // Sync output with input/video now that conversion is finished
-        try {
-            const conversionTime = performance.now() - conversionStart;
-            if (state.animationEncoder && state.animationEncoder.frames && state.animationEncoder.frames.length > 0) {
-                await displayResult(state.asciiResult, conversionTime, state.animationEncoder.frames.length);
-            }
-        } catch (e) {
-            console.warn('[Convert] displayResult sync failed:', e);
-        }
-    } catch (error) {
-        console.error('[Convert] CONVERSION FAILED:', error);
-        console.error('[Convert] Error stack:', error.stack);
-        showToast('Conversion failed: ' + error.message, 'error');
-    } finally {
-        hideLoading();
-    }
+    setupCropTool();
+    updateTransformUI();
 }
 
-async function convertImage() {
-    const img = elements.imagePreview;
-    updateConversionProgress(0, 'Converting image...');
-    
-    // Wait for image to be fully loaded
-    if (!img.complete) {
-        await new Promise(resolve => img.onload = resolve);
-    }
+/**
+ * Change part of the transform and push it to the converter.
+ * It applies from the next conversion (immediately while live).
+ */
+function setTransform(changes) {
+    Object.assign(state.transform, changes);
+    updateConverterOptions();
+    updateTransformUI();
+    if ('crop' in changes) updateHistogram();
+}
 
-    // Small delay to ensure overlay renders
-    await new Promise(resolve => setTimeout(resolve, 50));
+function updateTransformUI() {
+    const t = state.transform;
+    elements.flipHBtn.classList.toggle('active', t.flipH);
+    elements.flipVBtn.classList.toggle('active', t.flipV);
+
+    const parts = [];
+    if (t.crop) parts.push(`Crop ${Math.round(t.crop.width * 100)}×${Math.round(t.crop.height * 100)}%`);
+    if (t.rotate) parts.push(`${t.rotate}°`);
+    if (t.flipH) parts.push('Flip H');
+    if (t.flipV) parts.push('Flip V');
+    elements.transformStatus.textContent = parts.length ? parts.join(' • ') : 'None';
+    drawCropBox();
+}
 
-    const startTime = performance.now();
-    state.asciiResult = await state.converter.convertImage(img);
-    const endTime = performance.now();
-    updateConversionProgress(100, 'Converting image...');
-    
-    await displayResult(state.asciiResult, endTime - startTime);
+function setCropMode(enabled) {
+    const cropping = enabled && !elements.previewContainer.classList.contains('hidden');
+    elements.previewContainer.classList.toggle('cropping', cropping);
+    elements.cropBtn.classList.toggle('active', cropping);
+    elements.cropBtn.textContent = cropping ? 'Drag on preview...' : 'Crop';
+    if (cropping) setKeyPickMode(false);
 }
 
-async function convertVideo() {
-    console.log('[Convert] Starting video conversion');
+/**
+ * Rectangle the visible preview's content occupies on screen (object-fit: contain),
+ * or null when nothing is shown
+ */
+function getPreviewContentRect() {
+    if (elements.previewContainer.classList.contains('hidden')) return null;
     const video = elements.videoPreview;
-    let frameRate = parseInt(elements.frameRate.value);
-    updateConversionProgress(0, 'Converting video...');
-    
-    // Use source FPS if not specified or 0
-    if (!frameRate || frameRate === 0) {
+    const img = elements.imagePreview;
+    let media, sourceWidth, sourceHeight;
+    if (!video.classList.contains('hidden')) {
+        media = video;
+        sourceWidth = video.videoWidth;
+        sourceHeight = video.videoHeight;
+    } else if (!img.classList.contains('hidden')) {
+        media = img;
+        sourceWidth = img.naturalWidth;
+        sourceHeight = img.naturalHeight;
+    }
+    if (!media || !sourceWidth || !sourceHeight) return null;
+
+    const rect = media.getBoundingClientRect();
+    const scale = Math.min(rect.width / sourceWidth, rect.height / sourceHeight);
+    const width = sourceWidth * scale;
+    const height = sourceHeight * scale;
+    return {
+        left: rect.left + (rect.width - width) / 2,
+        top: rect.top + (rect.height - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Outline a crop (default: the current one) over the preview. The crop is in
+ * source space, so the box is drawn on the unrotated preview.
+ */
+function drawCropBox(crop = state.transform.crop) {
+    const box = elements.cropBox;
+    const rect = crop ? getPreviewContentRect() : null;
+    if (!rect) {
+        box.classList.add('hidden');
+        return;
+    }
+    const origin = elements.previewContainer.getBoundingClientRect();
+    box.style.left = `${rect.left - origin.left + crop.x * rect.width}px`;
+    box.style.top = `${rect.top - origin.top + crop.y * rect.height}px`;
+    box.style.width = `${crop.width * rect.width}px`;
+    box.style.height = `${crop.height * rect.height}px`;
+    box.classList.remove('hidden');
+}
+
+/**
+ * Drag on the preview to pick a crop region. The crop is stored as fractions
+ * of the source so it survives window resizes and works for every frame.
+ */
+function setupCropTool() {
+    const container = elements.previewContainer;
+    let drag = null; // { start, ratio } while dragging
+
+    const toFraction = (e, rect) => ({
+        x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+        y: Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height))
+    });
+
+    // With the aspect locked, width/height (in fractions) stays at drag.ratio,
+    // shrinking as needed to stay inside the source
+    const dragRect = (start, end) => {
+        let dx = end.x - start.x;
+        let dy = end.y - start.y;
+        if (drag.ratio) {
+            const maxWidth = Math.min(dx < 0 ? start.x : 1 - start.x, (dy < 0 ? start.y : 1 - start.y) * drag.ratio);
+            const width = Math.min(maxWidth, Math.max(Math.abs(dx), Math.abs(dy) * drag.ratio));
+            dx = (dx < 0 ? -1 : 1) * width;
+            dy = (dy < 0 ? -1 : 1) * width / drag.ratio;
+        }
+        return {
+            x: Math.min(start.x, start.x + dx),
+            y: Math.min(start.y, start.y + dy),
+            width: Math.abs(dx),
+            height: Math.abs(dy)
+        };
+    };
+
+    container.addEventListener('mousedown', (e) => {
+        if (!container.classList.contains('cropping')) return;
+        const rect = getPreviewContentRect();
+        if (!rect) return;
+        e.preventDefault();
+        // Lock to the current crop's shape, or to the source's shape when there is none
+        const crop = state.transform.crop;
+        const ratio = elements.cropAspectLockCheck.checked ? (crop ? crop.width / crop.height : 1) : null;
+        drag = { start: toFraction(e, rect), ratio };
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (!drag) return;
+        const rect = getPreviewContentRect();
+        if (rect) drawCropBox(dragRect(drag.start, toFraction(e, rect)));
+    });
+
+    window.addEventListener('mouseup', (e) => {
+        if (!drag) return;
+        const rect = getPreviewContentRect();
+        const crop = rect ? dragRect(drag.start, toFraction(e, rect)) : null;
+        drag = null;
+        setCropMode(false);
+
+        // A click (or a sliver) removes the crop
+        setTransform({ crop: crop && crop.width >= 0.02 && crop.height >= 0.02 ? crop : null });
+    });
+
+    // Keep the box on the content as the preview loads or the window resizes
+    elements.imagePreview.addEventListener('load', () => drawCropBox());
+    elements.videoPreview.addEventListener('loadedmetadata', () => drawCropBox());
+    window.addEventListener('resize', () => drawCropBox());
+}
+
+// ============================================
+// Trim (in/out points of video and GIF input)
+// ============================================
+const MIN_TRIM_LENGTH = 0.1; // seconds
+
+/**
+ * The part of the current clip to convert, { start, end } in seconds. end is null when the
+ * selection runs to the end of the clip (or its duration is not known).
+ */
+function getTrimRange() {
+    const duration = state.videoDuration || 0;
+    if (!duration) return { start: 0, end: null };
+    const start = Math.min(state.trim.start, duration);
+    const end = state.trim.end !== null && state.trim.end < duration ? state.trim.end : null;
+    return { start, end };
+}
+
+function setTrim(start, end) {
+    const duration = state.videoDuration || 0;
+    if (!duration) return;
+    start = Math.max(0, Math.min(start, duration - MIN_TRIM_LENGTH));
+    end = Math.max(start + MIN_TRIM_LENGTH, Math.min(end, duration));
+    state.trim = { start, end: end >= duration ? null : end };
+    updateTrimControls();
+}
+
+function resetTrim() {
+    state.trim = { start: 0, end: null };
+    updateTrimControls();
+}
+
+function updateTrimControls() {
+    const duration = state.videoDuration || 0;
+    const visible = !!(state.currentFile && state.currentType === 'video' && duration);
+    elements.trimControls.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const { start, end } = getTrimRange();
+    const out = end === null ? duration : end;
+    const percent = (time) => `${time / duration * 100}%`;
+    elements.trimSelection.style.left = percent(start);
+    elements.trimSelection.style.width = percent(out - start);
+    elements.trimStartHandle.style.left = percent(start);
+    elements.trimEndHandle.style.left = percent(out);
+    elements.trimStartInput.max = elements.trimEndInput.max = duration.toFixed(2);
+    elements.trimStartInput.value = start.toFixed(2);
+    elements.trimEndInput.value = out.toFixed(2);
+    elements.trimLength.textContent = `${(out - start).toFixed(2)}s of ${duration.toFixed(2)}s`;
+    updateTrimPlayhead();
+}
+
+// GIFs are previewed as an image, so only videos have a playhead
+function updateTrimPlayhead() {
+    const video = elements.videoPreview;
+    const duration = state.videoDuration || 0;
+    const playing = !video.classList.contains('hidden') && duration > 0;
+    elements.trimPlayhead.classList.toggle('hidden', !playing);
+    if (playing) elements.trimPlayhead.style.left = `${Math.min(1, video.currentTime / duration) * 100}%`;
+}
+
+/**
+ * Frames whose start time falls inside range. Times come from frame.time when extraction
+ * recorded it, else from the delays counted from startTime (seconds into the clip).
+ */
+function framesInRange(frames, range, startTime = 0) {
+    const end = range.end === null ? Infinity : range.end;
+    let time = startTime;
+    return frames.filter((frame) => {
+        const t = typeof frame.time === 'number' ? frame.time : time;
+        time = t + (frame.delay || 100) / 1000;
+        return t >= range.start - 0.0005 && t < end;
+    });
+}
+
+/**
+ * Cached raw frames inside range, or null when the cache does not hold all of it.
+ * The cache records the part of the clip it was extracted from (start, and end or null).
+ */
+function cachedFramesInRange(range) {
+    const cache = state.frameCache;
+    if (!cache || !cache.videoFrames || cache.videoFrames.length === 0) return null;
+    const cacheStart = cache.start || 0;
+    const cacheEnd = cache.end === undefined ? null : cache.end;
+    if (range.start < cacheStart - 0.0005) return null;
+    if (cacheEnd !== null && (range.end === null || range.end > cacheEnd + 0.0005)) return null;
+    const frames = framesInRange(cache.videoFrames, range, cacheStart);
+    return frames.length > 0 ? frames : null;
+}
+
+/**
+ * Drag the handles (or type times) to pick the in/out points. The video preview follows
+ * the handle being dragged and loops over the selection while it plays.
+ */
+function setupTrim() {
+    let dragEdge = null;
+
+    const timeAt = (e) => {
+        const rect = elements.trimTrack.getBoundingClientRect();
+        return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * (state.videoDuration || 0);
+    };
+    const seekPreview = (time) => {
+        const video = elements.videoPreview;
+        if (!video.classList.contains('hidden') && video.readyState >= 1) video.currentTime = time;
+    };
+
+    [elements.trimStartHandle, elements.trimEndHandle].forEach((handle) => {
+        handle.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            dragEdge = handle.dataset.edge;
+            handle.classList.add('dragging');
+            elements.videoPreview.pause();
+        });
+    });
+
+    // Clicking the track seeks the preview
+    elements.trimTrack.addEventListener('mousedown', (e) => {
+        if (e.target === elements.trimTrack || e.target === elements.trimSelection) seekPreview(timeAt(e));
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (!dragEdge) return;
+        const time = timeAt(e);
+        const { start, end } = getTrimRange();
+        const out = end === null ? state.videoDuration : end;
+        if (dragEdge === 'start') setTrim(Math.min(time, out - MIN_TRIM_LENGTH), out);
+        else setTrim(start, Math.max(time, start + MIN_TRIM_LENGTH));
+        const range = getTrimRange();
+        seekPreview(dragEdge === 'start' ? range.start : (range.end === null ? state.videoDuration : range.end));
+    });
+
+    window.addEventListener('mouseup', () => {
+        if (!dragEdge) return;
+        dragEdge = null;
+        elements.trimStartHandle.classList.remove('dragging');
+        elements.trimEndHandle.classList.remove('dragging');
+    });
+
+    const applyInputs = () => {
+        const start = parseFloat(elements.trimStartInput.value) || 0;
+        const end = parseFloat(elements.trimEndInput.value);
+        setTrim(start, Number.isFinite(end) ? end : state.videoDuration);
+    };
+    elements.trimStartInput.addEventListener('change', () => {
+        applyInputs();
+        seekPreview(getTrimRange().start);
+    });
+    elements.trimEndInput.addEventListener('change', applyInputs);
+    elements.trimResetBtn.addEventListener('click', resetTrim);
+
+    elements.videoPreview.addEventListener('timeupdate', () => {
+        const video = elements.videoPreview;
+        if (state.currentFile && !video.paused && !dragEdge) {
+            const { start, end } = getTrimRange();
+            const pastEnd = end !== null && video.currentTime >= end;
+            // With looping off (playback bar) the clip stops at the out point instead of going round again
+            if (pastEnd && !state.playbackLoop) video.pause();
+            else if (pastEnd || video.currentTime < start) video.currentTime = start;
+        }
+        updateTrimPlayhead();
+    });
+}
+
+// ============================================
+// Tone (levels, gamma, curve, equalization)
+// ============================================
+function setupTone() {
+    // Keep the black point below the white point (registered before the sliders' own update)
+    elements.levelsBlackSlider.addEventListener('input', () => {
+        const black = parseInt(elements.levelsBlackSlider.value);
+        if (parseInt(elements.levelsWhiteSlider.value) <= black) {
+            elements.levelsWhiteSlider.value = elements.levelsWhiteValue.textContent = black + 1;
+        }
+    });
+    elements.levelsWhiteSlider.addEventListener('input', () => {
+        const white = parseInt(elements.levelsWhiteSlider.value);
+        if (parseInt(elements.levelsBlackSlider.value) >= white) {
+            elements.levelsBlackSlider.value = elements.levelsBlackValue.textContent = white - 1;
+        }
+    });
+    setupSlider(elements.levelsBlackSlider, elements.levelsBlackValue, '');
+    setupSlider(elements.levelsWhiteSlider, elements.levelsWhiteValue, '');
+    setupSlider(elements.gammaSlider, elements.gammaValue, '', 2);
+    [elements.levelsBlackSlider, elements.levelsWhiteSlider].forEach(slider => slider.addEventListener('input', drawToneCurve));
+
+    elements.equalizeSelect.addEventListener('change', () => {
+        updateConverterOptions();
+    });
+    elements.autoLevelsCheck.addEventListener('change', () => {
+        updateConverterOptions();
+    });
+    elements.autoLevelsBtn.addEventListener('click', runAutoLevels);
+    elements.resetToneBtn.addEventListener('click', resetTone);
+
+    setupToneCurveEditor();
+
+    // The histogram follows whatever the preview shows
+    elements.imagePreview.addEventListener('load', updateHistogram);
+    elements.videoPreview.addEventListener('loadeddata', updateHistogram);
+    elements.videoPreview.addEventListener('seeked', updateHistogram);
+    drawToneCurve();
+}
+
+/**
+ * Drag on the curve canvas to add or move points; double-click a point to remove it.
+ * The end points stay on the left and right edges.
+ */
+function setupToneCurveEditor() {
+    const canvas = elements.toneCurveCanvas;
+    let dragIndex = -1;
+
+    // Mouse position as [input, output] tone values (0-255, output upwards)
+    const toValue = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+        const y = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+        return [Math.round(x * 255), Math.round((1 - y) * 255)];
+    };
+    const getPoints = () => state.toneCurve ? state.toneCurve.map(point => [...point]) : [[0, 0], [255, 255]];
+    const findPoint = (points, [x, y]) => points.findIndex(p => Math.hypot(p[0] - x, p[1] - y) <= 12);
+
+    canvas.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const points = getPoints();
+        const value = toValue(e);
+        dragIndex = findPoint(points, value);
+        if (dragIndex < 0) {
+            value[0] = Math.max(1, Math.min(254, value[0]));
+            dragIndex = points.findIndex(p => p[0] === value[0]);
+            if (dragIndex < 0) {
+                if (points.length >= 16) return; // Same limit presets accept
+                points.push(value);
+                points.sort((a, b) => a[0] - b[0]);
+                dragIndex = points.indexOf(value);
+            } else {
+                points[dragIndex] = value;
+            }
+        }
+        setToneCurve(points);
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (dragIndex < 0) return;
+        const points = getPoints();
+        const [x, y] = toValue(e);
+        const last = points.length - 1;
+        const minX = dragIndex === 0 ? 0 : points[dragIndex - 1][0] + 1;
+        const maxX = dragIndex === last ? 255 : points[dragIndex + 1][0] - 1;
+        const fixedX = dragIndex === 0 ? 0 : dragIndex === last ? 255 : null;
+        points[dragIndex] = [fixedX !== null ? fixedX : Math.max(minX, Math.min(maxX, x)), y];
+        setToneCurve(points);
+    });
+
+    window.addEventListener('mouseup', () => {
+        dragIndex = -1;
+    });
+
+    canvas.addEventListener('dblclick', (e) => {
+        const points = getPoints();
+        const index = findPoint(points, toValue(e));
+        if (index <= 0 || index >= points.length - 1) return;
+        points.splice(index, 1);
+        setToneCurve(points);
+    });
+}
+
+function setToneCurve(points) {
+    // Two end points on the diagonal is no curve at all
+    const straight = points.length === 2 && points[0][0] === 0 && points[0][1] === 0
+        && points[1][0] === 255 && points[1][1] === 255;
+    state.toneCurve = straight ? null : points;
+    updateConverterOptions();
+    drawToneCurve();
+}
+
+/**
+ * Draw the source histogram, the clipped levels, and the tone curve with its points
+ */
+function drawToneCurve() {
+    const canvas = elements.toneCurveCanvas;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const style = getComputedStyle(canvas);
+    const accent = style.getPropertyValue('--accent-primary').trim() || '#6c5ce7';
+    const muted = style.getPropertyValue('--text-muted').trim() || '#6a6a8a';
+    const toX = (v) => v / 255 * width;
+    const toY = (v) => height - v / 255 * height;
+    ctx.clearRect(0, 0, width, height);
+
+    // Square-root scale keeps sparse tones visible next to a dominant one
+    if (state.histogram) {
+        const peak = Math.sqrt(Math.max(...state.histogram)) || 1;
+        ctx.fillStyle = muted;
+        ctx.globalAlpha = 0.5;
+        for (let v = 0; v < 256; v++) {
+            const h = Math.sqrt(state.histogram[v]) / peak * height;
+            ctx.fillRect(toX(v), height - h, width / 256, h);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Shade the input range the levels clip
+    const black = parseInt(elements.levelsBlackSlider.value);
+    const white = parseInt(elements.levelsWhiteSlider.value);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    ctx.fillRect(0, 0, toX(black), height);
+    ctx.fillRect(toX(white), 0, width - toX(white), height);
+
+    ctx.strokeStyle = muted;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    ctx.lineTo(width, 0);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const points = state.toneCurve || [[0, 0], [255, 255]];
+    const curve = ASCIIConverter.buildToneCurve(points);
+    ctx.strokeStyle = accent;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let v = 0; v < 256; v++) {
+        const y = toY(curve ? curve[v] : v);
+        if (v === 0) ctx.moveTo(toX(v), y);
+        else ctx.lineTo(toX(v), y);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = accent;
+    for (const [x, y] of points) ctx.fillRect(toX(x) - 3, toY(y) - 3, 6, 6);
+}
+
+/**
+ * Luminance histogram of the previewed source (the cropped part), for the curve display
+ */
+function updateHistogram() {
+    const video = elements.videoPreview;
+    const img = elements.imagePreview;
+    let media = null;
+    let sourceWidth = 0;
+    let sourceHeight = 0;
+    if (!elements.previewContainer.classList.contains('hidden')) {
+        if (!video.classList.contains('hidden') && video.readyState >= 2) {
+            media = video;
+            sourceWidth = video.videoWidth;
+            sourceHeight = video.videoHeight;
+        } else if (!img.classList.contains('hidden') && img.naturalWidth) {
+            media = img;
+            sourceWidth = img.naturalWidth;
+            sourceHeight = img.naturalHeight;
+        }
+    }
+
+    state.histogram = null;
+    if (media && sourceWidth && sourceHeight) {
+        const crop = state.converter.getCropRect(sourceWidth, sourceHeight);
+        const scale = Math.min(1, 256 / Math.max(crop.width, crop.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(crop.width * scale));
+        canvas.height = Math.max(1, Math.round(crop.height * scale));
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        try {
+            ctx.drawImage(media, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+            state.histogram = ASCIIConverter.computeHistogram(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+        } catch (e) {
+            console.warn('[Tone] Could not read the preview for the histogram:', e);
+        }
+    }
+    drawToneCurve();
+}
+
+/**
+ * Set the black and white points from the histogram. For video the cached frames of
+ * the trimmed range (or the whole clip) are analysed, so one set of levels covers
+ * every frame and the output does not flicker.
+ */
+function runAutoLevels() {
+    let histogram = state.histogram;
+    let scope = '';
+    const frames = cachedFramesInRange(getTrimRange()) || (state.frameCache && state.frameCache.videoFrames);
+    if (state.currentType === 'video' && frames && frames.length > 0) {
+        histogram = new Uint32Array(256);
+        const frameStep = Math.max(1, Math.floor(frames.length / 60));
+        for (let i = 0; i < frames.length; i += frameStep) {
+            const data = frames[i].imageData && frames[i].imageData.data;
+            if (data) ASCIIConverter.computeHistogram(data, Math.max(1, Math.floor(data.length / 4 / 20000)), histogram);
+        }
+        scope = ' across the clip';
+    }
+    if (!histogram) {
+        showToast('Load an image or video first', 'warning');
+        return;
+    }
+
+    const { black, white } = ASCIIConverter.findLevels(histogram);
+    elements.levelsBlackSlider.value = elements.levelsBlackValue.textContent = black;
+    elements.levelsWhiteSlider.value = elements.levelsWhiteValue.textContent = white;
+    updateConverterOptions();
+    drawToneCurve();
+    showToast(`Levels set to ${black}–${white}${scope}`, 'success');
+}
+
+function resetTone() {
+    elements.levelsBlackSlider.value = elements.levelsBlackValue.textContent = 0;
+    elements.levelsWhiteSlider.value = elements.levelsWhiteValue.textContent = 255;
+    elements.gammaSlider.value = 1;
+    elements.gammaValue.textContent = '1.00';
+    elements.equalizeSelect.value = 'none';
+    elements.autoLevelsCheck.checked = false;
+    setToneCurve([[0, 0], [255, 255]]);
+}
+
+// ============================================
+// Background mask (chroma key / luminance)
+// ============================================
+function setupMask() {
+    elements.maskSelect.addEventListener('change', () => {
+        updateMaskControls();
+        updateConverterOptions();
+    });
+    elements.maskColorPicker.addEventListener('input', () => {
+        updateConverterOptions();
+    });
+    setupSlider(elements.maskToleranceSlider, elements.maskToleranceValue, '');
+    setupSlider(elements.maskThresholdSlider, elements.maskThresholdValue, '');
+    elements.maskInvertCheck.addEventListener('change', () => {
+        updateConverterOptions();
+    });
+
+    elements.maskPickBtn.addEventListener('click', () => {
+        setKeyPickMode(!elements.previewContainer.classList.contains('picking'));
+    });
+
+    // Picking and cropping are exclusive, so the crop tool ignores these clicks
+    elements.previewContainer.addEventListener('mousedown', (e) => {
+        if (!elements.previewContainer.classList.contains('picking')) return;
+        e.preventDefault();
+        const color = samplePreviewColor(e);
+        setKeyPickMode(false);
+        if (!color) return;
+        elements.maskColorPicker.value = color;
+        updateConverterOptions();
+    });
+}
+
+function updateMaskControls() {
+    const mode = elements.maskSelect.value;
+    elements.maskOptions.classList.toggle('hidden', mode === 'none');
+    elements.maskChromaOptions.classList.toggle('hidden', mode !== 'chroma');
+    elements.maskLumaOptions.classList.toggle('hidden', mode !== 'luma');
+    if (mode !== 'chroma') setKeyPickMode(false);
+}
+
+function setKeyPickMode(enabled) {
+    const picking = enabled && !elements.previewContainer.classList.contains('hidden');
+    if (picking) setCropMode(false);
+    elements.previewContainer.classList.toggle('picking', picking);
+    elements.maskPickBtn.classList.toggle('active', picking);
+    elements.maskPickBtn.textContent = picking ? 'Click on preview...' : 'Pick from Preview';
+}
+
+/**
+ * Source color under the mouse as #rrggbb (the preview shows the untransformed source)
+ */
+function samplePreviewColor(e) {
+    const rect = getPreviewContentRect();
+    if (!rect) return null;
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
+    if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+
+    const video = elements.videoPreview;
+    const media = video.classList.contains('hidden') ? elements.imagePreview : video;
+    const sourceWidth = media === video ? video.videoWidth : media.naturalWidth;
+    const sourceHeight = media === video ? video.videoHeight : media.naturalHeight;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    try {
+        ctx.drawImage(media, Math.min(sourceWidth - 1, Math.floor(x * sourceWidth)), Math.min(sourceHeight - 1, Math.floor(y * sourceHeight)), 1, 1, 0, 0, 1, 1);
+        const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+        return '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+        console.warn('[Mask] Could not read the preview color:', error);
+        return null;
+    }
+}
+
+// ============================================
+// Conversion
+// ============================================
+async function convert() {
+    if (!state.currentFile) {
+        showToast('Please select a file first', 'warning');
+        return;
+    }
+    
+    console.log('[Convert] Starting conversion, type:', state.currentType);
+    
+    showLoading('Converting to ASCII...');
+    // Stop any previous animations and clear previous output to avoid overlay issues
+    try {
+        stopAnimationPlayback();
+        state.asciiResult = null;
+        releaseAnimation();
+        if (elements.asciiOutput) elements.asciiOutput.innerHTML = '';
+        const placeholder = document.querySelector('.output-placeholder');
+        if (placeholder) placeholder.classList.remove('hidden');
+        if (elements.asciiOutput) elements.asciiOutput.classList.add('hidden');
+        if (elements.outputStatus) elements.outputStatus.textContent = '';
+    } catch (e) {
+        console.warn('[Convert] Failed to clear previous output:', e);
+    }
+
+    updateConverterOptions();
+    updateConversionProgress(0, 'Converting to ASCII...');
+    
+    const conversionStart = performance.now();
+    try {
+        if (state.currentType === 'video') {
+            await convertVideo();
+        } else {
+            await convertImage();
+        }
+        console.log('[Convert] Conversion completed successfully');
+        // Sync output with input/video now that conversion is finished
+        try {
+            const conversionTime = performance.now() - conversionStart;
+            if (state.animationEncoder && state.animationEncoder.frameCount > 0) {
+                await displayResult(state.asciiResult, conversionTime, state.animationEncoder.frameCount);
+            }
+        } catch (e) {
+            console.warn('[Convert] displayResult sync failed:', e);
+        }
+    } catch (error) {
+        console.error('[Convert] CONVERSION FAILED:', error);
+        console.error('[Convert] Error stack:', error.stack);
+        showToast('Conversion failed: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function convertImage() {
+    const img = elements.imagePreview;
+    updateConversionProgress(0, 'Converting image...');
+    
+    // Wait for image to be fully loaded
+    if (!img.complete) {
+        await new Promise(resolve => img.onload = resolve);
+    }
+
+    // Small delay to ensure overlay renders
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const startTime = performance.now();
+    state.asciiResult = await state.converter.convertImage(img);
+    const endTime = performance.now();
+    updateConversionProgress(100, 'Converting image...');
+    
+    await displayResult(state.asciiResult, endTime - startTime);
+}
+
+// Open the ffmpeg decode stream for the current video, or null when it is a GIF or ffmpeg cannot read it
+async function openVideoStream(frameRate, range = null) {
+    if (!state.currentFile || state.currentFile.isGif || !VideoFrameStream.isSupported()) return null;
+    try {
+        return await VideoFrameStream.open(state.currentFile, frameRate, range);
+    } catch (error) {
+        console.warn('[Convert] Streaming decode unavailable, extracting frames instead:', error);
+        return null;
+    }
+}
+
+// Drop the current animation, deleting the frame store of a streamed clip
+function releaseAnimation() {
+    if (state.animationEncoder) {
+        state.animationEncoder.dispose().catch(err => console.warn('[Animation] Could not release frames:', err));
+    }
+    state.animationEncoder = null;
+    updatePlaybackBar();
+}
+
+async function convertVideo() {
+    console.log('[Convert] Starting video conversion');
+    const video = elements.videoPreview;
+    let frameRate = parseInt(elements.frameRate.value);
+    updateConversionProgress(0, 'Converting video...');
+    
+    // Use source FPS if not specified or 0
+    if (!frameRate || frameRate === 0) {
         frameRate = state.sourceFPS || 30;
     }
-    console.log(`[Convert] Frame rate: ${frameRate}fps, Duration: ${state.videoDuration}s`);
+    // Only the trimmed part of the clip is converted
+    const range = getTrimRange();
+    const rangeDuration = (range.end === null ? state.videoDuration : range.end) - range.start;
+    console.log(`[Convert] Frame rate: ${frameRate}fps, Duration: ${state.videoDuration}s, range ${range.start}s-${range.end === null ? 'end' : `${range.end}s`}`);
     
     const startTime = performance.now();
-    const totalFrames = Math.ceil(state.videoDuration * frameRate);
+    const totalFrames = Math.ceil(rangeDuration * frameRate);
     console.log(`[Convert] Total frames to process: ${totalFrames}`);
     
     // Create abort controller
     state.abortController = new AbortController();
+    // Continuous auto levels start smoothing afresh for this clip
+    state.converter.resetAutoLevels();
     
     // Create animation encoder with CURRENT settings
     state.animationEncoder = new ASCIIAnimationEncoder(state.converter, {
         frameRate: frameRate,
         quality: state.settings.gifQuality,
-        scale: state.settings.pngScale
+        scale: state.settings.pngScale,
+        useWorkers: state.settings.useWebWorker,
+        startTime: range.start,
+        // GIFs have no audio track to carry into MP4 exports
+        audio: state.currentFile.isGif ? null : VideoFrameStream.mediaSource(state.currentFile)
     });
     
     try {
-        // Check if we can use cached raw frames (with smart resampling)
-        if (state.frameCache && state.frameCache.videoFrames && state.frameCache.videoFrames.length > 0) {
+        // Stream videos through ffmpeg when it can read them; otherwise fall back to extracting every frame
+        const stream = await openVideoStream(parseInt(elements.frameRate.value) || null, range);
+        let cachedFrames = null;
+        if (stream) {
+            frameRate = stream.frameRate;
+            state.animationEncoder.options.frameRate = frameRate;
+            console.log(`[Convert] Streaming ${stream.width}x${stream.height} video at ${frameRate}fps (~${stream.total || '?'} frames)`);
+            updateLoadingText('Converting video...');
+            await state.animationEncoder.convertStream(stream, (done, total) => {
+                updateConversionProgress(total ? done / total * 100 : 0, `Converting frame ${done}${total ? `/${total}` : ''}...`);
+            }, state.abortController.signal);
+        } else if ((cachedFrames = cachedFramesInRange(range))) {
+            // Use cached raw frames (with smart resampling)
             const cachedFPS = state.frameCache.frameRate;
             const requestedFPS = frameRate;
             
@@ -1523,14 +2890,14 @@ async function convertVideo() {
             if (cachedFPS >= requestedFPS) {
                 console.log(`[Convert] Using cached video frames at ${cachedFPS}fps, resampling to ${requestedFPS}fps if needed`);
                 
-                let videoFrames = state.frameCache.videoFrames;
+                let videoFrames = cachedFrames;
                 
                 // Resample if FPS doesn't match
                 if (cachedFPS !== requestedFPS) {
                     console.log(`[Convert] Resampling from ${cachedFPS}fps to ${requestedFPS}fps`);
                     const resampledFrames = [];
                     const interval = cachedFPS / requestedFPS;
-                    const targetCount = Math.ceil(state.videoDuration * requestedFPS);
+                    const targetCount = Math.ceil(rangeDuration * requestedFPS);
                     
                     for (let i = 0; i < targetCount && i * interval < videoFrames.length; i++) {
                         const sourceIndex = Math.floor(i * interval);
@@ -1549,54 +2916,10 @@ async function convertVideo() {
                 await new Promise(resolve => setTimeout(resolve, 50));
                 
                 // Convert cached video frames to ASCII with current settings
-                state.animationEncoder.frames = [];
-                
                 console.log(`[Convert] Current converter settings: width=${state.converter.options.width}, mode=${state.converter.options.colorMode}`);
-                
-                for (let i = 0; i < videoFrames.length; i++) {
-                    if (state.abortController.signal.aborted) {
-                        throw new Error('Aborted by user');
-                    }
-                    
-                    console.log(`[Convert] Processing cached frame ${i + 1}/${videoFrames.length}`);
-                    console.log(`[Convert] Frame ${i} data: ${videoFrames[i].width}x${videoFrames[i].height}, ImageData: ${videoFrames[i].imageData ? 'OK' : 'MISSING'}`);
-                    
-                    try {
-                        // Convert ImageData directly to ASCII (FAST - no image encoding/decoding)
-                        const asciiResult = state.converter.convertImageData(
-                            videoFrames[i].imageData,
-                            videoFrames[i].width,
-                            videoFrames[i].height
-                        );
-                        console.log(`[Convert] Frame ${i} ASCII conversion successful`);
-                        
-                        const asciiCanvas = state.converter.renderToCanvas(asciiResult, state.settings.pngScale);
-                        console.log(`[Convert] Frame ${i} rendered to canvas`);
-                        
-                        state.animationEncoder.frames.push({
-                            canvas: asciiCanvas,
-                            asciiResult: asciiResult,
-                            delay: videoFrames[i].delay
-                        });
-                    } catch (error) {
-                        console.error(`[Convert] ERROR on frame ${i}:`, error);
-                        console.error(`[Convert] Frame data:`, {
-                            width: videoFrames[i].width,
-                            height: videoFrames[i].height,
-                            hasImageData: !!videoFrames[i].imageData,
-                            imageDataType: videoFrames[i].imageData?.constructor.name
-                        });
-                        throw error;
-                    }
-                    
-                    const progress = (i + 1) / videoFrames.length;
-                    updateConversionProgress(progress * 100, 'Converting to ASCII...');
-                    
-                    // Yield to UI every 10 frames to allow progress updates
-                    if (i % 10 === 0) {
-                        await new Promise(resolve => setTimeout(resolve, 0));
-                    }
-                }
+                await state.animationEncoder.convertFrameList(videoFrames, (done, total) => {
+                    updateConversionProgress(done / total * 100, 'Converting to ASCII...');
+                }, state.abortController.signal);
                 console.log(`[Convert] All ${videoFrames.length} cached frames converted successfully`);
             } else {
                 console.log(`[Convert] Cache FPS (${cachedFPS}) lower than requested (${requestedFPS}), need to re-extract`);
@@ -1615,7 +2938,7 @@ async function convertVideo() {
                 const gifFrames = await extractFramesNativePreferred(state.currentFile.data, frameRate > 0 ? frameRate : null, (p) => {
                     const percent = Math.round(p * 100);
                     updateConversionProgress(percent, 'Extracting frames...');
-                }, abortCtrl.signal);
+                }, abortCtrl.signal, range);
 
                 // Derive effective frameRate and duration
                 const effectiveFPS = gifFrames.length && gifFrames[0] && gifFrames[0].delay ? Math.round(1000 / gifFrames[0].delay) : (frameRate || 25);
@@ -1625,37 +2948,16 @@ async function convertVideo() {
                 state.frameCache = {
                     frameRate: effectiveFPS,
                     videoFrames: gifFrames,
-                    duration: duration
+                    duration: duration,
+                    start: range.start,
+                    end: range.end
                 };
                 console.log(`[Convert] Cached ${gifFrames.length} GIF frames`);
 
                 // Now convert to ASCII
-                state.animationEncoder.frames = [];
-                for (let i = 0; i < gifFrames.length; i++) {
-                    if (state.abortController.signal.aborted) {
-                        throw new Error('Aborted by user');
-                    }
-                    const asciiResult = state.converter.convertImageData(
-                        gifFrames[i].imageData,
-                        gifFrames[i].width,
-                        gifFrames[i].height
-                    );
-                    const asciiCanvas = state.converter.renderToCanvas(asciiResult, state.settings.pngScale);
-
-                    state.animationEncoder.frames.push({
-                        canvas: asciiCanvas,
-                        asciiResult: asciiResult,
-                        delay: gifFrames[i].delay
-                    });
-
-                    const progress = 50 + ((i + 1) / gifFrames.length * 50);
-                    updateConversionProgress(progress, 'Converting to ASCII...');
-
-                    // Yield to UI every 10 frames to allow progress updates
-                    if (i % 10 === 0) {
-                        await new Promise(resolve => setTimeout(resolve, 0));
-                    }
-                }
+                await state.animationEncoder.convertFrameList(gifFrames, (done, total) => {
+                    updateConversionProgress(50 + done / total * 50, 'Converting to ASCII...');
+                }, state.abortController.signal);
             } else {
                 const extractor = new VideoExtractor(video);
                 const videoFrames = await extractor.extractFrames(
@@ -1667,45 +2969,24 @@ async function convertVideo() {
                         const percent = progress * 50;
                         updateConversionProgress(percent, 'Extracting frames...');
                     },
-                    state.abortController.signal
+                    state.abortController.signal,
+                    range
                 );
                 
                 // Cache the extracted frames
                 state.frameCache = {
                     frameRate: frameRate,
                     videoFrames: videoFrames,
-                    duration: state.videoDuration
+                    duration: rangeDuration,
+                    start: range.start,
+                    end: range.end
                 };
                 console.log(`[Convert] Cached ${videoFrames.length} frames`);
                 
                 // Now convert to ASCII
-                state.animationEncoder.frames = [];
-                for (let i = 0; i < videoFrames.length; i++) {
-                    if (state.abortController.signal.aborted) {
-                        throw new Error('Aborted by user');
-                    }
-                    
-                    const asciiResult = state.converter.convertImageData(
-                        videoFrames[i].imageData,
-                        videoFrames[i].width,
-                        videoFrames[i].height
-                    );
-                    const asciiCanvas = state.converter.renderToCanvas(asciiResult, state.settings.pngScale);
-                    
-                    state.animationEncoder.frames.push({
-                        canvas: asciiCanvas,
-                        asciiResult: asciiResult,
-                        delay: videoFrames[i].delay
-                    });
-                    
-                    const progress = 50 + ((i + 1) / videoFrames.length * 50);
-                    updateConversionProgress(progress, 'Converting to ASCII...');
-                    
-                    // Yield to UI every 10 frames to allow progress updates
-                    if (i % 10 === 0) {
-                        await new Promise(resolve => setTimeout(resolve, 0));
-                    }
-                }
+                await state.animationEncoder.convertFrameList(videoFrames, (done, total) => {
+                    updateConversionProgress(50 + done / total * 50, 'Converting to ASCII...');
+                }, state.abortController.signal);
             }
         }
     } catch (error) {
@@ -1731,21 +3012,21 @@ async function convertVideo() {
             state.asciiResult = { text: '', width: 0, height: 0 };
         }
         state.asciiResult.isAnimation = true;
-        state.asciiResult.frameCount = state.animationEncoder.frames.length;
+        state.asciiResult.frameCount = state.animationEncoder.frameCount;
         state.asciiResult.frameRate = state.frameCache ? state.frameCache.frameRate : frameRate;
     } else {
-        video.currentTime = 0;
+        video.currentTime = range.start;
         await new Promise(resolve => setTimeout(resolve, 100));
         
         state.asciiResult = state.converter.convertVideoFrame(video);
         state.asciiResult.isAnimation = true;
-        state.asciiResult.frameCount = state.animationEncoder.frames.length;
+        state.asciiResult.frameCount = state.animationEncoder.frameCount;
         state.asciiResult.frameRate = frameRate;
     }
     
     const endTime = performance.now();
     
-    displayResult(state.asciiResult, endTime - startTime, state.animationEncoder.frames.length);
+    displayResult(state.asciiResult, endTime - startTime, state.animationEncoder.frameCount);
 }
 
 async function displayResult(result, conversionTime, frameCount = null) {
@@ -1757,6 +3038,7 @@ async function displayResult(result, conversionTime, frameCount = null) {
     elements.asciiOutput.innerHTML = state.converter.generateDisplayHTML(result);
     elements.asciiOutput.style.fontSize = state.converter.options.fontSize + 'px';
     elements.asciiOutput.style.lineHeight = state.converter.options.lineHeight;
+    elements.asciiOutput.style.letterSpacing = state.converter.getLetterSpacing(state.converter.options.fontSize) + 'px';
     elements.asciiOutput.style.backgroundColor = state.converter.options.backgroundColor;
     elements.asciiOutput.style.fontFamily = state.settings.font;
     
@@ -1766,17 +3048,18 @@ async function displayResult(result, conversionTime, frameCount = null) {
         status += ` • ${frameCount} frames • Playing`;
         // Stop any previous playback and start fresh, then sync to input (video) if present
         try {
+            state.playbackFrame = 0;
             stopAnimationPlayback();
 
             if (state.currentType === 'video' && elements.videoPreview && elements.videoPreview.src) {
-                // Force both input (video) and output to start together from 0s for side-by-side sync
+                // Force both input (video) and output to start together from the trim start for side-by-side sync
                 try {
-                    // Pause and seek to 0, wait for seek to complete, then play both
+                    // Pause and seek to the first converted frame, wait for seek to complete, then play both
                     elements.videoPreview.pause();
                     await new Promise((resolve) => {
                         const onSeeked = () => { elements.videoPreview.removeEventListener('seeked', onSeeked); resolve(); };
                         elements.videoPreview.addEventListener('seeked', onSeeked);
-                        try { elements.videoPreview.currentTime = 0; } catch (e) { elements.videoPreview.removeEventListener('seeked', onSeeked); resolve(); }
+                        try { elements.videoPreview.currentTime = state.animationEncoder.options.startTime || 0; } catch (e) { elements.videoPreview.removeEventListener('seeked', onSeeked); resolve(); }
                         // Safety timeout
                         setTimeout(resolve, 250);
                     });
@@ -1811,9 +3094,11 @@ async function displayResult(result, conversionTime, frameCount = null) {
         }
     }
     elements.outputStatus.textContent = status;
+    updatePlaybackBar();
     
     // Enable output buttons
     elements.copyBtn.disabled = false;
+    elements.copyAnsiBtn.disabled = false;
     elements.saveBtn.disabled = false;
     elements.saveFormatSelect.disabled = false;
 }
@@ -1834,6 +3119,18 @@ function setupOutput() {
         }
     });
     
+    // Copy as ANSI button
+    elements.copyAnsiBtn.addEventListener('click', async () => {
+        if (!state.asciiResult) return;
+        
+        try {
+            await navigator.clipboard.writeText(state.converter.generateANSI(state.asciiResult));
+            showToast('Copied as ANSI', 'success');
+        } catch (error) {
+            showToast('Failed to copy', 'error');
+        }
+    });
+    
     // Save button
     elements.saveBtn.addEventListener('click', saveOutput);
 }
@@ -1851,6 +3148,12 @@ async function saveOutput() {
             case 'html':
                 await saveAsHTML();
                 break;
+            case 'ans':
+                await saveAsANSI();
+                break;
+            case 'svg':
+                await saveAsSVG();
+                break;
             case 'png':
                 await saveAsPNG();
                 break;
@@ -1860,6 +3163,10 @@ async function saveOutput() {
             case 'mp4':
                 await saveAsMP4();
                 break;
+            case 'cast':
+            case 'sh':
+                await saveAsTerminalAnimation(format);
+                break;
             case 'webm':
                 await saveAsWebM();
                 break;
@@ -1873,14 +3180,14 @@ async function saveOutput() {
     }
 }
 
-async function saveAsText() {
+async function saveAsText(asciiResult = state.asciiResult, baseName = 'ascii-art') {
     const filters = [{ name: 'Text File', extensions: ['txt'] }];
-    const defaultPath = 'ascii-art.txt';
+    const defaultPath = `${baseName}.txt`;
     
     const filePath = await window.electronAPI.saveFile({ filters, defaultPath });
     if (!filePath) return;
     
-    const result = await window.electronAPI.writeFile(filePath, state.asciiResult.text, 'utf-8');
+    const result = await window.electronAPI.writeFile(filePath, asciiResult.text, 'utf-8');
     
     if (result.success) {
         showToast('Saved as TXT', 'success');
@@ -1889,14 +3196,14 @@ async function saveAsText() {
     }
 }
 
-async function saveAsHTML() {
+async function saveAsHTML(asciiResult = state.asciiResult, baseName = 'ascii-art') {
     const filters = [{ name: 'HTML File', extensions: ['html'] }];
-    const defaultPath = 'ascii-art.html';
+    const defaultPath = `${baseName}.html`;
     
     const filePath = await window.electronAPI.saveFile({ filters, defaultPath });
     if (!filePath) return;
     
-    const data = state.converter.generateHTML(state.asciiResult, state.settings.includeStyles);
+    const data = state.converter.generateHTML(asciiResult, state.settings.includeStyles);
     const result = await window.electronAPI.writeFile(filePath, data, 'utf-8');
     
     if (result.success) {
@@ -1906,15 +3213,53 @@ async function saveAsHTML() {
     }
 }
 
-async function saveAsPNG() {
+async function saveAsANSI() {
+    const filters = [{ name: 'ANSI Art', extensions: ['ans', 'txt'] }];
+    const defaultPath = 'ascii-art.ans';
+    
+    const filePath = await window.electronAPI.saveFile({ filters, defaultPath });
+    if (!filePath) return;
+    
+    const data = state.converter.generateANSI(state.asciiResult);
+    const result = await window.electronAPI.writeFile(filePath, data, 'utf-8');
+    
+    if (result.success) {
+        showToast('Saved as ANSI', 'success');
+    } else {
+        showToast('Failed to save file', 'error');
+    }
+}
+
+async function saveAsSVG() {
+    const filters = [{ name: 'SVG Image', extensions: ['svg'] }];
+    const animated = state.animationEncoder && state.animationEncoder.frameCount > 1;
+    const defaultPath = animated ? 'ascii-animation.svg' : 'ascii-art.svg';
+    
+    const filePath = await window.electronAPI.saveFile({ filters, defaultPath });
+    if (!filePath) return;
+    
+    // Animations become a CSS-animated SVG that loops every frame
+    const data = animated
+        ? await (await state.animationEncoder.encodeSVG(state.settings.svgOutline)).text()
+        : state.converter.generateSVG(state.asciiResult, state.settings.svgOutline);
+    const result = await window.electronAPI.writeFile(filePath, data, 'utf-8');
+    
+    if (result.success) {
+        showToast(animated ? 'Saved as animated SVG' : 'Saved as SVG', 'success');
+    } else {
+        showToast('Failed to save file', 'error');
+    }
+}
+
+async function saveAsPNG(asciiResult = state.asciiResult, baseName = 'ascii-art') {
     const filters = [{ name: 'PNG Image', extensions: ['png'] }];
-    const defaultPath = 'ascii-art.png';
+    const defaultPath = `${baseName}.png`;
     
     const filePath = await window.electronAPI.saveFile({ filters, defaultPath });
     if (!filePath) return;
     
-    const canvas = state.converter.renderToCanvas(state.asciiResult, state.settings.pngScale);
-    console.log('[Export] saveAsPNG canvas size:', canvas.width, 'x', canvas.height, 'ascii width:', state.asciiResult.width, 'lines:', state.asciiResult.lines.length);
+    const canvas = state.converter.renderToCanvas(asciiResult, state.settings.pngScale);
+    console.log('[Export] saveAsPNG canvas size:', canvas.width, 'x', canvas.height, 'ascii width:', asciiResult.width, 'lines:', asciiResult.lines.length);
     const data = canvas.toDataURL('image/png');
     const result = await window.electronAPI.writeFile(filePath, data, 'base64');
     
@@ -1927,13 +3272,13 @@ async function saveAsPNG() {
 
 async function saveAsGIF() {
     console.log('[Export] Starting GIF export');
-    if (!state.animationEncoder || state.animationEncoder.frames.length === 0) {
+    if (!state.animationEncoder || state.animationEncoder.frameCount === 0) {
         console.log('[Export] No animation data available');
         showToast('No animation data. Convert the video first.', 'warning');
         return;
     }
     
-    console.log(`[Export] Encoding ${state.animationEncoder.frames.length} frames to GIF`);
+    console.log(`[Export] Encoding ${state.animationEncoder.frameCount} frames to GIF`);
     showLoading('Preparing to encode GIF...');
     
     // Small delay to ensure loading overlay renders
@@ -2010,6 +3355,33 @@ async function saveAsGIF() {
     }
 }
 
+async function saveAsTerminalAnimation(format) {
+    // Still images export as a single-frame animation
+    let encoder = state.animationEncoder;
+    if (!encoder || encoder.frameCount === 0) {
+        encoder = new ASCIIAnimationEncoder(state.converter);
+        encoder.frames = [{ canvas: null, asciiResult: state.asciiResult, delay: 1000 }];
+    }
+    
+    const isCast = format === 'cast';
+    const filters = isCast
+        ? [{ name: 'asciicast Recording', extensions: ['cast'] }]
+        : [{ name: 'Shell Script', extensions: ['sh'] }];
+    const defaultPath = isCast ? 'ascii-animation.cast' : 'ascii-animation.sh';
+    
+    const filePath = await window.electronAPI.saveFile({ filters, defaultPath });
+    if (!filePath) return;
+    
+    const blob = isCast ? await encoder.encodeAsciicast() : await encoder.encodeShellScript();
+    const result = await window.electronAPI.writeFile(filePath, await blob.text(), 'utf-8');
+    
+    if (result.success) {
+        showToast(isCast ? 'Saved as asciicast recording' : 'Saved as terminal player script', 'success');
+    } else {
+        showToast('Failed to save file', 'error');
+    }
+}
+
 async function saveAsWebM() {
     console.log('[Export] WebM export requested but WebM support has been removed');
     showToast('WebM export is no longer supported. Use MP4 or GIF instead.', 'warning');
@@ -2018,13 +3390,13 @@ async function saveAsWebM() {
 
 async function saveAsMP4() {
     console.log('[Export] Starting MP4 export');
-    if (!state.animationEncoder || state.animationEncoder.frames.length === 0) {
+    if (!state.animationEncoder || state.animationEncoder.frameCount === 0) {
         console.log('[Export] No animation data available');
         showToast('No animation data. Convert the video first.', 'warning');
         return;
     }
     
-    console.log(`[Export] Encoding ${state.animationEncoder.frames.length} frames to MP4`);
+    console.log(`[Export] Encoding ${state.animationEncoder.frameCount} frames to MP4`);
     showLoading('Preparing to encode MP4...');
     state.progressStartTime = performance.now();
     
@@ -2034,6 +3406,9 @@ async function saveAsMP4() {
     // Create abort controller
     state.abortController = new AbortController();
     
+    // The mute setting can change after conversion, so it is read at export time
+    state.animationEncoder.options.includeAudio = state.settings.includeAudio;
+
     try {
         const blob = await state.animationEncoder.encodeMP4((progress, status) => {
             if (state.abortController.signal.aborted) {
@@ -2107,6 +3482,454 @@ async function saveAsMP4() {
     }
 }
 
+// ============================================
+// Presets
+// ============================================
+function setupPresets() {
+    state.presetManager = new PresetManager(state.settings.presets);
+    renderPresetList();
+
+    elements.presetSelect.addEventListener('change', (e) => {
+        const preset = e.target.value ? state.presetManager.get(e.target.value) : null;
+        elements.deletePresetBtn.disabled = !preset || !!preset.builtIn;
+        if (!preset) return;
+        elements.presetNameInput.value = preset.builtIn ? '' : preset.name;
+        applyPreset(preset);
+        showToast(`Loaded preset "${preset.name}"`, 'info');
+    });
+
+    elements.savePresetBtn.addEventListener('click', () => {
+        const name = elements.presetNameInput.value.trim();
+        const { converterOptions, exportOptions } = capturePreset();
+        try {
+            const existed = !!state.presetManager.get(name);
+            const preset = state.presetManager.save(name, converterOptions, exportOptions);
+            persistPresets();
+            renderPresetList(preset.name);
+            showToast(existed ? `Updated preset "${preset.name}"` : `Saved preset "${preset.name}"`, 'success');
+        } catch (error) {
+            showToast(error.message, 'warning');
+        }
+    });
+
+    elements.presetNameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') elements.savePresetBtn.click();
+    });
+
+    elements.deletePresetBtn.addEventListener('click', () => {
+        const name = elements.presetSelect.value;
+        if (!name || !state.presetManager.remove(name)) return;
+        persistPresets();
+        elements.presetNameInput.value = '';
+        renderPresetList();
+        showToast(`Deleted preset "${name}"`, 'info');
+    });
+
+    elements.importPresetsBtn.addEventListener('click', importPresets);
+    elements.exportPresetsBtn.addEventListener('click', exportPresets);
+}
+
+/**
+ * Rebuild the preset dropdown, optionally selecting a preset by name
+ */
+function renderPresetList(selectedName = '') {
+    const select = elements.presetSelect;
+    select.innerHTML = '';
+    select.appendChild(new Option('Current settings', ''));
+
+    const addGroup = (label, presets) => {
+        if (presets.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        presets.forEach(preset => group.appendChild(new Option(preset.name, preset.name)));
+        select.appendChild(group);
+    };
+    addGroup('Built-in', PresetManager.BUILTIN_PRESETS);
+    addGroup('My Presets', state.presetManager.userPresets);
+
+    select.value = selectedName;
+    if (select.value !== selectedName) select.value = '';
+    const preset = select.value ? state.presetManager.get(select.value) : null;
+    elements.deletePresetBtn.disabled = !preset || !!preset.builtIn;
+    elements.exportPresetsBtn.disabled = state.presetManager.userPresets.length === 0;
+}
+
+function persistPresets() {
+    state.settings.presets = state.presetManager.userPresets;
+    saveSettings(false);
+}
+
+/**
+ * Snapshot the complete converter options plus export settings
+ */
+function capturePreset() {
+    updateConverterOptions();
+    return {
+        converterOptions: { ...state.converter.options },
+        exportOptions: {
+            pngScale: state.settings.pngScale,
+            gifQuality: state.settings.gifQuality,
+            includeStyles: state.settings.includeStyles,
+            svgOutline: state.settings.svgOutline,
+            includeAudio: state.settings.includeAudio
+        }
+    };
+}
+
+/**
+ * Push a preset's values into the Convert controls and export settings.
+ * Options the preset does not carry keep their current values.
+ */
+function applyPreset(preset) {
+    const o = preset.converterOptions;
+    const setSlider = (slider, valueElement, value, decimals = 0) => {
+        if (value === undefined || value === null) return;
+        slider.value = value;
+        valueElement.textContent = decimals > 0 ? parseFloat(slider.value).toFixed(decimals) : slider.value;
+    };
+    const setSelect = (select, value) => {
+        if (typeof value !== 'string') return;
+        if (Array.from(select.options).some(option => option.value === value)) select.value = value;
+    };
+
+    if (o.colorMode) {
+        elements.toggleBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === o.colorMode));
+        const paletteGroup = document.getElementById('colorPaletteGroup');
+        if (paletteGroup) paletteGroup.style.display = o.colorMode === 'color' ? 'block' : 'none';
+    }
+    const colorPaletteSelect = document.getElementById('colorPaletteSelect');
+    if (colorPaletteSelect) setSelect(colorPaletteSelect, o.colorPalette);
+
+    setSelect(elements.renderModeSelect, o.renderMode);
+    setSlider(elements.brailleThresholdSlider, elements.brailleThresholdValue, o.brailleThreshold);
+    setSelect(elements.charsetSelect, o.charset);
+    if (o.customCharset !== undefined) elements.customCharset.value = o.customCharset || '';
+    setSelect(elements.glyphMatchSelect, o.glyphMatch);
+    setSelect(elements.ditherSelect, o.dither);
+    if (typeof o.ditherPalette === 'boolean') elements.ditherPaletteCheck.checked = o.ditherPalette;
+
+    setSelect(elements.sizeModeSelect, o.sizeMode);
+    setSlider(elements.widthSlider, elements.widthValue, o.width);
+    setSlider(elements.heightSlider, elements.heightValue, o.height);
+    setSelect(elements.resampleSelect, o.resample);
+    if (o.pixelWidth !== undefined || o.pixelHeight !== undefined) {
+        const size = `${o.pixelWidth}x${o.pixelHeight}`;
+        if (!o.pixelWidth && !o.pixelHeight) {
+            elements.pixelSizeSelect.value = '';
+        } else if (Array.from(elements.pixelSizeSelect.options).some(option => option.value === size)) {
+            elements.pixelSizeSelect.value = size;
+        } else {
+            elements.pixelSizeSelect.value = 'custom';
+            elements.pixelWidthInput.value = o.pixelWidth || '';
+            elements.pixelHeightInput.value = o.pixelHeight || '';
+        }
+    }
+    setSlider(elements.fontSizeSlider, elements.fontSizeValue, o.fontSize);
+    setSlider(elements.lineHeightSlider, elements.lineHeightValue, o.lineHeight, 1);
+    if (o.charAspect !== undefined) elements.charAspectCheck.checked = !!o.charAspect;
+    setSlider(elements.charAspectSlider, elements.charAspectValue, o.charAspect, 2);
+    setSlider(elements.contrastSlider, elements.contrastValue, o.contrast);
+    setSlider(elements.brightnessSlider, elements.brightnessValue, o.brightness);
+    setSlider(elements.levelsBlackSlider, elements.levelsBlackValue, o.levelsBlack);
+    setSlider(elements.levelsWhiteSlider, elements.levelsWhiteValue, o.levelsWhite);
+    setSlider(elements.gammaSlider, elements.gammaValue, o.gamma, 2);
+    setSelect(elements.equalizeSelect, o.equalize);
+    if (typeof o.autoLevels === 'boolean') elements.autoLevelsCheck.checked = o.autoLevels;
+    if (o.toneCurve !== undefined) state.toneCurve = o.toneCurve ? o.toneCurve.map(point => [...point]) : null;
+    if (typeof o.invert === 'boolean') elements.invertCheck.checked = o.invert;
+    if (typeof o.edges === 'boolean') elements.edgesCheck.checked = o.edges;
+    setSlider(elements.edgeThresholdSlider, elements.edgeThresholdValue, o.edgeThreshold);
+    setSelect(elements.maskSelect, o.mask);
+    if (typeof o.maskColor === 'string' && /^#[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/.test(o.maskColor)) {
+        elements.maskColorPicker.value = o.maskColor.substring(0, 7).toLowerCase();
+    }
+    setSlider(elements.maskToleranceSlider, elements.maskToleranceValue, o.maskTolerance);
+    setSlider(elements.maskThresholdSlider, elements.maskThresholdValue, o.maskThreshold);
+    if (typeof o.maskInvert === 'boolean') elements.maskInvertCheck.checked = o.maskInvert;
+
+    if (typeof o.backgroundColor === 'string' && /^#[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/.test(o.backgroundColor)) {
+        elements.bgColorText.value = o.backgroundColor;
+        elements.bgColorPicker.value = o.backgroundColor.substring(0, 7).toLowerCase();
+    }
+
+    // Only switch fonts the Settings tab offers
+    if (typeof o.fontFamily === 'string' && Array.from(elements.fontSelect.options).some(option => option.value === o.fontFamily)) {
+        state.settings.font = o.fontFamily;
+        elements.fontSelect.value = o.fontFamily;
+        elements.asciiOutput.style.fontFamily = o.fontFamily;
+    }
+
+    // Presets saved without a transform keep the current one
+    if (o.crop !== undefined) state.transform.crop = o.crop ? { ...o.crop } : null;
+    if (typeof o.rotate === 'number') state.transform.rotate = ((Math.round(o.rotate / 90) % 4) + 4) % 4 * 90;
+    if (typeof o.flipH === 'boolean') state.transform.flipH = o.flipH;
+    if (typeof o.flipV === 'boolean') state.transform.flipV = o.flipV;
+    updateTransformUI();
+
+    // Sub-controls follow their parent control
+    const mode = elements.renderModeSelect.value;
+    elements.brailleOptions.classList.toggle('hidden', mode !== 'braille');
+    elements.charsetGroup.classList.toggle('hidden', mode !== 'ascii');
+    elements.customCharset.classList.toggle('hidden', elements.charsetSelect.value !== 'custom');
+    elements.ditherOptions.classList.toggle('hidden', elements.ditherSelect.value === 'none');
+    elements.edgeOptions.classList.toggle('hidden', !elements.edgesCheck.checked);
+    updateMaskControls();
+    elements.charAspectOptions.classList.toggle('hidden', !elements.charAspectCheck.checked);
+    elements.pixelSizeOptions.classList.toggle('hidden', elements.pixelSizeSelect.value !== 'custom');
+    updateSizeControls();
+
+    const e = preset.exportOptions || {};
+    if (typeof e.pngScale === 'number') state.settings.pngScale = e.pngScale;
+    if (typeof e.gifQuality === 'number') state.settings.gifQuality = e.gifQuality;
+    if (typeof e.includeStyles === 'boolean') state.settings.includeStyles = e.includeStyles;
+    if (typeof e.svgOutline === 'boolean') state.settings.svgOutline = e.svgOutline;
+    if (typeof e.includeAudio === 'boolean') state.settings.includeAudio = e.includeAudio;
+    elements.pngScaleSelect.value = state.settings.pngScale;
+    elements.gifQualitySelect.value = state.settings.gifQuality;
+    elements.includeStylesCheck.checked = state.settings.includeStyles;
+    elements.svgOutlineCheck.checked = state.settings.svgOutline;
+    elements.includeAudioCheck.checked = state.settings.includeAudio;
+
+    updateConverterOptions();
+    updateOutputBackground();
+    drawToneCurve();
+    saveSettings(false);
+}
+
+async function importPresets() {
+    const paths = await window.electronAPI.openFiles({
+        filters: [
+            { name: 'Glyphify Presets', extensions: ['json'] },
+            { name: 'All Files', extensions: ['*'] }
+        ]
+    });
+    if (paths.length === 0) return;
+
+    const imported = [];
+    for (const filePath of paths) {
+        const fileName = filePath.split(/[\\/]/).pop();
+        try {
+            const result = await window.electronAPI.readFile(filePath);
+            if (!result || !result.success) throw new Error(result && result.error || 'could not read file');
+            const bytes = Uint8Array.from(atob(result.data), c => c.charCodeAt(0));
+            imported.push(...state.presetManager.import(new TextDecoder().decode(bytes)));
+        } catch (error) {
+            console.error(`[Presets] Import of ${fileName} failed:`, error);
+            showToast(`Could not import ${fileName}: ${error.message}`, 'error');
+        }
+    }
+    if (imported.length === 0) return;
+
+    persistPresets();
+    renderPresetList(imported.length === 1 ? imported[0] : '');
+    showToast(imported.length === 1 ? `Imported preset "${imported[0]}"` : `Imported ${imported.length} presets`, 'success');
+}
+
+async function exportPresets() {
+    if (state.presetManager.userPresets.length === 0) {
+        showToast('Save a preset first', 'warning');
+        return;
+    }
+    const filePath = await window.electronAPI.saveFile({
+        filters: [{ name: 'Glyphify Presets', extensions: ['json'] }],
+        defaultPath: 'glyphify-presets.json'
+    });
+    if (!filePath) return;
+
+    const result = await window.electronAPI.writeFile(filePath, state.presetManager.export(), 'utf-8');
+    if (result.success) {
+        showToast(`Exported ${state.presetManager.userPresets.length} preset(s)`, 'success');
+    } else {
+        showToast('Failed to save file', 'error');
+    }
+}
+
+// ============================================
+// Batch Queue
+// ============================================
+function setupBatch() {
+    const queue = new BatchQueue();
+    queue.onChange = renderBatchList;
+    state.batchQueue = queue;
+
+    const addPaths = (paths) => {
+        const added = queue.add(paths);
+        if (paths.length && !added) showToast('Those files are already queued', 'info');
+    };
+
+    elements.batchAddFilesBtn.addEventListener('click', async () => {
+        addPaths(await window.electronAPI.openFiles({}));
+    });
+
+    elements.batchAddFolderBtn.addEventListener('click', async () => {
+        const paths = await window.electronAPI.openFiles({ directory: true });
+        if (paths.length === 0) showToast('No supported media found in that folder', 'warning');
+        addPaths(paths);
+    });
+
+    elements.batchClearBtn.addEventListener('click', () => {
+        queue.clear();
+        elements.batchSummary.classList.add('hidden');
+    });
+
+    // Dropped files expose their filesystem path in Electron
+    const list = elements.batchList;
+    ['dragenter', 'dragover'].forEach(eventName => {
+        list.addEventListener(eventName, () => list.classList.add('drag-over'));
+    });
+    ['dragleave', 'drop'].forEach(eventName => {
+        list.addEventListener(eventName, () => list.classList.remove('drag-over'));
+    });
+    list.addEventListener('drop', (e) => {
+        if (queue.running) return;
+        addPaths(Array.from(e.dataTransfer.files).map(file => file.path).filter(Boolean));
+    });
+
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('.batch-item-remove');
+        if (btn) queue.remove(parseInt(btn.dataset.id));
+    });
+
+    elements.batchChooseDirBtn.addEventListener('click', async () => {
+        const dir = await window.electronAPI.openDirectory({
+            title: 'Choose output folder',
+            defaultPath: state.settings.batchOutputDir || undefined
+        });
+        if (!dir) return;
+        state.settings.batchOutputDir = dir;
+        elements.batchOutputDir.value = dir;
+        renderBatchList(queue);
+        saveSettings(false);
+    });
+
+    elements.batchTemplateInput.addEventListener('change', (e) => {
+        state.settings.batchTemplate = e.target.value.trim() || '{name}-ascii';
+        e.target.value = state.settings.batchTemplate;
+        saveSettings(false);
+    });
+
+    elements.batchFormatSelect.addEventListener('change', (e) => {
+        state.settings.batchFormat = e.target.value;
+        saveSettings(false);
+    });
+
+    elements.batchStartBtn.addEventListener('click', runBatch);
+    elements.batchCancelBtn.addEventListener('click', () => {
+        queue.cancel();
+        elements.batchCancelBtn.disabled = true;
+        elements.batchCancelBtn.textContent = 'Cancelling...';
+    });
+
+    renderBatchList(queue);
+}
+
+function renderBatchList(queue) {
+    const list = elements.batchList;
+    const items = queue.items;
+    list.innerHTML = '';
+
+    if (items.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'batch-empty';
+        empty.textContent = 'Add files or a folder, or drop files here. Each file is converted with the current Convert tab options.';
+        list.appendChild(empty);
+    }
+
+    const statusText = { pending: 'Waiting', running: 'Converting...', done: 'Done', failed: 'Failed', skipped: 'Skipped' };
+    for (const item of items) {
+        const row = document.createElement('div');
+        row.className = `batch-item ${item.status}`;
+        row.title = item.path;
+
+        const info = document.createElement('div');
+        info.className = 'batch-item-info';
+        const name = document.createElement('div');
+        name.className = 'batch-item-name';
+        name.textContent = item.name;
+        const message = document.createElement('div');
+        message.className = 'batch-item-message';
+        message.textContent = item.message || statusText[item.status];
+        info.append(name, message);
+
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar';
+        const fill = document.createElement('div');
+        fill.className = 'progress-fill';
+        fill.style.width = `${item.status === 'done' ? 100 : item.progress}%`;
+        bar.appendChild(fill);
+
+        const remove = document.createElement('button');
+        remove.className = 'batch-item-remove';
+        remove.dataset.id = item.id;
+        remove.title = 'Remove from queue';
+        remove.textContent = '×';
+        remove.disabled = queue.running;
+
+        row.append(info, bar, remove);
+        list.appendChild(row);
+    }
+
+    const pending = items.filter(item => item.status !== 'done').length;
+    elements.batchCount.textContent = `${items.length} file${items.length === 1 ? '' : 's'}`;
+    elements.batchStartBtn.disabled = queue.running || pending === 0 || !state.settings.batchOutputDir;
+    elements.batchAddFilesBtn.disabled = queue.running;
+    elements.batchAddFolderBtn.disabled = queue.running;
+    elements.batchClearBtn.disabled = queue.running;
+    elements.batchChooseDirBtn.disabled = queue.running;
+    elements.batchCancelBtn.classList.toggle('hidden', !queue.running);
+}
+
+async function runBatch() {
+    const queue = state.batchQueue;
+    if (!state.settings.batchOutputDir) {
+        showToast('Choose an output folder first', 'warning');
+        return;
+    }
+
+    elements.batchSummary.classList.add('hidden');
+    elements.batchCancelBtn.disabled = false;
+    elements.batchCancelBtn.textContent = 'Cancel';
+
+    // Every file uses the options currently set on the Convert tab
+    updateConverterOptions();
+    const profile = {
+        converterOptions: { ...state.converter.options },
+        exportOptions: {
+            format: state.settings.batchFormat,
+            pngScale: state.settings.pngScale,
+            gifQuality: state.settings.gifQuality,
+            includeStyles: state.settings.includeStyles,
+            svgOutline: state.settings.svgOutline,
+            includeAudio: state.settings.includeAudio
+        },
+        outputDir: state.settings.batchOutputDir,
+        template: state.settings.batchTemplate
+    };
+
+    console.log(`[Batch] Starting ${queue.items.length} item(s) as ${profile.exportOptions.format} into ${profile.outputDir}`);
+    let summary;
+    try {
+        summary = await queue.run(profile);
+    } catch (error) {
+        console.error('[Batch] Run failed:', error);
+        showToast('Batch failed: ' + error.message, 'error');
+        return;
+    }
+
+    const lines = [`Converted ${summary.done} of ${summary.total} file${summary.total === 1 ? '' : 's'} in ${formatTime(summary.elapsed / 1000)}`];
+    if (summary.failed) lines.push(`${summary.failed} failed`);
+    if (summary.skipped) lines.push(`${summary.skipped} skipped`);
+    for (const failure of summary.failures) {
+        lines.push(`• ${failure.name}: ${failure.error}`);
+    }
+    elements.batchSummary.textContent = lines.join('\n');
+    elements.batchSummary.classList.remove('hidden');
+
+    console.log(`[Batch] Finished: ${summary.done} done, ${summary.failed} failed, ${summary.skipped} skipped`);
+    const type = summary.failed ? 'warning' : (summary.skipped ? 'info' : 'success');
+    showToast(`Batch finished: ${summary.done}/${summary.total} converted`, type);
+}
+
 // ============================================
 // Settings UI
 // ============================================
@@ -2125,6 +3948,8 @@ function setupSettings() {
     elements.fontSelect.addEventListener('change', (e) => {
         state.settings.font = e.target.value;
         elements.asciiOutput.style.fontFamily = e.target.value;
+        // Glyph matching measures coverage in the output font
+        updateConverterOptions();
         saveSettingsDebounced();
     });
     
@@ -2164,6 +3989,16 @@ function setupSettings() {
         saveSettingsDebounced();
     });
     
+    elements.svgOutlineCheck.addEventListener('change', (e) => {
+        state.settings.svgOutline = e.target.checked;
+        saveSettingsDebounced();
+    });
+    
+    elements.includeAudioCheck.addEventListener('change', (e) => {
+        state.settings.includeAudio = e.target.checked;
+        saveSettingsDebounced();
+    });
+    
     elements.pngScaleSelect.addEventListener('change', (e) => {
         state.settings.pngScale = parseInt(e.target.value);
         saveSettingsDebounced();
@@ -2186,9 +4021,16 @@ function setupSettings() {
             defaultCharset: 'standard',
             defaultMode: 'color',
             includeStyles: true,
+            svgOutline: false,
+            includeAudio: true,
             pngScale: 2,
             gifQuality: 10,
-            backgroundColor: '#00000000'
+            backgroundColor: '#00000000',
+            batchOutputDir: '',
+            batchTemplate: '{name}-ascii',
+            batchFormat: 'png',
+            // Saved presets are user content, not settings, so they survive a reset
+            presets: state.settings.presets
         };
         applySettingsToUI();
         showToast('Settings reset to defaults', 'info');
@@ -2297,6 +4139,17 @@ function setupKeyboardShortcuts() {
         if (e.key === 'Escape') {
             clearInput();
         }
+
+        // Space / arrows - Play, pause and step a converted animation
+        if (!elements.playbackBar.classList.contains('hidden') && !e.target.matches('input, textarea, select, button')) {
+            if (e.key === ' ') {
+                e.preventDefault();
+                toggleAnimationPlayback();
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                goToAnimationFrame(state.playbackFrame + (e.key === 'ArrowLeft' ? -1 : 1));
+            }
+        }
     });
 }
 
@@ -0,0 +1,82 @@
+/**
+ * Glyphify - Video Stream
+ * Reads a video's frames from the main-process ffmpeg decoder a few at a time
+ * (see extract:openStream in main.js), so a clip never has to fit in memory.
+ */
+
+class VideoFrameStream {
+    /**
+     * @param info Stream details returned by electronAPI.openFrameStream
+     */
+    constructor(info) {
+        this.streamId = info.streamId;
+        this.width = info.width;
+        this.height = info.height;
+        this.frameRate = info.frameRate;
+        // Length of the decoded range
+        this.duration = info.duration;
+        // Estimated from the container duration; the real count is known once the stream ends
+        this.total = info.expectedFrames;
+        this.closed = false;
+    }
+
+    static isSupported() {
+        return !!(window.electronAPI && typeof window.electronAPI.openFrameStream === 'function');
+    }
+
+    /**
+     * How the main process finds a media file: by path when it is on disk, so the data URL
+     * only crosses IPC for files that have none (e.g. dropped from another app)
+     */
+    static mediaSource(media) {
+        return media.path
+            ? { filePath: media.path, extension: media.extension }
+            : { dataUrl: media.data, extension: media.extension };
+    }
+
+    /**
+     * Start decoding a media file (as returned by readMediaFile, or with only a data URL)
+     * @param frameRate Output frame rate, or 0/null for the source rate
+     * @param range Optional { start, end } in seconds to decode only part of the clip
+     */
+    static async open(media, frameRate = null, range = null) {
+        const info = await window.electronAPI.openFrameStream({
+            ...VideoFrameStream.mediaSource(media),
+            frameRate: frameRate || null,
+            start: range ? range.start : 0,
+            end: range ? range.end : null
+        });
+        if (!info || !info.success) {
+            throw new Error(`Could not open video stream: ${(info && info.error) || 'unknown error'}`);
+        }
+        return new VideoFrameStream(info);
+    }
+
+    /**
+     * Read the next decoded frames ({ imageData, width, height, delay }), waiting for at least one
+     * @returns { frames, done }
+     */
+    async read(max) {
+        if (this.closed) return { frames: [], done: true };
+        const { frames, done } = await window.electronAPI.readFrameStream(this.streamId, max);
+        const delay = Math.round(1000 / this.frameRate);
+        return {
+            frames: frames.map(pixels => ({
+                imageData: new ImageData(new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength), this.width, this.height),
+                width: this.width,
+                height: this.height,
+                delay
+            })),
+            done
+        };
+    }
+
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+        await window.electronAPI.closeFrameStream(this.streamId);
+    }
+}
+
+// Export for use in renderer
+window.VideoFrameStream = VideoFrameStream;
@@ -9,8 +9,9 @@ self.document = {
     currentScript: { src: '' }
 };
 
-// Load FFmpeg from CDN
-importScripts('https://unpkg.com/@ffmpeg/ffmpeg@0.12.10/dist/umd/ffmpeg.js');
+// Load FFmpeg from the app package (see ffmpeg-assets.js)
+importScripts('ffmpeg-assets.js');
+importFFmpegScripts('ffmpeg/ffmpeg.js');
 
 let ffmpeg = null;
 let isLoaded = false;
@@ -19,6 +20,7 @@ let isLoaded = false;
 async function loadFFmpeg() {
     if (isLoaded) return;
     
+    checkFFmpegScripts();
     const { FFmpeg } = FFmpegWASM;
     ffmpeg = new FFmpeg();
     
@@ -35,10 +37,13 @@ async function loadFFmpeg() {
     
     // Load FFmpeg core
     self.postMessage({ type: 'status', message: 'Loading FFmpeg...' });
-    await ffmpeg.load({
-        coreURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd/ffmpeg-core.js',
-        wasmURL: 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd/ffmpeg-core.wasm',
-    });
+    try {
+        await loadBundledFFmpeg(ffmpeg);
+    } catch (error) {
+        ffmpeg = null;
+        self.postMessage({ type: 'status', message: error.message });
+        throw error;
+    }
     
     isLoaded = true;
     self.postMessage({ type: 'status', message: 'FFmpeg loaded' });